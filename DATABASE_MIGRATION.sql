@@ -0,0 +1,530 @@
+-- Clinic Audit SaaS - Upgrade Migration
+-- PostgreSQL
+--
+-- Brings a database created from an earlier DATABASE_SCHEMA.sql up to the
+-- current schema, backfilling what existing rows need. Every step checks what
+-- is already there, so it is safe to run again (and on an up-to-date database).
+-- New installs only need DATABASE_SCHEMA.sql.
+
+BEGIN;
+
+-- ============================================
+-- SCORING SETTINGS
+-- ============================================
+ALTER TABLE global_goals
+    ADD COLUMN IF NOT EXISTS new_client_visits_target INTEGER DEFAULT 30,
+    ADD COLUMN IF NOT EXISTS treatment_conversion_goal DECIMAL(5, 2) DEFAULT 50,
+    ADD COLUMN IF NOT EXISTS website_visits_target INTEGER DEFAULT 1200,
+    ADD COLUMN IF NOT EXISTS website_conversion_goal DECIMAL(5, 2) DEFAULT 2,
+    ADD COLUMN IF NOT EXISTS marketing_new_clients_target INTEGER DEFAULT 24,
+    ADD COLUMN IF NOT EXISTS financial_weight DECIMAL(5, 2) DEFAULT 25,
+    ADD COLUMN IF NOT EXISTS capacity_weight DECIMAL(5, 2) DEFAULT 25,
+    ADD COLUMN IF NOT EXISTS new_client_flow_weight DECIMAL(5, 2) DEFAULT 25,
+    ADD COLUMN IF NOT EXISTS marketing_weight DECIMAL(5, 2) DEFAULT 25;
+
+ALTER TABLE global_goals DROP CONSTRAINT IF EXISTS global_goals_check;
+ALTER TABLE global_goals ADD CONSTRAINT global_goals_check
+    CHECK (financial_weight + capacity_weight + new_client_flow_weight + marketing_weight = 100);
+
+COMMENT ON TABLE global_goals IS 'Clinic-wide goals, scoring thresholds and bucket weights used for scoring';
+
+-- ============================================
+-- GOAL VERSIONS
+-- ============================================
+-- A clinic's existing goals become its first version, effective from the
+-- month they were created (earlier months use the earliest version anyway)
+ALTER TABLE global_goals
+    ADD COLUMN IF NOT EXISTS effective_month DATE,
+    ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE global_goals SET effective_month = date_trunc('month', COALESCE(created_at, NOW()))
+WHERE effective_month IS NULL;
+
+ALTER TABLE global_goals
+    ALTER COLUMN effective_month SET DEFAULT date_trunc('month', NOW()),
+    ALTER COLUMN effective_month SET NOT NULL;
+
+ALTER TABLE global_goals DROP CONSTRAINT IF EXISTS global_goals_clinic_id_key;
+DROP INDEX IF EXISTS idx_global_goals_clinic_id;
+CREATE INDEX IF NOT EXISTS idx_global_goals_clinic_month ON global_goals(clinic_id, effective_month);
+
+-- ============================================
+-- SERVICE ECONOMICS FLOORS
+-- ============================================
+ALTER TABLE global_goals
+    ADD COLUMN IF NOT EXISTS service_margin_floor DECIMAL(5, 2) DEFAULT 20,
+    ADD COLUMN IF NOT EXISTS service_utilization_floor DECIMAL(5, 2) DEFAULT 60;
+
+-- ============================================
+-- OVERHEAD ALLOCATION
+-- ============================================
+-- Existing clinics keep entering allocations by hand ('manual')
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS overhead_allocation_method VARCHAR(50) DEFAULT 'manual'
+    CHECK (overhead_allocation_method IN ('manual', 'booked_hours', 'revenue', 'provider_hours'));
+
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS computed_allocated_expenses DECIMAL(12, 2),
+    ADD COLUMN IF NOT EXISTS allocation_override DECIMAL(12, 2);
+
+COMMENT ON COLUMN clinics.overhead_allocation_method IS 'How audit overhead is spread across services: manual, booked_hours, revenue or provider_hours';
+
+-- ============================================
+-- AUDIT VERSIONS
+-- ============================================
+ALTER TABLE monthly_audits ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- ============================================
+-- AUDIT LOG
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+
+-- ============================================
+-- AUDIT STATUS
+-- ============================================
+-- Existing months start as drafts
+ALTER TABLE monthly_audits ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'submitted', 'approved'));
+
+CREATE TABLE IF NOT EXISTS audit_status_transitions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    monthly_audit_id UUID NOT NULL REFERENCES monthly_audits(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT, -- required when returning or reopening
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_status_transitions_audit_id ON audit_status_transitions(monthly_audit_id);
+
+-- ============================================
+-- AUDIT REVISIONS
+-- ============================================
+-- History starts with the first change after the upgrade
+CREATE TABLE IF NOT EXISTS audit_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    monthly_audit_id UUID REFERENCES monthly_audits(id) ON DELETE SET NULL, -- NULL once the month was deleted
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    audit_month DATE NOT NULL,
+    revision_number INTEGER NOT NULL, -- 1, 2, 3... per clinic and month
+    audit_version INTEGER NOT NULL, -- monthly_audits.version the snapshot was taken at
+    source VARCHAR(20) NOT NULL, -- baseline, save, import, edit, restore, delete
+    restored_from INTEGER, -- revision_number a restore copied
+    snapshot JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(clinic_id, audit_month, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_revisions_audit_id ON audit_revisions(monthly_audit_id);
+
+-- Audit revisions are append-only
+CREATE OR REPLACE FUNCTION prevent_audit_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Except for ON DELETE SET NULL detaching them from a deleted month
+    IF NEW.monthly_audit_id IS NULL
+       AND to_jsonb(NEW) - 'monthly_audit_id' = to_jsonb(OLD) - 'monthly_audit_id' THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_revisions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_revisions_immutable ON audit_revisions;
+CREATE TRIGGER audit_revisions_immutable BEFORE UPDATE ON audit_revisions
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_revision_update();
+
+-- ============================================
+-- SESSIONS & REFRESH TOKENS
+-- ============================================
+-- Tokens issued before the upgrade name no session and stop working: everyone signs in again
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE, -- active clinic (POST /api/auth/switch-clinic)
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(), -- last refresh
+    expires_at TIMESTAMP NOT NULL, -- extended on every refresh
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50) -- logout, revoked, revoked_by_admin, password_reset, password_change, deactivated, two_factor_reset, refresh_token_reuse
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- set when rotated; presenting it again revokes the session
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- ============================================
+-- TWO-FACTOR AUTHENTICATION
+-- ============================================
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step INTEGER;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+COMMENT ON COLUMN clinics.require_two_factor IS 'When true every user must enroll in TOTP 2FA before using the app';
+
+-- ============================================
+-- ACCOUNT LOCKOUT & AUTH ATTEMPTS
+-- ============================================
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS auth_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('login', 'two_factor', 'forgot_password', 'accept_invitation')),
+    email VARCHAR(255),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(45),
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- unknown_email, bad_password, bad_code, locked, throttled, invalid_token
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_user_id ON auth_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip_address ON auth_attempts(ip_address, created_at);
+
+-- ============================================
+-- EMAIL CHANGE TOKENS
+-- ============================================
+CREATE TABLE IF NOT EXISTS email_change_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    new_email VARCHAR(255) NOT NULL,
+    token VARCHAR(255) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_tokens_user_id ON email_change_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_change_tokens_token ON email_change_tokens(token);
+
+-- ============================================
+-- ROLES & PERMISSIONS
+-- ============================================
+CREATE TABLE IF NOT EXISTS clinic_roles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(clinic_id, name)
+);
+
+DROP TRIGGER IF EXISTS update_clinic_roles_updated_at ON clinic_roles;
+CREATE TRIGGER update_clinic_roles_updated_at BEFORE UPDATE ON clinic_roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE RESTRICT;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom'));
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_check;
+ALTER TABLE users ADD CONSTRAINT users_check CHECK ((role = 'custom') = (custom_role_id IS NOT NULL));
+CREATE INDEX IF NOT EXISTS idx_users_custom_role_id ON users(custom_role_id);
+
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE SET NULL;
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_check;
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_check
+    CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom'));
+
+-- admin and member keep their meaning. Every clinic needs an owner: its
+-- earliest admin (or, without one, earliest member) becomes it
+UPDATE users SET role = 'owner'
+WHERE id IN (
+    SELECT DISTINCT ON (u.clinic_id) u.id
+    FROM users u
+    WHERE NOT EXISTS (SELECT 1 FROM users o WHERE o.clinic_id = u.clinic_id AND o.role = 'owner')
+    ORDER BY u.clinic_id, u.is_active DESC, (u.role = 'admin') DESC, u.created_at, u.id
+);
+
+COMMENT ON COLUMN users.role IS 'Built-in role (owner, admin, bookkeeper, marketing, viewer, member) or custom (see custom_role_id); permissions per role are in backend/utils/permissions.js';
+COMMENT ON TABLE clinic_roles IS 'Custom roles built from permissions, per clinic';
+
+-- ============================================
+-- ORGANIZATIONS & CLINIC ACCESS
+-- ============================================
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Each existing clinic becomes its own organization (sharing the clinic's id)
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+INSERT INTO organizations (id, name, created_at)
+SELECT id, name, created_at FROM clinics WHERE organization_id IS NULL
+ON CONFLICT (id) DO NOTHING;
+
+UPDATE clinics SET organization_id = id WHERE organization_id IS NULL;
+
+ALTER TABLE clinics ALTER COLUMN organization_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_clinics_organization_id ON clinics(organization_id);
+
+CREATE TABLE IF NOT EXISTS user_clinic_access (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom')),
+    custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE RESTRICT, -- a role of clinic_id
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, clinic_id),
+    CHECK ((role = 'custom') = (custom_role_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_clinic_access_clinic_id ON user_clinic_access(clinic_id);
+
+CREATE OR REPLACE VIEW clinic_memberships AS
+    SELECT id as user_id, clinic_id, role, custom_role_id, true as is_home FROM users
+    UNION ALL
+    SELECT user_id, clinic_id, role, custom_role_id, false as is_home FROM user_clinic_access;
+
+COMMENT ON TABLE organizations IS 'A business with one or more clinic locations';
+COMMENT ON TABLE clinics IS 'Tenant entity - each clinic is isolated; clinics of an organization can be rolled up';
+COMMENT ON TABLE users IS 'User accounts - each user has a home clinic and may be granted others (user_clinic_access)';
+
+-- ============================================
+-- INVITATIONS
+-- ============================================
+ALTER TABLE invitations
+    ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMP DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS send_count INTEGER NOT NULL DEFAULT 1;
+
+UPDATE invitations SET last_sent_at = created_at WHERE last_sent_at > created_at AND send_count = 1;
+
+CREATE INDEX IF NOT EXISTS idx_invitations_pending_expiry ON invitations(expires_at) WHERE status = 'pending';
+
+COMMENT ON TABLE invitations IS 'Email invitations to join a clinic; pending until accepted, expired rows are marked by a periodic sweep';
+
+-- ============================================
+-- EMAIL OUTBOX & BRANDING
+-- ============================================
+ALTER TABLE clinics
+    ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7),
+    ADD COLUMN IF NOT EXISTS logo_url TEXT;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE,
+    template VARCHAR(100) NOT NULL,
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_clinic_id ON email_outbox(clinic_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_email_outbox_updated_at ON email_outbox;
+CREATE TRIGGER update_email_outbox_updated_at BEFORE UPDATE ON email_outbox
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- NOTIFICATIONS
+-- ============================================
+ALTER TABLE clinics
+    ADD COLUMN IF NOT EXISTS digest_day SMALLINT DEFAULT 10 CHECK (digest_day BETWEEN 1 AND 28),
+    ADD COLUMN IF NOT EXISTS audit_reminder_day SMALLINT DEFAULT 5 CHECK (audit_reminder_day BETWEEN 1 AND 28);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    notification VARCHAR(50) NOT NULL CHECK (notification IN ('monthly_digest', 'audit_reminder', 'metric_alert')),
+    enabled BOOLEAN NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, clinic_id, notification)
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    notification VARCHAR(50) NOT NULL,
+    month DATE NOT NULL,
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (clinic_id, notification, month)
+);
+
+COMMENT ON COLUMN clinics.digest_day IS 'Day of the month the previous month''s digest goes out if it wasn''t approved earlier; NULL sends only on approval';
+COMMENT ON COLUMN clinics.audit_reminder_day IS 'Day of the month a reminder goes out if the previous month has no audit; NULL disables reminders';
+
+-- ============================================
+-- ALERTS
+-- ============================================
+ALTER TABLE notification_preferences DROP CONSTRAINT IF EXISTS notification_preferences_notification_check;
+ALTER TABLE notification_preferences ADD CONSTRAINT notification_preferences_notification_check
+    CHECK (notification IN ('monthly_digest', 'audit_reminder', 'metric_alert'));
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    comparison VARCHAR(20) NOT NULL DEFAULT 'value' CHECK (comparison IN ('value', 'change', 'percent_change')),
+    operator VARCHAR(10) NOT NULL CHECK (operator IN ('below', 'above')),
+    threshold NUMERIC(14, 4) NOT NULL,
+    notify_email BOOLEAN NOT NULL DEFAULT true,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_clinic_id ON alert_rules(clinic_id);
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL,
+    audit_month DATE NOT NULL,
+    rule_name VARCHAR(100) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    comparison VARCHAR(20) NOT NULL,
+    operator VARCHAR(10) NOT NULL,
+    threshold NUMERIC(14, 4) NOT NULL,
+    value NUMERIC(14, 4) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    triggered_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    acknowledged_at TIMESTAMP,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (rule_id, audit_month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_clinic_id ON alerts(clinic_id, triggered_at DESC);
+
+DROP TRIGGER IF EXISTS update_alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_alerts_updated_at ON alerts;
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- WEBHOOKS
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    events TEXT[] NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_clinic_id ON webhook_subscriptions(clinic_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    response_status INTEGER,
+    duration_ms INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- API KEYS
+-- ============================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    permissions TEXT[] NOT NULL,
+    expires_at TIMESTAMP, -- NULL never expires
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_clinic_id ON api_keys(clinic_id);
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE api_keys IS 'Per-clinic keys for machine integrations, limited to the permissions they were given; stored hashed';
+
+COMMIT;
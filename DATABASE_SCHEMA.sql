@@ -1,17 +1,53 @@
 -- Clinic Audit SaaS - Multi-Tenant Database Schema
 -- PostgreSQL Schema
 
+-- ============================================
+-- ORGANIZATIONS TABLE
+-- ============================================
+-- Groups the locations (clinics) of one business
+CREATE TABLE organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
 -- ============================================
 -- CLINICS TABLE
 -- ============================================
 CREATE TABLE clinics (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
     location VARCHAR(255),
+    overhead_allocation_method VARCHAR(50) DEFAULT 'manual'
+        CHECK (overhead_allocation_method IN ('manual', 'booked_hours', 'revenue', 'provider_hours')),
+    require_two_factor BOOLEAN NOT NULL DEFAULT false,
+    brand_color VARCHAR(7), -- #rrggbb used in emails
+    logo_url TEXT,
+    digest_day SMALLINT DEFAULT 10 CHECK (digest_day BETWEEN 1 AND 28),
+    audit_reminder_day SMALLINT DEFAULT 5 CHECK (audit_reminder_day BETWEEN 1 AND 28),
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+CREATE INDEX idx_clinics_organization_id ON clinics(organization_id);
+
+-- ============================================
+-- CUSTOM ROLES TABLE
+-- ============================================
+-- Clinic-defined roles; permissions are names from backend/utils/permissions.js
+CREATE TABLE clinic_roles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(clinic_id, name)
+);
+
 -- ============================================
 -- USERS TABLE
 -- ============================================
@@ -21,32 +57,98 @@ CREATE TABLE users (
     password_hash VARCHAR(255) NOT NULL,
     first_name VARCHAR(100),
     last_name VARCHAR(100),
-    role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'member')),
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom')),
+    custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE RESTRICT, -- set when role = 'custom'
     clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
     is_active BOOLEAN DEFAULT true,
+    totp_enabled BOOLEAN NOT NULL DEFAULT false,
+    totp_secret VARCHAR(64), -- base32 TOTP secret once enrolled
+    totp_pending_secret VARCHAR(64), -- secret awaiting confirmation during setup
+    totp_enabled_at TIMESTAMP,
+    totp_last_used_step INTEGER, -- time step of the last accepted code (replay protection)
+    failed_login_count INTEGER NOT NULL DEFAULT 0, -- consecutive failed sign-ins
+    last_failed_login_at TIMESTAMP,
+    locked_until TIMESTAMP, -- sign-in refused until then (or an admin unlock)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
-    last_login_at TIMESTAMP
+    last_login_at TIMESTAMP,
+    CHECK ((role = 'custom') = (custom_role_id IS NOT NULL))
 );
 
 CREATE INDEX idx_users_clinic_id ON users(clinic_id);
+CREATE INDEX idx_users_custom_role_id ON users(custom_role_id);
 CREATE INDEX idx_users_email ON users(email);
 
 -- ============================================
--- GLOBAL GOALS TABLE (Per Clinic)
+-- CLINIC ACCESS
+-- ============================================
+-- Access to clinics other than the user's own (users.clinic_id), each with
+-- its own role: granted within an organization or by accepting an invitation
+-- with an existing account
+CREATE TABLE user_clinic_access (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom')),
+    custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE RESTRICT, -- a role of clinic_id
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, clinic_id),
+    CHECK ((role = 'custom') = (custom_role_id IS NOT NULL))
+);
+
+CREATE INDEX idx_user_clinic_access_clinic_id ON user_clinic_access(clinic_id);
+
+-- Every clinic a user can act in: their own plus granted ones
+CREATE VIEW clinic_memberships AS
+    SELECT id as user_id, clinic_id, role, custom_role_id, true as is_home FROM users
+    UNION ALL
+    SELECT user_id, clinic_id, role, custom_role_id, false as is_home FROM user_clinic_access;
+
+-- One-time 2FA recovery codes (SHA-256 hashes)
+CREATE TABLE user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- ============================================
+-- GLOBAL GOALS TABLE (Per Clinic, versioned)
 -- ============================================
+-- Each update inserts a new version. An audit month is scored against the
+-- latest version effective on or before it (months before the first version
+-- use the earliest one).
 CREATE TABLE global_goals (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    effective_month DATE NOT NULL DEFAULT date_trunc('month', NOW()), -- YYYY-MM-01 format
     revenue_goal DECIMAL(12, 2) DEFAULT 100000,
     profit_margin_goal DECIMAL(5, 2) DEFAULT 30,
     capacity_goal DECIMAL(5, 2) DEFAULT 80,
+    -- Scoring thresholds (rates are percentages)
+    new_client_visits_target INTEGER DEFAULT 30,
+    treatment_conversion_goal DECIMAL(5, 2) DEFAULT 50,
+    website_visits_target INTEGER DEFAULT 1200,
+    website_conversion_goal DECIMAL(5, 2) DEFAULT 2,
+    marketing_new_clients_target INTEGER DEFAULT 24,
+    -- Bucket weights (must add up to 100)
+    financial_weight DECIMAL(5, 2) DEFAULT 25,
+    capacity_weight DECIMAL(5, 2) DEFAULT 25,
+    new_client_flow_weight DECIMAL(5, 2) DEFAULT 25,
+    marketing_weight DECIMAL(5, 2) DEFAULT 25,
+    -- Service economics floors (percentages)
+    service_margin_floor DECIMAL(5, 2) DEFAULT 20,
+    service_utilization_floor DECIMAL(5, 2) DEFAULT 60,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
-    UNIQUE(clinic_id)
+    CHECK (financial_weight + capacity_weight + new_client_flow_weight + marketing_weight = 100)
 );
 
-CREATE INDEX idx_global_goals_clinic_id ON global_goals(clinic_id);
+CREATE INDEX idx_global_goals_clinic_month ON global_goals(clinic_id, effective_month);
 
 -- ============================================
 -- MONTHLY AUDITS TABLE
@@ -66,6 +168,8 @@ CREATE TABLE monthly_audits (
     total_clients INTEGER DEFAULT 0,
     total_appointments INTEGER DEFAULT 0,
     marketing_spend DECIMAL(12, 2) DEFAULT 0,
+    version INTEGER NOT NULL DEFAULT 1, -- bumped on every write; exposed as the ETag
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'approved')), -- approved = locked
     created_by UUID REFERENCES users(id),
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
@@ -75,6 +179,47 @@ CREATE TABLE monthly_audits (
 CREATE INDEX idx_monthly_audits_clinic_id ON monthly_audits(clinic_id);
 CREATE INDEX idx_monthly_audits_audit_month ON monthly_audits(audit_month);
 
+-- ============================================
+-- AUDIT STATUS TRANSITIONS TABLE
+-- ============================================
+-- Every lifecycle change of a monthly audit (submit, approve, return, reopen)
+CREATE TABLE audit_status_transitions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    monthly_audit_id UUID NOT NULL REFERENCES monthly_audits(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT, -- required when returning or reopening
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_status_transitions_audit_id ON audit_status_transitions(monthly_audit_id);
+
+-- ============================================
+-- AUDIT REVISIONS TABLE
+-- ============================================
+-- Immutable snapshot of the whole audit (header + payroll, expenses, services)
+-- after every content change. History belongs to the clinic and month, so it
+-- outlives a deleted month (whose last state is kept as a 'delete' revision)
+-- and carries on if the month is saved or restored again.
+CREATE TABLE audit_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    monthly_audit_id UUID REFERENCES monthly_audits(id) ON DELETE SET NULL, -- NULL once the month was deleted
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    audit_month DATE NOT NULL,
+    revision_number INTEGER NOT NULL, -- 1, 2, 3... per clinic and month
+    audit_version INTEGER NOT NULL, -- monthly_audits.version the snapshot was taken at
+    source VARCHAR(20) NOT NULL, -- baseline, save, import, edit, restore, delete
+    restored_from INTEGER, -- revision_number a restore copied
+    snapshot JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(clinic_id, audit_month, revision_number)
+);
+
+CREATE INDEX idx_audit_revisions_audit_id ON audit_revisions(monthly_audit_id);
+
 -- ============================================
 -- PAYROLL ITEMS TABLE
 -- ============================================
@@ -115,7 +260,9 @@ CREATE TABLE services (
     booked_hours DECIMAL(10, 2) DEFAULT 0,
     revenue DECIMAL(12, 2) DEFAULT 0,
     commission DECIMAL(12, 2) DEFAULT 0,
-    allocated_expenses DECIMAL(12, 2) DEFAULT 0,
+    allocated_expenses DECIMAL(12, 2) DEFAULT 0, -- effective allocation (override, else automatic share)
+    computed_allocated_expenses DECIMAL(12, 2), -- share of overhead by the clinic's method (NULL when manual)
+    allocation_override DECIMAL(12, 2), -- manually entered allocation that replaces the computed one
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -130,15 +277,19 @@ CREATE TABLE invitations (
     email VARCHAR(255) NOT NULL,
     clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
     invited_by UUID NOT NULL REFERENCES users(id),
-    role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'member')),
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'admin', 'bookkeeper', 'marketing', 'viewer', 'member', 'custom')),
+    custom_role_id UUID REFERENCES clinic_roles(id) ON DELETE SET NULL, -- set when role = 'custom'
     token VARCHAR(255) UNIQUE NOT NULL,
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'expired')),
     expires_at TIMESTAMP NOT NULL,
+    last_sent_at TIMESTAMP DEFAULT NOW(), -- resends replace token and expires_at
+    send_count INTEGER NOT NULL DEFAULT 1,
     created_at TIMESTAMP DEFAULT NOW(),
     accepted_at TIMESTAMP
 );
 
 CREATE INDEX idx_invitations_email ON invitations(email);
+CREATE INDEX idx_invitations_pending_expiry ON invitations(expires_at) WHERE status = 'pending';
 CREATE INDEX idx_invitations_token ON invitations(token);
 CREATE INDEX idx_invitations_clinic_id ON invitations(clinic_id);
 
@@ -158,12 +309,253 @@ CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)
 CREATE INDEX idx_password_reset_tokens_token ON password_reset_tokens(token);
 
 -- ============================================
--- AUDIT LOG TABLE (Optional but recommended for SaaS)
+-- EMAIL CHANGE TOKENS TABLE
+-- ============================================
+-- The new address only replaces users.email once its link is confirmed
+CREATE TABLE email_change_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    new_email VARCHAR(255) NOT NULL,
+    token VARCHAR(255) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_change_tokens_user_id ON email_change_tokens(user_id);
+CREATE INDEX idx_email_change_tokens_token ON email_change_tokens(token);
+
+-- ============================================
+-- EMAIL OUTBOX
+-- ============================================
+-- Rendered emails waiting for, or done with, delivery (utils/emailQueue.js).
+-- Failed sends go back to 'pending' with a later next_attempt_at until
+-- max_attempts, then 'dead'
+CREATE TABLE email_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE,
+    template VARCHAR(100) NOT NULL,
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX idx_email_outbox_clinic_id ON email_outbox(clinic_id, created_at DESC);
+
+-- ============================================
+-- NOTIFICATIONS
+-- ============================================
+-- A member's choice per clinic; without a row the default applies
+-- (backend/utils/notifications.js)
+CREATE TABLE notification_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    notification VARCHAR(50) NOT NULL CHECK (notification IN ('monthly_digest', 'audit_reminder', 'metric_alert')),
+    enabled BOOLEAN NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, clinic_id, notification)
+);
+
+-- Scheduled notifications already sent, one per clinic, kind and month
+CREATE TABLE scheduled_notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    notification VARCHAR(50) NOT NULL,
+    month DATE NOT NULL,
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (clinic_id, notification, month)
+);
+
+-- ============================================
+-- ALERTS
+-- ============================================
+-- Threshold rules on derived metrics, checked whenever a month is saved
+-- (backend/utils/alerts.js). comparison is the month's value, or its change
+-- against the previous month in units or percent.
+CREATE TABLE alert_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    comparison VARCHAR(20) NOT NULL DEFAULT 'value' CHECK (comparison IN ('value', 'change', 'percent_change')),
+    operator VARCHAR(10) NOT NULL CHECK (operator IN ('below', 'above')),
+    threshold NUMERIC(14, 4) NOT NULL,
+    notify_email BOOLEAN NOT NULL DEFAULT true,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_alert_rules_clinic_id ON alert_rules(clinic_id);
+
+-- A rule triggered for a month; the rule is copied so the alert still reads
+-- right after the rule changes. Open until acknowledged, or resolved when a
+-- later save no longer breaches the rule.
+CREATE TABLE alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL,
+    audit_month DATE NOT NULL,
+    rule_name VARCHAR(100) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    comparison VARCHAR(20) NOT NULL,
+    operator VARCHAR(10) NOT NULL,
+    threshold NUMERIC(14, 4) NOT NULL,
+    value NUMERIC(14, 4) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    triggered_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    acknowledged_at TIMESTAMP,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (rule_id, audit_month)
+);
+
+CREATE INDEX idx_alerts_clinic_id ON alerts(clinic_id, triggered_at DESC);
+
+-- ============================================
+-- WEBHOOKS
+-- ============================================
+-- Endpoints a clinic wants events POSTed to (backend/utils/webhooks.js).
+-- The secret signs every payload (HMAC-SHA256), so it is kept as is.
+CREATE TABLE webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    events TEXT[] NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_subscriptions_clinic_id ON webhook_subscriptions(clinic_id);
+
+-- One event for one subscription; retried like email_outbox until
+-- max_attempts, then 'dead'
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    response_status INTEGER,
+    duration_ms INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at DESC);
+
+-- ============================================
+-- SESSIONS & REFRESH TOKENS
+-- ============================================
+-- One session per signed-in device; access tokens name their session and stop
+-- working once it is revoked
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE, -- active clinic (POST /api/auth/switch-clinic)
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(), -- last refresh
+    expires_at TIMESTAMP NOT NULL, -- extended on every refresh
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50) -- logout, revoked, revoked_by_admin, password_reset, password_change, deactivated, two_factor_reset, refresh_token_reuse
+);
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- Rotating refresh tokens (SHA-256 hashes); each is used once
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- set when rotated; presenting it again revokes the session
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- ============================================
+-- AUTH ATTEMPTS
 -- ============================================
+-- Every sign-in, 2FA, password reset request and invitation acceptance;
+-- email is kept for unknown addresses too
+CREATE TABLE auth_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('login', 'two_factor', 'forgot_password', 'accept_invitation')),
+    email VARCHAR(255),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(45),
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- unknown_email, bad_password, bad_code, locked, throttled, invalid_token
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_auth_attempts_user_id ON auth_attempts(user_id, created_at);
+CREATE INDEX idx_auth_attempts_ip_address ON auth_attempts(ip_address, created_at);
+
+-- ============================================
+-- API KEYS
+-- ============================================
+-- Keys machine integrations send as `Authorization: Bearer cak_...`
+-- (backend/utils/apiKeys.js). Only a SHA-256 hash is stored; key_prefix is
+-- kept to tell keys apart.
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    permissions TEXT[] NOT NULL,
+    expires_at TIMESTAMP, -- NULL never expires
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_keys_clinic_id ON api_keys(clinic_id);
+
+-- ============================================
+-- AUDIT LOG TABLE
+-- ============================================
+-- One row per mutating action: action like 'audit.update' or 'auth.login',
+-- details holds context and field-level { before, after } changes
 CREATE TABLE audit_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- set when an API key made the request
     action VARCHAR(100) NOT NULL,
     entity_type VARCHAR(100),
     entity_id UUID,
@@ -175,6 +567,7 @@ CREATE TABLE audit_logs (
 CREATE INDEX idx_audit_logs_clinic_id ON audit_logs(clinic_id);
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
+CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
 
 -- ============================================
 -- FUNCTIONS & TRIGGERS
@@ -190,12 +583,18 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Apply to all tables with updated_at
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_clinics_updated_at BEFORE UPDATE ON clinics
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_clinic_roles_updated_at BEFORE UPDATE ON clinic_roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_global_goals_updated_at BEFORE UPDATE ON global_goals
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -211,17 +610,54 @@ CREATE TRIGGER update_additional_expenses_updated_at BEFORE UPDATE ON additional
 CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_email_outbox_updated_at BEFORE UPDATE ON email_outbox
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Audit revisions are append-only
+CREATE OR REPLACE FUNCTION prevent_audit_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Except for ON DELETE SET NULL detaching them from a deleted month
+    IF NEW.monthly_audit_id IS NULL
+       AND to_jsonb(NEW) - 'monthly_audit_id' = to_jsonb(OLD) - 'monthly_audit_id' THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_revisions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_revisions_immutable BEFORE UPDATE ON audit_revisions
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_revision_update();
+
 -- ============================================
 -- SAMPLE DATA (for testing)
 -- ============================================
 
--- Insert sample clinic
-INSERT INTO clinics (id, name, location) VALUES
-('11111111-1111-1111-1111-111111111111', 'Demo Wellness Clinic', 'San Francisco, CA');
+-- Insert sample organization and clinic
+INSERT INTO organizations (id, name) VALUES
+('33333333-3333-3333-3333-333333333333', 'Demo Wellness Group');
+
+INSERT INTO clinics (id, organization_id, name, location) VALUES
+('11111111-1111-1111-1111-111111111111', '33333333-3333-3333-3333-333333333333', 'Demo Wellness Clinic', 'San Francisco, CA');
 
--- Insert sample admin user (password: "password123")
+-- Insert sample owner user (password: "password123")
 INSERT INTO users (id, email, password_hash, first_name, last_name, role, clinic_id) VALUES
-('22222222-2222-2222-2222-222222222222', 'admin@democlinic.com', '$2b$10$X7KxqKxqKxqKxqKxqKxqKe', 'John', 'Admin', 'admin', '11111111-1111-1111-1111-111111111111');
+('22222222-2222-2222-2222-222222222222', 'admin@democlinic.com', '$2b$10$X7KxqKxqKxqKxqKxqKxqKe', 'John', 'Admin', 'owner', '11111111-1111-1111-1111-111111111111');
 
 -- Insert default global goals
 INSERT INTO global_goals (clinic_id) VALUES ('11111111-1111-1111-1111-111111111111');
@@ -230,9 +666,16 @@ INSERT INTO global_goals (clinic_id) VALUES ('11111111-1111-1111-1111-1111111111
 -- COMMENTS
 -- ============================================
 
-COMMENT ON TABLE clinics IS 'Top-level tenant entity - each clinic is isolated';
-COMMENT ON TABLE users IS 'User accounts - each user belongs to one clinic';
+COMMENT ON TABLE organizations IS 'A business with one or more clinic locations';
+COMMENT ON TABLE clinics IS 'Tenant entity - each clinic is isolated; clinics of an organization can be rolled up';
+COMMENT ON COLUMN clinics.require_two_factor IS 'When true every user must enroll in TOTP 2FA before using the app';
+COMMENT ON COLUMN clinics.digest_day IS 'Day of the month the previous month''s digest goes out if it wasn''t approved earlier; NULL sends only on approval';
+COMMENT ON COLUMN clinics.audit_reminder_day IS 'Day of the month a reminder goes out if the previous month has no audit; NULL disables reminders';
+COMMENT ON COLUMN clinics.overhead_allocation_method IS 'How audit overhead is spread across services: manual, booked_hours, revenue or provider_hours';
+COMMENT ON TABLE users IS 'User accounts - each user has a home clinic and may be granted others (user_clinic_access)';
 COMMENT ON TABLE monthly_audits IS 'Monthly audit data - scoped to clinic';
-COMMENT ON TABLE global_goals IS 'Clinic-wide goals used for scoring';
-COMMENT ON TABLE invitations IS 'Email invitations to join a clinic';
-COMMENT ON COLUMN users.role IS 'admin: manage goals & invite users, member: enter data & view dashboards';
+COMMENT ON TABLE global_goals IS 'Clinic-wide goals, scoring thresholds and bucket weights used for scoring';
+COMMENT ON TABLE invitations IS 'Email invitations to join a clinic; pending until accepted, expired rows are marked by a periodic sweep';
+COMMENT ON COLUMN users.role IS 'Built-in role (owner, admin, bookkeeper, marketing, viewer, member) or custom (see custom_role_id); permissions per role are in backend/utils/permissions.js';
+COMMENT ON TABLE clinic_roles IS 'Custom roles built from permissions, per clinic';
+COMMENT ON TABLE api_keys IS 'Per-clinic keys for machine integrations, limited to the permissions they were given; stored hashed';
@@ -1,10 +1,63 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { resolvePermissions } = require('../utils/permissions');
+const { API_KEY_PERMISSIONS, isApiKey, findApiKey, touchApiKey } = require('../utils/apiKeys');
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Authenticate a request carrying an API key (utils/apiKeys.js)
+ * req.user is the key's clinic with no person behind it: id, email and names
+ * are null, role is 'api_key' and permissions are the key's. req.apiKey is
+ * { id, name }.
  */
-const authenticate = async (req, res, next) => {
+async function authenticateApiKey(req, res, next, key) {
+    const apiKey = await findApiKey(pool, key);
+
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    if (apiKey.revoked_at) {
+        return res.status(401).json({ error: 'API key has been revoked' });
+    }
+
+    if (apiKey.expires_at && apiKey.expires_at <= new Date()) {
+        return res.status(401).json({ error: 'API key has expired' });
+    }
+
+    await touchApiKey(pool, apiKey.id, req.ip);
+
+    req.user = {
+        id: null,
+        email: null,
+        first_name: null,
+        last_name: null,
+        role: 'api_key',
+        custom_role_id: null,
+        clinic_id: apiKey.clinic_id,
+        home_clinic_id: apiKey.clinic_id,
+        is_active: true,
+        totp_enabled: false,
+        clinic_name: apiKey.clinic_name,
+        organization_id: apiKey.organization_id,
+        require_two_factor: false,
+        custom_role_name: null,
+        permissions: apiKey.permissions.filter((permission) => API_KEY_PERMISSIONS.includes(permission))
+    };
+    req.apiKey = { id: apiKey.id, name: apiKey.name };
+    next();
+}
+
+/**
+ * Build middleware that verifies the JWT token and attaches user to request
+ * The token's session must still be active (not logged out or revoked), and
+ * when the clinic requires 2FA the user must have enrolled unless
+ * `allowTwoFactorSetup` is set.
+ * req.user.clinic_id and role are those of the session's active clinic
+ * (home_clinic_id is users.clinic_id).
+ * API keys are accepted in place of the JWT unless `allowApiKeys` is false,
+ * for routes that act on the signed-in person.
+ */
+const authenticateRequest = ({ allowTwoFactorSetup = false, allowApiKeys = true } = {}) => async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
 
@@ -14,6 +67,13 @@ const authenticate = async (req, res, next) => {
 
         const token = authHeader.substring(7);
 
+        if (isApiKey(token)) {
+            if (!allowApiKeys) {
+                return res.status(403).json({ error: 'API keys cannot be used for this request; sign in instead' });
+            }
+            return await authenticateApiKey(req, res, next, token);
+        }
+
         let decoded;
         try {
             decoded = jwt.verify(token, process.env.JWT_SECRET);
@@ -21,28 +81,55 @@ const authenticate = async (req, res, next) => {
             return res.status(401).json({ error: 'Invalid or expired token' });
         }
 
-        // Fetch user from database
+        if (!decoded.sessionId) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        // Fetch user, the token's session and the user's membership of its active clinic
         const result = await pool.query(
-            `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.clinic_id, u.is_active,
-                    c.name as clinic_name
+            `SELECT u.id, u.email, u.first_name, u.last_name, m.role, m.custom_role_id, m.clinic_id,
+                    u.clinic_id as home_clinic_id, u.is_active, u.totp_enabled,
+                    c.name as clinic_name, c.organization_id, c.require_two_factor, s.id as session_id,
+                    cr.name as custom_role_name, cr.permissions as custom_permissions
              FROM users u
-             JOIN clinics c ON u.clinic_id = c.id
+             LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+                 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+             LEFT JOIN clinic_memberships m ON m.user_id = u.id AND m.clinic_id = s.clinic_id
+             LEFT JOIN clinics c ON c.id = m.clinic_id
+             LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
              WHERE u.id = $1`,
-            [decoded.userId]
+            [decoded.userId, decoded.sessionId]
         );
 
         if (result.rows.length === 0) {
             return res.status(401).json({ error: 'User not found' });
         }
 
-        const user = result.rows[0];
+        const { session_id: sessionId, custom_permissions: customPermissions, ...user } = result.rows[0];
+        user.permissions = resolvePermissions(user.role, customPermissions);
 
         if (!user.is_active) {
             return res.status(403).json({ error: 'Account is inactive' });
         }
 
-        // Attach user to request
+        if (!sessionId) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
+        if (!user.clinic_id) {
+            return res.status(401).json({ error: 'Access to this clinic has been removed; sign in again' });
+        }
+
+        if (user.require_two_factor && !user.totp_enabled && !allowTwoFactorSetup) {
+            return res.status(403).json({
+                error: 'Your clinic requires two-factor authentication; set it up to continue',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        // Attach user and session to request
         req.user = user;
+        req.sessionId = sessionId;
         next();
     } catch (error) {
         console.error('Authentication error:', error);
@@ -50,33 +137,58 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+const authenticate = authenticateRequest();
+
+// For the signed-in person's own account, sessions and memberships
+const authenticateUser = authenticateRequest({ allowApiKeys: false });
+
+// For 2FA enrollment and logout, which users must reach before enrolling
+const authenticateForTwoFactorSetup = authenticateRequest({ allowTwoFactorSetup: true, allowApiKeys: false });
+
 /**
- * Middleware to check if user is admin
+ * Middleware requiring every listed permission (see utils/permissions)
+ * @param {...string} permissions - e.g. 'users:manage'
  */
-const requireAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+const requirePermission = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter((permission) => !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: missing });
     }
     next();
 };
 
 /**
- * Middleware to ensure data belongs to user's clinic
+ * Middleware to ensure a requested clinic is one the user belongs to
+ * (their own clinic or one they were granted)
  */
 const ensureClinicAccess = (clinicIdParam = 'clinicId') => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         const requestedClinicId = req.params[clinicIdParam] || req.body[clinicIdParam];
 
-        if (requestedClinicId && requestedClinicId !== req.user.clinic_id) {
-            return res.status(403).json({ error: 'Access denied to this clinic data' });
+        if (!requestedClinicId || requestedClinicId === req.user.clinic_id) {
+            return next();
         }
 
-        next();
+        try {
+            const result = await pool.query(
+                'SELECT 1 FROM clinic_memberships WHERE user_id = $1 AND clinic_id::text = $2',
+                [req.user.id, requestedClinicId]
+            );
+            if (result.rows.length === 0) {
+                return res.status(403).json({ error: 'Access denied to this clinic data' });
+            }
+            next();
+        } catch (error) {
+            console.error('Clinic access check error:', error);
+            return res.status(500).json({ error: 'Authentication failed' });
+        }
     };
 };
 
 module.exports = {
     authenticate,
-    requireAdmin,
+    authenticateUser,
+    authenticateForTwoFactorSetup,
+    requirePermission,
     ensureClinicAccess
 };
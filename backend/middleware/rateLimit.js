@@ -0,0 +1,89 @@
+/**
+ * Fixed-window rate limiting
+ *
+ * Counters live in a pluggable store. The default MemoryStore is per
+ * process; with several instances call setStore() with a shared store
+ * (e.g. Redis) implementing the same async increment/reset interface.
+ */
+
+class MemoryStore {
+    constructor() {
+        this.hits = new Map();
+        // Drop expired windows so idle keys don't accumulate
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Count a hit for key
+     * @returns {Promise<Object>} { count, resetAt } for the current window
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, entry);
+        }
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+let store = new MemoryStore();
+
+function setStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Build a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Namespace for keys (one per limit)
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} [options.keyGenerator] - (req) => key; defaults to the client IP.
+ *     Return null to skip limiting for the request.
+ * @param {string} [options.message] - Error returned with 429
+ */
+function rateLimit({ name, windowMs, max, keyGenerator = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+    return async (req, res, next) => {
+        try {
+            const key = keyGenerator(req);
+            if (key === null || key === undefined) {
+                return next();
+            }
+
+            const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+            if (count > max) {
+                res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+                return res.status(429).json({ error: message });
+            }
+
+            next();
+        } catch (error) {
+            // Fail open: a broken store must not take logins down
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+}
+
+module.exports = {
+    MemoryStore,
+    setStore,
+    rateLimit
+};
@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { diffChanges, logAction } = require('../utils/auditLog');
+const { MONTH_PATTERN } = require('../utils/months');
+const { ALERT_METRICS, COMPARISONS, OPERATORS, ALERT_COLUMNS, formatAlert } = require('../utils/alerts');
+
+router.use(authenticate, requirePermission('audits:read'));
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const RULE_COLUMNS = `id, name, metric, comparison, operator, threshold, notify_email, enabled,
+                    created_by, created_at, updated_at`;
+
+const ruleValidators = [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('metric').isIn(Object.keys(ALERT_METRICS)),
+    body('comparison').optional().isIn(COMPARISONS),
+    body('operator').isIn(OPERATORS),
+    body('threshold').isFloat().toFloat(),
+    body(['notifyEmail', 'enabled']).optional().isBoolean({ strict: true })
+];
+
+// Request body -> alert_rules values, with defaults for omitted fields
+function ruleValues(body) {
+    return {
+        name: body.name,
+        metric: body.metric,
+        comparison: body.comparison || 'value',
+        operator: body.operator,
+        threshold: body.threshold,
+        notify_email: body.notifyEmail !== undefined ? body.notifyEmail : true,
+        enabled: body.enabled !== undefined ? body.enabled : true
+    };
+}
+
+/**
+ * GET /api/alerts/rules
+ * The clinic's alert rules, plus the metrics, comparisons and operators rules can use
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${RULE_COLUMNS} FROM alert_rules WHERE clinic_id = $1 ORDER BY name`,
+            [req.user.clinic_id]
+        );
+
+        res.json({
+            metrics: ALERT_METRICS,
+            comparisons: COMPARISONS,
+            operators: OPERATORS,
+            rules: result.rows
+        });
+    } catch (error) {
+        console.error('Get alert rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule (clinic:manage)
+ * Body: { name, metric, comparison (value, change or percent_change; default value),
+ * operator (below or above), threshold, notifyEmail (default true), enabled (default true) }
+ * It applies from the next save of a month. Triggered alerts reach webhooks through alert.triggered
+ * subscriptions (/api/webhooks).
+ */
+router.post('/rules', requirePermission('clinic:manage'), ruleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = ruleValues(req.body);
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO alert_rules (clinic_id, name, metric, comparison, operator, threshold, notify_email, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING ${RULE_COLUMNS}`,
+            [req.user.clinic_id, ...Object.values(rule), req.user.id]
+        );
+        const created = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'alert_rule.create',
+            entityType: 'alert_rule',
+            entityId: created.id,
+            details: rule
+        });
+
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Create alert rule error:', error);
+        res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Replace an alert rule (clinic:manage); alerts it already opened keep the old definition
+ */
+router.put('/rules/:id', requirePermission('clinic:manage'), param('id').isUUID(), ruleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        if (errors.array().some((error) => error.path === 'id')) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const rule = ruleValues(req.body);
+
+    try {
+        const previous = await pool.query(
+            `SELECT ${Object.keys(rule).join(', ')} FROM alert_rules WHERE id = $1 AND clinic_id = $2`,
+            [id, req.user.clinic_id]
+        );
+
+        if (previous.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        const result = await pool.query(
+            `UPDATE alert_rules
+             SET name = $3, metric = $4, comparison = $5, operator = $6, threshold = $7,
+                 notify_email = $8, enabled = $9
+             WHERE id = $1 AND clinic_id = $2
+             RETURNING ${RULE_COLUMNS}`,
+            [id, req.user.clinic_id, ...Object.values(rule)]
+        );
+
+        await logAction(pool, req, {
+            action: 'alert_rule.update',
+            entityType: 'alert_rule',
+            entityId: id,
+            details: { changes: diffChanges({ ...previous.rows[0], threshold: Number(previous.rows[0].threshold) }, rule) }
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update alert rule error:', error);
+        res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule (clinic:manage); its alerts stay in the history
+ */
+router.delete('/rules/:id', requirePermission('clinic:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM alert_rules WHERE id = $1 AND clinic_id = $2 RETURNING name, metric',
+            [id, req.user.clinic_id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        await logAction(pool, req, {
+            action: 'alert_rule.delete',
+            entityType: 'alert_rule',
+            entityId: id,
+            details: result.rows[0]
+        });
+
+        res.json({ message: 'Alert rule deleted' });
+    } catch (error) {
+        console.error('Delete alert rule error:', error);
+        res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+});
+
+/**
+ * GET /api/alerts
+ * Triggered alerts, newest first
+ * Filters: status (open, acknowledged, resolved), month (YYYY-MM), ruleId.
+ * Paginated with page (default 1) and limit (default 50, max 200).
+ * Includes counts per status.
+ */
+router.get('/', [
+    query('status').optional().isIn(ALERT_STATUSES),
+    query('month').optional().matches(MONTH_PATTERN),
+    query('ruleId').optional().isUUID(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, month, ruleId } = req.query;
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 50, 10);
+
+    const conditions = ['clinic_id = $1'];
+    const params = [req.user.clinic_id];
+    const addCondition = (value, buildSql) => {
+        params.push(value);
+        conditions.push(buildSql(`$${params.length}`));
+    };
+
+    if (status) addCondition(status, (p) => `status = ${p}`);
+    if (month) addCondition(`${month}-01`, (p) => `audit_month = ${p}`);
+    if (ruleId) addCondition(ruleId, (p) => `rule_id = ${p}`);
+
+    const where = conditions.join(' AND ');
+
+    try {
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int as total FROM alerts WHERE ${where}`,
+            params
+        );
+        const total = countResult.rows[0].total;
+
+        const result = await pool.query(
+            `SELECT ${ALERT_COLUMNS}
+             FROM alerts
+             WHERE ${where}
+             ORDER BY triggered_at DESC, id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        const statusResult = await pool.query(
+            'SELECT status, COUNT(*)::int as count FROM alerts WHERE clinic_id = $1 GROUP BY status',
+            [req.user.clinic_id]
+        );
+
+        res.json({
+            alerts: result.rows.map(formatAlert),
+            statusCounts: Object.fromEntries(ALERT_STATUSES.map((key) => [
+                key,
+                (statusResult.rows.find((row) => row.status === key) || { count: 0 }).count
+            ])),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Mark an open alert as seen; it stays acknowledged while the month keeps breaching the rule
+ */
+router.post('/:id/acknowledge', param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const existing = await pool.query(
+            'SELECT status FROM alerts WHERE id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        if (existing.rows[0].status !== 'open') {
+            return res.status(400).json({ error: `Alert is already ${existing.rows[0].status}` });
+        }
+
+        const result = await pool.query(
+            `UPDATE alerts SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $1
+             WHERE id = $2 AND status = 'open'
+             RETURNING ${ALERT_COLUMNS}`,
+            [req.user.id, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'Alert is no longer open' });
+        }
+
+        await logAction(pool, req, {
+            action: 'alert.acknowledge',
+            entityType: 'alert',
+            entityId: id
+        });
+
+        res.json(formatAlert(result.rows[0]));
+    } catch (error) {
+        console.error('Acknowledge alert error:', error);
+        res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+});
+
+module.exports = router;
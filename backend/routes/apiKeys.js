@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const { logAction } = require('../utils/auditLog');
+const { PERMISSIONS } = require('../utils/permissions');
+const { API_KEY_PERMISSIONS, generateApiKey } = require('../utils/apiKeys');
+
+// Keys can't manage keys
+router.use(authenticateUser, requirePermission('clinic:manage'));
+
+// The key itself is only returned when it is created
+const API_KEY_COLUMNS = `id, name, key_prefix, permissions, expires_at, last_used_at, last_used_ip,
+                    revoked_at, revoked_by, created_by, created_at, updated_at,
+                    CASE WHEN revoked_at IS NOT NULL THEN 'revoked'
+                         WHEN expires_at <= NOW() THEN 'expired'
+                         ELSE 'active' END as status`;
+
+/**
+ * GET /api/api-keys
+ * The clinic's API keys, newest first, plus the permissions a key can be given
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE clinic_id = $1 ORDER BY created_at DESC`,
+            [req.user.clinic_id]
+        );
+
+        res.json({
+            permissions: Object.fromEntries(API_KEY_PERMISSIONS.map((permission) => [permission, PERMISSIONS[permission]])),
+            apiKeys: result.rows
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+/**
+ * POST /api/api-keys
+ * Create an API key
+ * Body: { name, permissions (from GET /api/api-keys, and only ones you have), expiresAt? (ISO date, future) }
+ * The response's `key` is shown only this once; send it as `Authorization: Bearer <key>`.
+ */
+router.post('/', [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('permissions').isArray({ min: 1 }),
+    body('permissions.*').isIn(API_KEY_PERMISSIONS),
+    body('expiresAt').optional({ nullable: true }).isISO8601()
+        .custom((value) => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, expiresAt = null } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const notHeld = permissions.filter((permission) => !req.user.permissions.includes(permission));
+    if (notHeld.length > 0) {
+        return res.status(403).json({ error: 'You can only give a key permissions you have', permissions: notHeld });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO api_keys (clinic_id, name, key_prefix, key_hash, permissions, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${API_KEY_COLUMNS}`,
+            [req.user.clinic_id, name, prefix, hash, permissions, expiresAt, req.user.id]
+        );
+        const apiKey = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'api_key.create',
+            entityType: 'api_key',
+            entityId: apiKey.id,
+            details: { name, permissions, expiresAt }
+        });
+
+        res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ * Revoke an API key; requests with it fail from then on. It stays listed for the activity log.
+ */
+router.post('/:id/revoke', param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const existing = await pool.query(
+            'SELECT name, revoked_at FROM api_keys WHERE id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (existing.rows[0].revoked_at) {
+            return res.status(400).json({ error: 'API key is already revoked' });
+        }
+
+        const result = await pool.query(
+            `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $1
+             WHERE id = $2 AND revoked_at IS NULL
+             RETURNING ${API_KEY_COLUMNS}`,
+            [req.user.id, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'API key is already revoked' });
+        }
+
+        await logAction(pool, req, {
+            action: 'api_key.revoke',
+            entityType: 'api_key',
+            entityId: id,
+            details: { name: existing.rows[0].name }
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const pool = require('../config/database');
+const { param, validationResult } = require('express-validator');
+const {
+    HEADER_FIELDS,
+    ITEM_TYPES,
+    validateFields,
+    lockAudit,
+    bumpVersion,
+    loadAuditData,
+    reallocateOverhead,
+    createItem,
+    updateItem,
+    deleteItem,
+    updateAuditHeader
+} = require('../utils/auditStore');
+const { formatEtag, checkAuditVersion } = require('../utils/concurrency');
+const { logAuditChange } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/auditRevisions');
+const { isLocked, lockedResponse } = require('../utils/auditWorkflow');
+const { checkAuditEdit } = require('../utils/permissions');
+const { evaluateAlerts } = require('../utils/alerts');
+const { emitEvent } = require('../utils/webhooks');
+
+// Mounted under /api/audits/:month by routes/audits.js (authentication already applied)
+
+const ITEM_TYPE_PARAM = `:itemType(${Object.keys(ITEM_TYPES).join('|')})`;
+
+/**
+ * Run an edit against a month's audit in a transaction and reallocate overhead
+ * Requires If-Match with the audit version; `submitted` feeds the conflict diff.
+ * Approved months are locked (423); changed fields need their permissions (403).
+ * `edit(client, auditId)` returns the response body, or null when the target is missing
+ */
+async function editAudit(req, res, label, submitted, edit) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const audit = await lockAudit(client, req.user.clinic_id, req.params.month);
+        if (!audit) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Audit not found' });
+        }
+        if (isLocked(audit.status)) {
+            await client.query('ROLLBACK');
+            const locked = lockedResponse(req.params.month);
+            return res.status(locked.status).json(locked.body);
+        }
+
+        const rejection = await checkAuditVersion(client, {
+            audit,
+            ifMatch: req.get('If-Match'),
+            clinicId: req.user.clinic_id,
+            user: req.user,
+            month: req.params.month,
+            submitted,
+            partialLists: true
+        });
+        if (rejection) {
+            await client.query('ROLLBACK');
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        const before = await loadAuditData(client, audit.id);
+        const result = await edit(client, audit.id);
+        if (!result) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const allocation = await reallocateOverhead(client, audit.id, req.user.clinic_id);
+        const version = await bumpVersion(client, audit.id);
+        const { revision, snapshot } = await recordRevision(client, {
+            auditId: audit.id,
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            source: 'edit',
+            before
+        });
+
+        const denied = checkAuditEdit(req.user, before, snapshot);
+        if (denied) {
+            await client.query('ROLLBACK');
+            return res.status(denied.status).json(denied.body);
+        }
+
+        await logAuditChange(client, req, {
+            auditId: audit.id,
+            month: req.params.month,
+            before,
+            after: snapshot,
+            details: { revision: revision.revision_number }
+        });
+
+        await emitEvent(client, req.user.clinic_id, 'audit.saved', {
+            month: req.params.month,
+            auditId: audit.id,
+            version,
+            revision: revision.revision_number,
+            source: 'edit',
+            actorId: req.user.id
+        });
+
+        const alerts = await evaluateAlerts(client, req, req.params.month);
+
+        await client.query('COMMIT');
+
+        res.set('ETag', formatEtag(version));
+        res.status(result.status || 200).json({ ...result.body, version, revision: revision.revision_number, allocation, alerts });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`${label} error:`, error);
+        res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * PATCH /api/audits/:month
+ * Update header fields of a monthly audit; omitted fields are unchanged
+ */
+router.patch('/', async (req, res) => {
+    const errors = validateFields(req.body, HEADER_FIELDS);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    await editAudit(req, res, 'Update audit', req.body, async (client, auditId) => {
+        const audit = await updateAuditHeader(client, auditId, req.body);
+        return { body: { audit } };
+    });
+});
+
+/**
+ * POST /api/audits/:month/(payroll|expenses|services)
+ * Add a line item to a monthly audit
+ */
+router.post(`/${ITEM_TYPE_PARAM}`, async (req, res) => {
+    const { itemType } = req.params;
+    const errors = validateFields(req.body, ITEM_TYPES[itemType].fields);
+    if (req.body.name === undefined) {
+        errors.push('name is required');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    await editAudit(req, res, 'Add item', { [itemType]: [req.body] }, async (client, auditId) => {
+        const item = await createItem(client, auditId, itemType, req.body);
+        return { status: 201, body: { item } };
+    });
+});
+
+/**
+ * PATCH /api/audits/:month/(payroll|expenses|services)/:itemId
+ * Update fields of a line item; omitted fields are unchanged
+ */
+router.patch(`/${ITEM_TYPE_PARAM}/:itemId`, param('itemId').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { itemType, itemId } = req.params;
+    const errors = validateFields(req.body, ITEM_TYPES[itemType].fields);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    await editAudit(req, res, 'Update item', { [itemType]: [{ ...req.body, id: itemId }] }, async (client, auditId) => {
+        const item = await updateItem(client, auditId, itemType, itemId, req.body);
+        return item && { body: { item } };
+    });
+});
+
+/**
+ * DELETE /api/audits/:month/(payroll|expenses|services)/:itemId
+ * Remove a line item
+ */
+router.delete(`/${ITEM_TYPE_PARAM}/:itemId`, param('itemId').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { itemType, itemId } = req.params;
+
+    await editAudit(req, res, 'Delete item', { [itemType]: [{ id: itemId }] }, async (client, auditId) => {
+        const deleted = await deleteItem(client, auditId, itemType, itemId);
+        return deleted && { body: { message: 'Item deleted successfully' } };
+    });
+});
+
+module.exports = router;
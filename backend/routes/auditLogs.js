@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { query, validationResult } = require('express-validator');
+const { MONTH_PATTERN } = require('../utils/months');
+const { redactAudit, redactChanges } = require('../utils/permissions');
+
+router.use(authenticate);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Payroll in field changes and deleted-month snapshots needs payroll:read
+function redactDetails(user, details) {
+    if (!details) {
+        return details;
+    }
+    const redacted = { ...details };
+    if (details.changes) {
+        redacted.changes = redactChanges(user, details.changes);
+    }
+    if (details.deleted) {
+        redacted.deleted = redactAudit(user, details.deleted);
+    }
+    return redacted;
+}
+
+/**
+ * GET /api/audit-logs
+ * Activity log for clinic, newest first (logs:read)
+ * Filters: userId, apiKeyId, entityType, entityId, action, from/to (ISO dates or timestamps;
+ * a date-only `to` includes that whole day), month (audit month, YYYY-MM) and
+ * field (entries whose changes include that field, e.g. `revenue`).
+ * Paginated with page (default 1) and limit (default 50, max 200).
+ */
+router.get('/', requirePermission('logs:read'), [
+    query(['userId', 'apiKeyId', 'entityId']).optional().isUUID(),
+    query(['entityType', 'action', 'field']).optional().trim().notEmpty(),
+    query(['from', 'to']).optional().isISO8601(),
+    query('month').optional().matches(MONTH_PATTERN),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, apiKeyId, entityType, entityId, action, from, to, month, field } = req.query;
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 50, 10);
+
+    const conditions = ['l.clinic_id = $1'];
+    const params = [req.user.clinic_id];
+    const addCondition = (value, buildSql) => {
+        params.push(value);
+        conditions.push(buildSql(`$${params.length}`));
+    };
+
+    if (userId) addCondition(userId, (p) => `l.user_id = ${p}`);
+    if (apiKeyId) addCondition(apiKeyId, (p) => `l.api_key_id = ${p}`);
+    if (entityType) addCondition(entityType, (p) => `l.entity_type = ${p}`);
+    if (entityId) addCondition(entityId, (p) => `l.entity_id = ${p}`);
+    if (action) addCondition(action, (p) => `l.action = ${p}`);
+    if (from) addCondition(from, (p) => `l.created_at >= ${p}`);
+    if (to) {
+        addCondition(to, (p) => (DATE_ONLY.test(to) ? `l.created_at < ${p}::date + INTERVAL '1 day'` : `l.created_at <= ${p}`));
+    }
+    if (month) addCondition(month, (p) => `l.details->>'month' = ${p}`);
+    if (field) addCondition(field, (p) => `l.details->'changes' ? ${p}`);
+
+    const where = conditions.join(' AND ');
+
+    try {
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int as total FROM audit_logs l WHERE ${where}`,
+            params
+        );
+        const total = countResult.rows[0].total;
+
+        const result = await pool.query(
+            `SELECT l.id, l.user_id, l.api_key_id, l.action, l.entity_type, l.entity_id, l.details, l.ip_address, l.created_at,
+                    u.first_name as user_first_name, u.last_name as user_last_name, u.email as user_email,
+                    k.name as api_key_name
+             FROM audit_logs l
+             LEFT JOIN users u ON l.user_id = u.id
+             LEFT JOIN api_keys k ON l.api_key_id = k.id
+             WHERE ${where}
+             ORDER BY l.created_at DESC, l.id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            logs: result.rows.map((log) => ({ ...log, details: redactDetails(req.user, log.details) })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit logs' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const pool = require('../config/database');
+const { query, validationResult } = require('express-validator');
+const { lockAudit, loadAuditData, saveAudit } = require('../utils/auditStore');
+const { formatEtag, checkAuditVersion, conflictResponse } = require('../utils/concurrency');
+const { diffChanges, logAuditChange } = require('../utils/auditLog');
+const { isLocked, lockedResponse } = require('../utils/auditWorkflow');
+const { recordRevision, getRevision } = require('../utils/auditRevisions');
+const { checkAuditEdit, redactAudit, redactChanges } = require('../utils/permissions');
+const { evaluateAlerts } = require('../utils/alerts');
+const { emitEvent } = require('../utils/webhooks');
+
+// Mounted under /api/audits/:month by routes/audits.js (authentication already applied)
+
+/**
+ * GET /api/audits/:month/revisions
+ * List a month's revisions, newest first (snapshots omitted)
+ * A deleted month keeps its history, ending with its 'delete' revision.
+ */
+router.get('/revisions', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT r.id, r.revision_number, r.audit_version, r.source, r.restored_from, r.created_by, r.created_at,
+                    u.first_name as created_by_first_name, u.last_name as created_by_last_name,
+                    u.email as created_by_email
+             FROM audit_revisions r
+             LEFT JOIN users u ON r.created_by = u.id
+             WHERE r.clinic_id = $1 AND r.audit_month = $2
+             ORDER BY r.revision_number DESC`,
+            [req.user.clinic_id, `${req.params.month}-01`]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get audit revisions error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit revisions' });
+    }
+});
+
+/**
+ * GET /api/audits/:month/revisions/diff?from=N&to=M
+ * Field-level changes between two revisions; `to` defaults to the latest
+ */
+router.get('/revisions/diff', [
+    query('from').isInt({ min: 1 }),
+    query('to').optional().isInt({ min: 1 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { month } = req.params;
+
+    try {
+        let to = parseInt(req.query.to, 10);
+        if (!to) {
+            const latestResult = await pool.query(
+                `SELECT MAX(r.revision_number) as latest
+                 FROM audit_revisions r
+                 WHERE r.clinic_id = $1 AND r.audit_month = $2`,
+                [req.user.clinic_id, `${month}-01`]
+            );
+            to = latestResult.rows[0].latest;
+        }
+
+        const fromRevision = await getRevision(pool, req.user.clinic_id, month, parseInt(req.query.from, 10));
+        const toRevision = to ? await getRevision(pool, req.user.clinic_id, month, to) : null;
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({
+            from: fromRevision.revision_number,
+            to: toRevision.revision_number,
+            changes: redactChanges(req.user, diffChanges(fromRevision.snapshot, toRevision.snapshot))
+        });
+    } catch (error) {
+        console.error('Diff audit revisions error:', error);
+        res.status(500).json({ error: 'Failed to diff audit revisions' });
+    }
+});
+
+/**
+ * GET /api/audits/:month/revisions/:revision
+ * One revision with its full snapshot
+ */
+router.get('/revisions/:revision(\\d+)', async (req, res) => {
+    try {
+        const revision = await getRevision(pool, req.user.clinic_id, req.params.month, parseInt(req.params.revision, 10));
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({ ...revision, snapshot: redactAudit(req.user, revision.snapshot) });
+    } catch (error) {
+        console.error('Get audit revision error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit revision' });
+    }
+});
+
+/**
+ * POST /api/audits/:month/revisions/:revision/restore
+ * Save a previous revision's values as a new revision
+ * Requires If-Match with the current audit version; approved months are locked (423).
+ * A deleted month is recreated (without If-Match).
+ * Needs the permissions for every field the restore changes.
+ */
+router.post('/revisions/:revision(\\d+)/restore', async (req, res) => {
+    const { month } = req.params;
+    const revisionNumber = parseInt(req.params.revision, 10);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const audit = await lockAudit(client, req.user.clinic_id, month);
+        if (audit && isLocked(audit.status)) {
+            await client.query('ROLLBACK');
+            const locked = lockedResponse(month);
+            return res.status(locked.status).json(locked.body);
+        }
+
+        const target = await getRevision(client, req.user.clinic_id, month, revisionNumber);
+        if (!target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const rejection = await checkAuditVersion(client, {
+            audit,
+            ifMatch: req.get('If-Match'),
+            clinicId: req.user.clinic_id,
+            user: req.user,
+            month,
+            submitted: target.snapshot
+        });
+        if (rejection) {
+            await client.query('ROLLBACK');
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        const before = audit ? await loadAuditData(client, audit.id) : null;
+        const { auditId, version, allocation } = await saveAudit(client, {
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            data: { ...target.snapshot, auditMonth: month }
+        });
+
+        if (!audit && version !== 1) {
+            // Someone else created this month while we were restoring it
+            await client.query('ROLLBACK');
+            const conflict = await conflictResponse(pool, {
+                audit: await lockAudit(pool, req.user.clinic_id, month),
+                clinicId: req.user.clinic_id,
+                user: req.user,
+                month,
+                submitted: target.snapshot
+            });
+            return res.status(conflict.status).json(conflict.body);
+        }
+
+        const { revision, snapshot } = await recordRevision(client, {
+            auditId,
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            source: 'restore',
+            before,
+            restoredFrom: revisionNumber
+        });
+
+        const denied = checkAuditEdit(req.user, before, snapshot);
+        if (denied) {
+            await client.query('ROLLBACK');
+            return res.status(denied.status).json(denied.body);
+        }
+
+        await logAuditChange(client, req, {
+            auditId,
+            month,
+            before,
+            after: snapshot,
+            details: { source: 'restore', restoredFrom: revisionNumber, revision: revision.revision_number }
+        });
+
+        await emitEvent(client, req.user.clinic_id, 'audit.saved', {
+            month,
+            auditId,
+            version,
+            revision: revision.revision_number,
+            source: 'restore',
+            actorId: req.user.id
+        });
+
+        const alerts = await evaluateAlerts(client, req, month);
+
+        await client.query('COMMIT');
+
+        res.set('ETag', formatEtag(version));
+        res.json({
+            message: `Revision ${revisionNumber} restored`,
+            auditId,
+            version,
+            revision: revision.revision_number,
+            allocation,
+            alerts
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Restore audit revision error:', error);
+        res.status(500).json({ error: 'Failed to restore audit revision' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const pool = require('../config/database');
+const { lockAudit, bumpVersion } = require('../utils/auditStore');
+const { formatEtag, checkAuditVersion } = require('../utils/concurrency');
+const { logAction } = require('../utils/auditLog');
+const { TRANSITIONS, recordTransition } = require('../utils/auditWorkflow');
+const { hasPermission } = require('../utils/permissions');
+
+// Mounted under /api/audits/:month by routes/audits.js (authentication already applied)
+
+/**
+ * GET /api/audits/:month/transitions
+ * Status history of a monthly audit, oldest first, with who made each change
+ */
+router.get('/transitions', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT t.id, t.from_status, t.to_status, t.reason, t.user_id, t.created_at,
+                    u.first_name as user_first_name, u.last_name as user_last_name, u.email as user_email
+             FROM audit_status_transitions t
+             JOIN monthly_audits ma ON t.monthly_audit_id = ma.id
+             LEFT JOIN users u ON t.user_id = u.id
+             WHERE ma.clinic_id = $1 AND ma.audit_month = $2
+             ORDER BY t.created_at, t.id`,
+            [req.user.clinic_id, `${req.params.month}-01`]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get audit transitions error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit transitions' });
+    }
+});
+
+/**
+ * POST /api/audits/:month/(submit|approve|return|reopen)
+ * Move a monthly audit through its lifecycle
+ * submit: draft -> submitted (audits:submit); approve: submitted -> approved,
+ * return: submitted -> draft, reopen: approved -> draft (audits:approve; return
+ * and reopen need a `reason`). If-Match is optional and checked when sent.
+ */
+router.post(`/:transition(${Object.keys(TRANSITIONS).join('|')})`, async (req, res) => {
+    const { month, transition } = req.params;
+    const rule = TRANSITIONS[transition];
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!hasPermission(req.user, rule.permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: [rule.permission] });
+    }
+    if (rule.reasonRequired && !reason) {
+        return res.status(400).json({ error: `A reason is required to ${transition} an audit` });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const audit = await lockAudit(client, req.user.clinic_id, month);
+        if (!audit) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        if (req.get('If-Match')) {
+            const rejection = await checkAuditVersion(client, {
+                audit,
+                ifMatch: req.get('If-Match'),
+                clinicId: req.user.clinic_id,
+                user: req.user,
+                month
+            });
+            if (rejection) {
+                await client.query('ROLLBACK');
+                return res.status(rejection.status).json(rejection.body);
+            }
+        }
+
+        if (!rule.from.includes(audit.status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `Cannot ${transition} an audit that is ${audit.status}`,
+                status: audit.status
+            });
+        }
+
+        const record = await recordTransition(client, {
+            audit,
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            toStatus: rule.to,
+            reason: reason || null
+        });
+        const version = await bumpVersion(client, audit.id);
+
+        await logAction(client, req, {
+            action: `audit.${transition}`,
+            entityType: 'monthly_audit',
+            entityId: audit.id,
+            details: {
+                month,
+                reason: reason || undefined,
+                changes: { status: { before: audit.status, after: rule.to } }
+            }
+        });
+
+        await client.query('COMMIT');
+
+        res.set('ETag', formatEtag(version));
+        res.json({ message: rule.message, status: rule.to, version, transition: record });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Audit status transition error:', error);
+        res.status(500).json({ error: `Failed to ${transition} audit` });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
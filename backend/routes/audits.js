@@ -1,10 +1,38 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const pool = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { buildScorecard, resolveSettings } = require('../utils/scoring');
+const { query, validationResult } = require('express-validator');
+const { getGoalVersions, getGoalsForMonth, selectGoalsForMonth } = require('../utils/goals');
+const { MONTH_PATTERN, MAX_RANGE_MONTHS, currentMonth, addMonths, monthSpan, monthRange } = require('../utils/months');
+const { TREND_METRICS, flattenScorecard, buildTrendSeries } = require('../utils/trends');
+const { analyzeServices } = require('../utils/serviceEconomics');
+const { AUDIT_WITH_ITEMS_SELECT, getAuditWithItems, lockAudit, loadAuditData, saveAudit } = require('../utils/auditStore');
+const { formatEtag, checkAuditVersion, conflictResponse } = require('../utils/concurrency');
+const { logAction, logAuditChange } = require('../utils/auditLog');
+const { isLocked, lockedResponse } = require('../utils/auditWorkflow');
+const { recordRevision, recordDeletion } = require('../utils/auditRevisions');
+const { evaluateAlerts } = require('../utils/alerts');
+const { emitEvent } = require('../utils/webhooks');
+const { hasPermission, checkAuditEdit, redactAudit } = require('../utils/permissions');
+const { SHEET_KEYS, readWorkbook, readCsv, isValidMapping, buildAudits } = require('../utils/auditImport');
+const { TABLE_NAMES, toCsv, toXlsx, toPdf } = require('../utils/auditExport');
+const auditItemsRoutes = require('./auditItems');
+const auditStatusRoutes = require('./auditStatus');
+const auditRevisionsRoutes = require('./auditRevisions');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication; writes also check the fields they change
+router.use(authenticate, requirePermission('audits:read'));
+
+// Checked once for every route that takes a :month
+router.param('month', (req, res, next, month) => {
+    if (!MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+    next();
+});
 
 /**
  * GET /api/audits
@@ -13,33 +41,234 @@ router.use(authenticate);
 router.get('/', async (req, res) => {
     try {
         const result = await pool.query(
-            `SELECT
-                ma.*,
-                json_agg(DISTINCT jsonb_build_object('id', p.id, 'name', p.name, 'amount', p.amount))
-                    FILTER (WHERE p.id IS NOT NULL) as payroll,
-                json_agg(DISTINCT jsonb_build_object('id', ae.id, 'name', ae.name, 'amount', ae.amount, 'notes', ae.notes))
-                    FILTER (WHERE ae.id IS NOT NULL) as expenses,
-                json_agg(DISTINCT jsonb_build_object('id', s.id, 'name', s.name, 'provider_hours', s.provider_hours,
-                    'booked_hours', s.booked_hours, 'revenue', s.revenue, 'commission', s.commission,
-                    'allocated_expenses', s.allocated_expenses))
-                    FILTER (WHERE s.id IS NOT NULL) as services
-             FROM monthly_audits ma
-             LEFT JOIN payroll_items p ON ma.id = p.monthly_audit_id
-             LEFT JOIN additional_expenses ae ON ma.id = ae.monthly_audit_id
-             LEFT JOIN services s ON ma.id = s.monthly_audit_id
+            `${AUDIT_WITH_ITEMS_SELECT}
              WHERE ma.clinic_id = $1
              GROUP BY ma.id
              ORDER BY ma.audit_month DESC`,
             [req.user.clinic_id]
         );
 
-        res.json(result.rows);
+        res.json(result.rows.map((audit) => redactAudit(req.user, audit)));
     } catch (error) {
         console.error('Get audits error:', error);
         res.status(500).json({ error: 'Failed to fetch audits' });
     }
 });
 
+/**
+ * GET /api/audits/trends?from=YYYY-MM&to=YYYY-MM&metrics=revenue,profitMargin
+ * Get time series of derived metrics and scores with month-over-month and
+ * year-over-year deltas, rolling 3/12-month averages and missing-month flags
+ * Defaults to the 12 months ending with the current month and every metric;
+ * ranges are limited to 60 months
+ */
+router.get('/trends', [
+    query(['from', 'to']).optional().matches(MONTH_PATTERN),
+    query('metrics').optional().isString()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to || currentMonth();
+    const from = req.query.from || addMonths(to, -11);
+
+    if (from > to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (monthSpan(from, to) > MAX_RANGE_MONTHS) {
+        return res.status(400).json({ error: `Ranges can span at most ${MAX_RANGE_MONTHS} months` });
+    }
+
+    const metrics = req.query.metrics
+        ? req.query.metrics.split(',').map((metric) => metric.trim()).filter(Boolean)
+        : TREND_METRICS;
+    const unknownMetrics = metrics.filter((metric) => !TREND_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+        return res.status(400).json({
+            error: `Unknown metrics: ${unknownMetrics.join(', ')}`,
+            availableMetrics: TREND_METRICS
+        });
+    }
+
+    try {
+        // Load the prior 12 months as well for rolling averages and year-over-year deltas
+        const result = await pool.query(
+            `${AUDIT_WITH_ITEMS_SELECT}
+             WHERE ma.clinic_id = $1 AND ma.audit_month BETWEEN $2 AND $3
+             GROUP BY ma.id
+             ORDER BY ma.audit_month ASC`,
+            [req.user.clinic_id, `${addMonths(from, -12)}-01`, `${to}-01`]
+        );
+
+        const goalVersions = await getGoalVersions(req.user.clinic_id);
+
+        const valuesByMonth = {};
+        for (const audit of result.rows) {
+            const month = audit.month;
+            valuesByMonth[month] = flattenScorecard(
+                buildScorecard(audit, resolveSettings(selectGoalsForMonth(goalVersions, month)))
+            );
+        }
+
+        const months = monthRange(from, to);
+        const series = buildTrendSeries(valuesByMonth, months, metrics);
+
+        res.json({
+            from,
+            to,
+            metrics,
+            missingMonths: series.filter((point) => point.missing).map((point) => point.month),
+            series
+        });
+    } catch (error) {
+        console.error('Get trends error:', error);
+        res.status(500).json({ error: 'Failed to fetch trends' });
+    }
+});
+
+/**
+ * GET /api/audits/export?format=csv|xlsx|pdf&from=YYYY-MM&to=YYYY-MM
+ * Export clinic audits: flat CSV per table (?table=audits|payroll|expenses|services),
+ * multi-sheet XLSX workbook or printable PDF monthly reports
+ * from/to are optional; omitted bounds include every month
+ */
+router.get('/export', [
+    query('format').isIn(['csv', 'xlsx', 'pdf']),
+    query(['from', 'to']).optional().matches(MONTH_PATTERN),
+    query('table').optional().isIn(TABLE_NAMES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, from, to, table = 'audits' } = req.query;
+
+    if (from && to && from > to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (table === 'payroll' && !hasPermission(req.user, 'payroll:read')) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: ['payroll:read'] });
+    }
+
+    try {
+        const result = await pool.query(
+            `${AUDIT_WITH_ITEMS_SELECT}
+             WHERE ma.clinic_id = $1
+               AND ($2::date IS NULL OR ma.audit_month >= $2::date)
+               AND ($3::date IS NULL OR ma.audit_month <= $3::date)
+             GROUP BY ma.id
+             ORDER BY ma.audit_month ASC`,
+            [req.user.clinic_id, from ? `${from}-01` : null, to ? `${to}-01` : null]
+        );
+        const audits = result.rows.map((audit) => redactAudit(req.user, audit));
+
+        const goalVersions = await getGoalVersions(req.user.clinic_id);
+        const goalsForMonth = (month) => resolveSettings(selectGoalsForMonth(goalVersions, month));
+        const filename = `audits-${from || 'start'}-to-${to || 'latest'}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}-${table}.csv"`);
+            return res.send(toCsv(audits, table));
+        }
+
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+            return res.send(await toXlsx(audits, goalsForMonth));
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.send(await toPdf(audits, { clinicName: req.user.clinic_name, goalsForMonth }));
+    } catch (error) {
+        console.error('Export audits error:', error);
+        res.status(500).json({ error: 'Failed to export audits' });
+    }
+});
+
+// Service economics floors from goals, overridable with ?marginFloor=&utilizationFloor=
+function resolveServiceFloors(req, goals) {
+    return {
+        marginFloor: req.query.marginFloor !== undefined
+            ? parseFloat(req.query.marginFloor)
+            : goals.service_margin_floor,
+        utilizationFloor: req.query.utilizationFloor !== undefined
+            ? parseFloat(req.query.utilizationFloor)
+            : goals.service_utilization_floor
+    };
+}
+
+const serviceFloorValidators = [
+    query('marginFloor').optional().isFloat({ min: -100, max: 100 }),
+    query('utilizationFloor').optional().isFloat({ min: 0, max: 100 })
+];
+
+/**
+ * GET /api/audits/services/economics?from=YYYY-MM&to=YYYY-MM
+ * Get service economics across a range of months, combined by service name
+ * Defaults to the 12 months ending with the current month; at most 60 months
+ */
+router.get('/services/economics', [
+    query(['from', 'to']).optional().matches(MONTH_PATTERN),
+    ...serviceFloorValidators
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to || currentMonth();
+    const from = req.query.from || addMonths(to, -11);
+
+    if (from > to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (monthSpan(from, to) > MAX_RANGE_MONTHS) {
+        return res.status(400).json({ error: `Ranges can span at most ${MAX_RANGE_MONTHS} months` });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT s.name,
+                    SUM(s.provider_hours) as provider_hours,
+                    SUM(s.booked_hours) as booked_hours,
+                    SUM(s.revenue) as revenue,
+                    SUM(s.commission) as commission,
+                    SUM(s.allocated_expenses) as allocated_expenses,
+                    COUNT(DISTINCT ma.id) as months_reported
+             FROM services s
+             JOIN monthly_audits ma ON s.monthly_audit_id = ma.id
+             WHERE ma.clinic_id = $1 AND ma.audit_month BETWEEN $2 AND $3
+             GROUP BY s.name
+             ORDER BY s.name`,
+            [req.user.clinic_id, `${from}-01`, `${to}-01`]
+        );
+
+        const goals = resolveSettings(await getGoalsForMonth(req.user.clinic_id, to));
+        const floors = resolveServiceFloors(req, goals);
+        const { services, totals } = analyzeServices(result.rows, floors);
+
+        const monthsReported = Object.fromEntries(
+            result.rows.map((row) => [row.name, parseInt(row.months_reported, 10)])
+        );
+
+        res.json({
+            from,
+            to,
+            floors,
+            services: services.map((service) => ({ ...service, monthsReported: monthsReported[service.name] })),
+            totals
+        });
+    } catch (error) {
+        console.error('Get service economics range error:', error);
+        res.status(500).json({ error: 'Failed to fetch service economics' });
+    }
+});
+
 /**
  * GET /api/audits/:month
  * Get specific monthly audit (YYYY-MM format)
@@ -48,185 +277,498 @@ router.get('/:month', async (req, res) => {
     const { month } = req.params;
 
     try {
-        const result = await pool.query(
-            `SELECT
-                ma.*,
-                json_agg(DISTINCT jsonb_build_object('id', p.id, 'name', p.name, 'amount', p.amount))
-                    FILTER (WHERE p.id IS NOT NULL) as payroll,
-                json_agg(DISTINCT jsonb_build_object('id', ae.id, 'name', ae.name, 'amount', ae.amount, 'notes', ae.notes))
-                    FILTER (WHERE ae.id IS NOT NULL) as expenses,
-                json_agg(DISTINCT jsonb_build_object('id', s.id, 'name', s.name, 'provider_hours', s.provider_hours,
-                    'booked_hours', s.booked_hours, 'revenue', s.revenue, 'commission', s.commission,
-                    'allocated_expenses', s.allocated_expenses))
-                    FILTER (WHERE s.id IS NOT NULL) as services
-             FROM monthly_audits ma
-             LEFT JOIN payroll_items p ON ma.id = p.monthly_audit_id
-             LEFT JOIN additional_expenses ae ON ma.id = ae.monthly_audit_id
-             LEFT JOIN services s ON ma.id = s.monthly_audit_id
-             WHERE ma.clinic_id = $1 AND ma.audit_month = $2
-             GROUP BY ma.id`,
-            [req.user.clinic_id, `${month}-01`]
-        );
+        const audit = await getAuditWithItems(pool, req.user.clinic_id, month);
 
-        if (result.rows.length === 0) {
+        if (!audit) {
             return res.status(404).json({ error: 'Audit not found' });
         }
 
-        res.json(result.rows[0]);
+        res.set('ETag', formatEtag(audit.version));
+        res.json(redactAudit(req.user, audit));
     } catch (error) {
         console.error('Get audit error:', error);
         res.status(500).json({ error: 'Failed to fetch audit' });
     }
 });
 
+/**
+ * GET /api/audits/:month/scorecard
+ * Get derived metrics and 4-bucket scores for a month (YYYY-MM format)
+ */
+router.get('/:month/scorecard', async (req, res) => {
+    const { month } = req.params;
+
+    try {
+        const audit = await getAuditWithItems(pool, req.user.clinic_id, month);
+
+        if (!audit) {
+            return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        const goals = resolveSettings(await getGoalsForMonth(req.user.clinic_id, month));
+
+        const { metrics, scores } = buildScorecard(audit, goals);
+
+        res.json({
+            auditMonth: month,
+            goals,
+            metrics,
+            scores
+        });
+    } catch (error) {
+        console.error('Get scorecard error:', error);
+        res.status(500).json({ error: 'Failed to calculate scorecard' });
+    }
+});
+
+/**
+ * GET /api/audits/:month/services/economics
+ * Get per-service economics for a month (YYYY-MM format)
+ */
+router.get('/:month/services/economics', serviceFloorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { month } = req.params;
+
+    try {
+        const auditResult = await pool.query(
+            'SELECT id FROM monthly_audits WHERE clinic_id = $1 AND audit_month = $2',
+            [req.user.clinic_id, `${month}-01`]
+        );
+
+        if (auditResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        const servicesResult = await pool.query(
+            'SELECT * FROM services WHERE monthly_audit_id = $1 ORDER BY name',
+            [auditResult.rows[0].id]
+        );
+
+        const goals = resolveSettings(await getGoalsForMonth(req.user.clinic_id, month));
+        const floors = resolveServiceFloors(req, goals);
+        const { services, totals } = analyzeServices(servicesResult.rows, floors);
+
+        res.json({ auditMonth: month, floors, services, totals });
+    } catch (error) {
+        console.error('Get service economics error:', error);
+        res.status(500).json({ error: 'Failed to fetch service economics' });
+    }
+});
+
 /**
  * POST /api/audits
  * Create or update monthly audit
+ * Items with an `id` from this audit are updated in place; items without one
+ * are added and stored items missing from the lists are removed.
+ * Updating an existing month requires If-Match with its current version;
+ * approved months are locked (423). Every changed field needs its permission
+ * (403 lists them); without payroll:read the stored payroll is kept.
+ * Alert rules are checked; `alerts` lists the ones the save triggered.
  */
 router.post('/', async (req, res) => {
-    const {
-        auditMonth,
-        clinicName,
-        revenue,
-        operatingExpenses,
-        cogs,
-        websiteVisits,
-        websiteConversionRate,
-        newClientVisits,
-        clientsConvertingToTreatment,
-        totalClients,
-        totalAppointments,
-        marketingSpend,
-        payroll,
-        expenses,
-        services
-    } = req.body;
+    const { auditMonth } = req.body;
+
+    if (!MONTH_PATTERN.test(auditMonth || '')) {
+        return res.status(400).json({ error: 'auditMonth must be in YYYY-MM format' });
+    }
 
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
 
-        // Upsert monthly audit
-        const auditResult = await client.query(
-            `INSERT INTO monthly_audits (
-                clinic_id, audit_month, clinic_name, revenue, operating_expenses, cogs,
-                website_visits, website_conversion_rate, new_client_visits,
-                clients_converting_to_treatment, total_clients, total_appointments,
-                marketing_spend, created_by
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-            ON CONFLICT (clinic_id, audit_month)
-            DO UPDATE SET
-                clinic_name = EXCLUDED.clinic_name,
-                revenue = EXCLUDED.revenue,
-                operating_expenses = EXCLUDED.operating_expenses,
-                cogs = EXCLUDED.cogs,
-                website_visits = EXCLUDED.website_visits,
-                website_conversion_rate = EXCLUDED.website_conversion_rate,
-                new_client_visits = EXCLUDED.new_client_visits,
-                clients_converting_to_treatment = EXCLUDED.clients_converting_to_treatment,
-                total_clients = EXCLUDED.total_clients,
-                total_appointments = EXCLUDED.total_appointments,
-                marketing_spend = EXCLUDED.marketing_spend,
-                updated_at = NOW()
-            RETURNING id`,
-            [
-                req.user.clinic_id,
-                `${auditMonth}-01`,
-                clinicName,
-                revenue || 0,
-                operatingExpenses || 0,
-                cogs || 0,
-                websiteVisits || 0,
-                websiteConversionRate || 0,
-                newClientVisits || 0,
-                clientsConvertingToTreatment || 0,
-                totalClients || 0,
-                totalAppointments || 0,
-                marketingSpend || 0,
-                req.user.id
-            ]
-        );
+        const existing = await lockAudit(client, req.user.clinic_id, auditMonth);
+        if (existing && isLocked(existing.status)) {
+            await client.query('ROLLBACK');
+            const locked = lockedResponse(auditMonth);
+            return res.status(locked.status).json(locked.body);
+        }
+
+        const rejection = await checkAuditVersion(client, {
+            audit: existing,
+            ifMatch: req.get('If-Match'),
+            clinicId: req.user.clinic_id,
+            user: req.user,
+            month: auditMonth,
+            submitted: req.body
+        });
+        if (rejection) {
+            await client.query('ROLLBACK');
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        const before = existing ? await loadAuditData(client, existing.id) : null;
+        // Payroll is hidden from these users, so they can't be sending it back
+        const data = hasPermission(req.user, 'payroll:read')
+            ? req.body
+            : { ...req.body, payroll: before ? before.payroll : [] };
+        const { auditId, version, allocation } = await saveAudit(client, {
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            data
+        });
+
+        if (!existing && version !== 1) {
+            // Someone else created this month while we were saving
+            await client.query('ROLLBACK');
+            const conflict = await conflictResponse(pool, {
+                audit: await lockAudit(pool, req.user.clinic_id, auditMonth),
+                clinicId: req.user.clinic_id,
+                user: req.user,
+                month: auditMonth,
+                submitted: req.body
+            });
+            return res.status(conflict.status).json(conflict.body);
+        }
+
+        const { revision, snapshot } = await recordRevision(client, {
+            auditId,
+            clinicId: req.user.clinic_id,
+            userId: req.user.id,
+            source: 'save',
+            before
+        });
+
+        const denied = checkAuditEdit(req.user, before, snapshot);
+        if (denied) {
+            await client.query('ROLLBACK');
+            return res.status(denied.status).json(denied.body);
+        }
 
-        const auditId = auditResult.rows[0].id;
+        await logAuditChange(client, req, {
+            auditId,
+            month: auditMonth,
+            before,
+            after: snapshot,
+            details: { revision: revision.revision_number }
+        });
 
-        // Delete existing related records
-        await client.query('DELETE FROM payroll_items WHERE monthly_audit_id = $1', [auditId]);
-        await client.query('DELETE FROM additional_expenses WHERE monthly_audit_id = $1', [auditId]);
-        await client.query('DELETE FROM services WHERE monthly_audit_id = $1', [auditId]);
+        await emitEvent(client, req.user.clinic_id, 'audit.saved', {
+            month: auditMonth,
+            auditId,
+            version,
+            revision: revision.revision_number,
+            source: 'save',
+            actorId: req.user.id
+        });
+
+        const alerts = await evaluateAlerts(client, req, auditMonth);
+
+        await client.query('COMMIT');
+
+        res.set('ETag', formatEtag(version));
+        res.json({
+            message: 'Audit saved successfully',
+            auditId,
+            version,
+            revision: revision.revision_number,
+            allocation,
+            alerts
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Save audit error:', error);
+        res.status(500).json({ error: 'Failed to save audit' });
+    } finally {
+        client.release();
+    }
+});
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+}).fields([
+    { name: 'file', maxCount: 1 },
+    ...SHEET_KEYS.map((name) => ({ name, maxCount: 1 }))
+]);
+
+/**
+ * POST /api/audits/import
+ * Import monthly audits from spreadsheets (multipart/form-data)
+ * Either `file` (XLSX with Audits, Payroll, Expenses and Services sheets) or
+ * one CSV per sheet in `audits`, `payroll`, `expenses` and `services`.
+ * Optional `mapping` field: JSON { sheet: { header: field } } column overrides.
+ * Previews by default; ?commit=true saves every month in one transaction.
+ * Overwriting an existing month needs its version in the `versions` field,
+ * JSON { "YYYY-MM": version } (as listed by the preview, or "*" to overwrite
+ * whatever is stored): missing versions are refused with 428 and stale ones
+ * with 409 and the conflict diff. Approved (locked) months fail validation.
+ */
+router.post('/import', (req, res, next) => {
+    importUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const files = req.files || {};
+    const commit = req.query.commit === 'true';
+
+    let mapping = {};
+    if (req.body.mapping) {
+        try {
+            mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+            return res.status(400).json({ error: 'mapping must be valid JSON' });
+        }
+        if (!isValidMapping(mapping)) {
+            return res.status(400).json({ error: 'mapping must be an object of { sheet: { header: field } }' });
+        }
+    }
+
+    let versions = {};
+    if (req.body.versions) {
+        try {
+            versions = JSON.parse(req.body.versions);
+        } catch (err) {
+            return res.status(400).json({ error: 'versions must be valid JSON' });
+        }
+        const valid = versions !== null && typeof versions === 'object' && !Array.isArray(versions)
+            && Object.entries(versions).every(([month, version]) => (
+                MONTH_PATTERN.test(month) && (version === '*' || (Number.isInteger(version) && version > 0))
+            ));
+        if (!valid) {
+            return res.status(400).json({ error: 'versions must be an object of { "YYYY-MM": version or "*" }' });
+        }
+    }
 
-        // Insert payroll items
-        if (payroll && payroll.length > 0) {
-            for (const item of payroll) {
-                await client.query(
-                    'INSERT INTO payroll_items (monthly_audit_id, name, amount) VALUES ($1, $2, $3)',
-                    [auditId, item.name, item.amount || 0]
-                );
+    let sheets;
+    try {
+        if (files.file) {
+            sheets = await readWorkbook(files.file[0].buffer);
+        } else if (files.audits) {
+            sheets = {};
+            for (const key of SHEET_KEYS) {
+                if (files[key]) {
+                    sheets[key] = readCsv(files[key][0].buffer);
+                }
             }
+        } else {
+            return res.status(400).json({ error: 'Upload an XLSX workbook as `file` or CSV files per sheet' });
         }
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read file: ${error.message}` });
+    }
+
+    let audits;
+    try {
+        const built = buildAudits(sheets, mapping);
+        audits = built.audits;
+        const { errors, unmappedColumns } = built;
 
-        // Insert expenses
-        if (expenses && expenses.length > 0) {
-            for (const item of expenses) {
-                await client.query(
-                    'INSERT INTO additional_expenses (monthly_audit_id, name, amount, notes) VALUES ($1, $2, $3, $4)',
-                    [auditId, item.name, item.amount || 0, item.notes || null]
-                );
+        const existingResult = await pool.query(
+            `SELECT to_char(audit_month, 'YYYY-MM') as month, status, version FROM monthly_audits
+             WHERE clinic_id = $1 AND audit_month = ANY($2::date[])`,
+            [req.user.clinic_id, audits.map((audit) => `${audit.auditMonth}-01`)]
+        );
+        const existingMonths = new Map(existingResult.rows.map((row) => [row.month, row]));
+
+        for (const [month, { status }] of existingMonths) {
+            if (isLocked(status)) {
+                errors.push({ sheet: 'audits', row: null, field: 'auditMonth', message: lockedResponse(month).body.error });
             }
         }
 
-        // Insert services
-        if (services && services.length > 0) {
-            for (const item of services) {
-                await client.query(
-                    `INSERT INTO services (monthly_audit_id, name, provider_hours, booked_hours, revenue, commission, allocated_expenses)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                    [
-                        auditId,
-                        item.name,
-                        item.providerHours || 0,
-                        item.bookedHours || 0,
-                        item.revenue || 0,
-                        item.commission || 0,
-                        item.allocatedExpenses || 0
-                    ]
-                );
+        const preview = audits.map((audit) => ({
+            auditMonth: audit.auditMonth,
+            overwrites: existingMonths.has(audit.auditMonth),
+            version: existingMonths.has(audit.auditMonth) ? existingMonths.get(audit.auditMonth).version : null,
+            locked: existingMonths.has(audit.auditMonth) && isLocked(existingMonths.get(audit.auditMonth).status),
+            payroll: audit.payroll.length,
+            expenses: audit.expenses.length,
+            services: audit.services.length
+        }));
+
+        if (!commit || errors.length > 0) {
+            return res.status(commit ? 400 : 200).json({
+                dryRun: true,
+                valid: errors.length === 0,
+                months: preview,
+                errors,
+                unmappedColumns
+            });
+        }
+    } catch (error) {
+        console.error('Import preview error:', error);
+        return res.status(500).json({ error: 'Failed to preview import' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const imported = [];
+        const alerts = [];
+        for (const audit of audits) {
+            const existing = await lockAudit(client, req.user.clinic_id, audit.auditMonth);
+            if (existing && isLocked(existing.status)) {
+                // Approved since the preview check above
+                await client.query('ROLLBACK');
+                const locked = lockedResponse(audit.auditMonth);
+                return res.status(locked.status).json(locked.body);
+            }
+
+            const expected = versions[audit.auditMonth];
+            const rejection = await checkAuditVersion(client, {
+                audit: existing,
+                ifMatch: expected !== undefined ? String(expected) : undefined,
+                clinicId: req.user.clinic_id,
+                user: req.user,
+                month: audit.auditMonth,
+                submitted: audit
+            });
+            if (rejection) {
+                await client.query('ROLLBACK');
+                const body = rejection.status === 428
+                    ? { ...rejection.body, error: 'versions must include the current version of every month the import overwrites' }
+                    : rejection.body;
+                return res.status(rejection.status).json({ ...body, auditMonth: audit.auditMonth });
+            }
+
+            const before = existing ? await loadAuditData(client, existing.id) : null;
+            const { auditId, version } = await saveAudit(client, {
+                clinicId: req.user.clinic_id,
+                userId: req.user.id,
+                data: audit
+            });
+
+            if (!existing && version !== 1) {
+                // Someone else created this month while we were importing
+                await client.query('ROLLBACK');
+                const conflict = await conflictResponse(pool, {
+                    audit: await lockAudit(pool, req.user.clinic_id, audit.auditMonth),
+                    clinicId: req.user.clinic_id,
+                    user: req.user,
+                    month: audit.auditMonth,
+                    submitted: audit
+                });
+                return res.status(conflict.status).json({ ...conflict.body, auditMonth: audit.auditMonth });
+            }
+            const { revision, snapshot } = await recordRevision(client, {
+                auditId,
+                clinicId: req.user.clinic_id,
+                userId: req.user.id,
+                source: 'import',
+                before
+            });
+
+            const denied = checkAuditEdit(req.user, before, snapshot);
+            if (denied) {
+                await client.query('ROLLBACK');
+                return res.status(denied.status).json({ ...denied.body, auditMonth: audit.auditMonth });
             }
+
+            await logAuditChange(client, req, {
+                auditId,
+                month: audit.auditMonth,
+                before,
+                after: snapshot,
+                details: { source: 'import', revision: revision.revision_number }
+            });
+            await emitEvent(client, req.user.clinic_id, 'audit.saved', {
+                month: audit.auditMonth,
+                auditId,
+                version,
+                revision: revision.revision_number,
+                source: 'import',
+                actorId: req.user.id
+            });
+            imported.push({ auditMonth: audit.auditMonth, auditId, revision: revision.revision_number });
+        }
+
+        // After every month is in, so month-over-month rules see the imported neighbours
+        for (const { auditMonth } of imported) {
+            alerts.push(...await evaluateAlerts(client, req, auditMonth));
         }
 
         await client.query('COMMIT');
 
-        res.json({ message: 'Audit saved successfully', auditId });
+        res.json({ message: `Imported ${imported.length} month(s)`, imported, unmappedColumns, alerts });
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Save audit error:', error);
-        res.status(500).json({ error: 'Failed to save audit' });
+        console.error('Import audits error:', error);
+        res.status(500).json({ error: 'Failed to import audits' });
     } finally {
         client.release();
     }
 });
 
+// Header and line item edits: PATCH /:month, /:month/(payroll|expenses|services)[/:itemId]
+router.use('/:month', auditItemsRoutes);
+
+// Lifecycle: POST /:month/(submit|approve|return|reopen), GET /:month/transitions
+router.use('/:month', auditStatusRoutes);
+
+// Revision history: GET /:month/revisions[/:revision|/diff], POST /:month/revisions/:revision/restore
+router.use('/:month', auditRevisionsRoutes);
+
 /**
  * DELETE /api/audits/:month
- * Delete monthly audit
+ * Delete monthly audit (requires If-Match with its current version)
+ * Approved months are locked (423). Its revision history stays, ending with a
+ * 'delete' revision of its last state; restore that to bring the month back.
  */
-router.delete('/:month', async (req, res) => {
+router.delete('/:month', requirePermission('audits:delete'), async (req, res) => {
     const { month } = req.params;
 
+    const client = await pool.connect();
+
     try {
-        const result = await pool.query(
-            'DELETE FROM monthly_audits WHERE clinic_id = $1 AND audit_month = $2 RETURNING id',
-            [req.user.clinic_id, `${month}-01`]
-        );
+        await client.query('BEGIN');
 
-        if (result.rowCount === 0) {
+        const audit = await lockAudit(client, req.user.clinic_id, month);
+        if (!audit) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Audit not found' });
         }
+        if (isLocked(audit.status)) {
+            await client.query('ROLLBACK');
+            const locked = lockedResponse(month);
+            return res.status(locked.status).json(locked.body);
+        }
+
+        const rejection = await checkAuditVersion(client, {
+            audit,
+            ifMatch: req.get('If-Match'),
+            clinicId: req.user.clinic_id,
+            user: req.user,
+            month
+        });
+        if (rejection) {
+            await client.query('ROLLBACK');
+            return res.status(rejection.status).json(rejection.body);
+        }
 
-        res.json({ message: 'Audit deleted successfully' });
+        const before = await loadAuditData(client, audit.id);
+        const revision = await recordDeletion(client, { audit, userId: req.user.id, snapshot: before });
+        await client.query('DELETE FROM monthly_audits WHERE id = $1', [audit.id]);
+        await logAction(client, req, {
+            action: 'audit.delete',
+            entityType: 'monthly_audit',
+            entityId: audit.id,
+            details: { month, deleted: before, revision: revision.revision_number }
+        });
+        await emitEvent(client, req.user.clinic_id, 'audit.deleted', {
+            month,
+            auditId: audit.id,
+            actorId: req.user.id
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Audit deleted successfully', revision: revision.revision_number });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Delete audit error:', error);
         res.status(500).json({ error: 'Failed to delete audit' });
+    } finally {
+        client.release();
     }
 });
 
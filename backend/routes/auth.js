@@ -1,16 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
-const { sendEmail } = require('../utils/email');
+const { queueEmail } = require('../utils/emailQueue');
+const { logAction } = require('../utils/auditLog');
+const { authenticateUser, authenticateForTwoFactorSetup } = require('../middleware/auth');
+const {
+    createSession,
+    rotateRefreshToken,
+    switchSessionClinic,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+} = require('../utils/sessions');
+const { createChallengeToken, verifyChallengeToken, verifySecondFactor } = require('../utils/twoFactor');
+const { rateLimit } = require('../middleware/rateLimit');
+const { roleName } = require('../utils/permissions');
+const {
+    checkAccountLock,
+    sendLocked,
+    recordLoginFailure,
+    clearLoginFailures,
+    recordAttempt
+} = require('../utils/accountLockout');
+
+const MINUTE = 60 * 1000;
+
+// Per-IP limits; per-account protection is the lockout in utils/accountLockout
+const loginLimit = rateLimit({ name: 'login', windowMs: 15 * MINUTE, max: 20 });
+const twoFactorLimit = rateLimit({ name: 'login-2fa', windowMs: 15 * MINUTE, max: 10 });
+const forgotPasswordIpLimit = rateLimit({ name: 'forgot-password', windowMs: 60 * MINUTE, max: 10 });
+// Caps reset emails per address, whoever asks for them
+const forgotPasswordEmailLimit = rateLimit({
+    name: 'forgot-password-email',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    keyGenerator: (req) => req.body.email
+});
+const acceptInvitationLimit = rateLimit({ name: 'accept-invitation', windowMs: 15 * MINUTE, max: 10 });
+const confirmEmailLimit = rateLimit({ name: 'confirm-email', windowMs: 15 * MINUTE, max: 10 });
+const refreshLimit = rateLimit({ name: 'refresh', windowMs: 15 * MINUTE, max: 100 });
 
 /**
  * POST /api/auth/signup
- * Create new clinic + admin user
+ * Create new organization + clinic + owner user
+ * organizationName defaults to the clinic name.
  */
 router.post('/signup', [
     body('email').isEmail().normalizeEmail(),
@@ -18,13 +55,14 @@ router.post('/signup', [
     body('firstName').trim().notEmpty(),
     body('lastName').trim().notEmpty(),
     body('clinicName').trim().notEmpty(),
+    body('organizationName').optional().trim().notEmpty(),
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, clinicName, clinicLocation } = req.body;
+    const { email, password, firstName, lastName, clinicName, clinicLocation, organizationName } = req.body;
 
     const client = await pool.connect();
 
@@ -41,17 +79,21 @@ router.post('/signup', [
         // Hash password
         const passwordHash = await bcrypt.hash(password, 10);
 
-        // Create clinic
+        // Create organization and its first clinic
+        const organizationResult = await client.query(
+            'INSERT INTO organizations (name) VALUES ($1) RETURNING id',
+            [organizationName || clinicName]
+        );
         const clinicResult = await client.query(
-            'INSERT INTO clinics (name, location) VALUES ($1, $2) RETURNING id',
-            [clinicName, clinicLocation || null]
+            'INSERT INTO clinics (organization_id, name, location) VALUES ($1, $2, $3) RETURNING id',
+            [organizationResult.rows[0].id, clinicName, clinicLocation || null]
         );
         const clinicId = clinicResult.rows[0].id;
 
-        // Create admin user
+        // Create owner user
         const userResult = await client.query(
             `INSERT INTO users (email, password_hash, first_name, last_name, role, clinic_id)
-             VALUES ($1, $2, $3, $4, 'admin', $5)
+             VALUES ($1, $2, $3, $4, 'owner', $5)
              RETURNING id, email, first_name, last_name, role, clinic_id`,
             [email, passwordHash, firstName, lastName, clinicId]
         );
@@ -63,18 +105,23 @@ router.post('/signup', [
             [clinicId]
         );
 
-        await client.query('COMMIT');
+        await logAction(client, req, {
+            action: 'auth.signup',
+            entityType: 'user',
+            entityId: user.id,
+            clinicId,
+            userId: user.id,
+            details: { email, clinicName }
+        });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, clinicId: user.clinic_id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.SESSION_TIMEOUT || '24h' }
-        );
+        const { token, refreshToken } = await createSession(client, user, req);
+
+        await client.query('COMMIT');
 
         res.status(201).json({
             message: 'Account created successfully',
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -94,14 +141,58 @@ router.post('/signup', [
     }
 });
 
+const LOGIN_USER_SELECT = `SELECT u.id, u.email, u.password_hash, u.first_name, u.last_name, u.role,
+                u.clinic_id, u.is_active, u.totp_enabled, u.totp_secret, u.totp_last_used_step,
+                u.failed_login_count, u.last_failed_login_at, u.locked_until,
+                c.name as clinic_name
+         FROM users u
+         JOIN clinics c ON u.clinic_id = c.id`;
+
+/**
+ * Finish a login: record it, start a session and send the tokens
+ */
+async function completeLogin(req, res, user, details = null) {
+    // Update last login
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    await clearLoginFailures(pool, user.id);
+    await logAction(pool, req, {
+        action: 'auth.login',
+        entityType: 'user',
+        entityId: user.id,
+        clinicId: user.clinic_id,
+        userId: user.id,
+        details
+    });
+
+    const { token, refreshToken } = await createSession(pool, user, req);
+
+    res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: {
+            id: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            role: user.role,
+            clinicId: user.clinic_id,
+            clinicName: user.clinic_name
+        }
+    });
+}
+
 /**
  * POST /api/auth/login
  * User login
+ * With 2FA enabled the response is { twoFactorRequired, challengeToken }
+ * instead of tokens; finish with POST /api/auth/login/2fa.
+ * Repeated failures slow down and then lock the account (429 + Retry-After).
  */
 router.post('/login', [
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty()
-], async (req, res) => {
+], loginLimit, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -110,55 +201,126 @@ router.post('/login', [
     const { email, password } = req.body;
 
     try {
-        const result = await pool.query(
-            `SELECT u.id, u.email, u.password_hash, u.first_name, u.last_name, u.role,
-                    u.clinic_id, u.is_active, c.name as clinic_name
-             FROM users u
-             JOIN clinics c ON u.clinic_id = c.id
-             WHERE u.email = $1`,
-            [email]
-        );
+        const result = await pool.query(`${LOGIN_USER_SELECT} WHERE u.email = $1`, [email]);
 
         if (result.rows.length === 0) {
+            await recordAttempt(pool, req, { kind: 'login', success: false, email, reason: 'unknown_email' });
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
         const user = result.rows[0];
 
+        // Checked before the password so a locked account can't be probed
+        const lock = checkAccountLock(user);
+        if (lock) {
+            await recordAttempt(pool, req, {
+                kind: 'login',
+                success: false,
+                email,
+                userId: user.id,
+                reason: lock.locked ? 'locked' : 'throttled'
+            });
+            return sendLocked(res, lock);
+        }
+
         if (!user.is_active) {
             return res.status(403).json({ error: 'Account is inactive' });
         }
 
         const validPassword = await bcrypt.compare(password, user.password_hash);
         if (!validPassword) {
+            await recordLoginFailure(pool, user.id);
+            await recordAttempt(pool, req, { kind: 'login', success: false, email, userId: user.id, reason: 'bad_password' });
+            await logAction(pool, req, {
+                action: 'auth.login_failed',
+                entityType: 'user',
+                entityId: user.id,
+                clinicId: user.clinic_id,
+                userId: user.id,
+                details: { email }
+            });
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Update last login
-        await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+        await recordAttempt(pool, req, { kind: 'login', success: true, email, userId: user.id });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, clinicId: user.clinic_id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.SESSION_TIMEOUT || '24h' }
-        );
+        if (user.totp_enabled) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: createChallengeToken(user.id)
+            });
+        }
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
+        await completeLogin(req, res, user);
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: challengeToken plus a TOTP `code` or a `recoveryCode`
+ */
+router.post('/login/2fa', [
+    body('challengeToken').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString()
+], twoFactorLimit, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+        return res.status(401).json({ error: 'Login challenge expired; sign in again' });
+    }
+
+    try {
+        const result = await pool.query(`${LOGIN_USER_SELECT} WHERE u.id = $1`, [userId]);
+        const user = result.rows[0];
+
+        if (!user || !user.is_active || !user.totp_enabled) {
+            return res.status(401).json({ error: 'Login challenge expired; sign in again' });
+        }
+
+        const lock = checkAccountLock(user);
+        if (lock) {
+            await recordAttempt(pool, req, {
+                kind: 'two_factor',
+                success: false,
                 email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                role: user.role,
+                userId: user.id,
+                reason: lock.locked ? 'locked' : 'throttled'
+            });
+            return sendLocked(res, lock);
+        }
+
+        if (!await verifySecondFactor(pool, user, req.body)) {
+            await recordLoginFailure(pool, user.id);
+            await recordAttempt(pool, req, {
+                kind: 'two_factor',
+                success: false,
+                email: user.email,
+                userId: user.id,
+                reason: 'bad_code'
+            });
+            await logAction(pool, req, {
+                action: 'auth.two_factor_failed',
+                entityType: 'user',
+                entityId: user.id,
                 clinicId: user.clinic_id,
-                clinicName: user.clinic_name
-            }
-        });
+                userId: user.id
+            });
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await recordAttempt(pool, req, { kind: 'two_factor', success: true, email: user.email, userId: user.id });
+        await completeLogin(req, res, user, { twoFactor: req.body.recoveryCode ? 'recovery_code' : 'totp' });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Two-factor login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
@@ -166,10 +328,11 @@ router.post('/login', [
 /**
  * POST /api/auth/forgot-password
  * Request password reset email
+ * Limited per IP and per address so it can't be used to flood an inbox.
  */
 router.post('/forgot-password', [
     body('email').isEmail().normalizeEmail()
-], async (req, res) => {
+], forgotPasswordIpLimit, forgotPasswordEmailLimit, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -178,7 +341,14 @@ router.post('/forgot-password', [
     const { email } = req.body;
 
     try {
-        const result = await pool.query('SELECT id, first_name FROM users WHERE email = $1', [email]);
+        const result = await pool.query('SELECT id, first_name, clinic_id FROM users WHERE email = $1', [email]);
+        await recordAttempt(pool, req, {
+            kind: 'forgot_password',
+            success: result.rows.length > 0,
+            email,
+            userId: result.rows.length > 0 ? result.rows[0].id : null,
+            reason: result.rows.length > 0 ? null : 'unknown_email'
+        });
 
         // Always return success to prevent email enumeration
         if (result.rows.length === 0) {
@@ -195,20 +365,24 @@ router.post('/forgot-password', [
             'INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
             [user.id, resetToken, expiresAt]
         );
+        await logAction(pool, req, {
+            action: 'auth.password_reset_request',
+            entityType: 'user',
+            entityId: user.id,
+            clinicId: user.clinic_id,
+            userId: user.id
+        });
 
         // Send reset email
-        const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-        await sendEmail({
+        await queueEmail(pool, {
+            template: 'passwordReset',
             to: email,
-            subject: 'Reset Your Password',
-            html: `
-                <h2>Password Reset Request</h2>
-                <p>Hi ${user.first_name},</p>
-                <p>You requested to reset your password. Click the link below to create a new password:</p>
-                <p><a href="${resetLink}">${resetLink}</a></p>
-                <p>This link expires in ${process.env.PASSWORD_RESET_EXPIRY_HOURS || 1} hour(s).</p>
-                <p>If you didn't request this, please ignore this email.</p>
-            `
+            clinicId: user.clinic_id,
+            variables: {
+                firstName: user.first_name,
+                resetLink: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+                expiryHours: process.env.PASSWORD_RESET_EXPIRY_HOURS || 1
+            }
         });
 
         res.json({ message: 'If that email exists, a password reset link has been sent' });
@@ -239,8 +413,9 @@ router.post('/reset-password', [
         await client.query('BEGIN');
 
         const result = await client.query(
-            `SELECT user_id FROM password_reset_tokens
-             WHERE token = $1 AND expires_at > NOW() AND used = false`,
+            `SELECT t.user_id, u.clinic_id FROM password_reset_tokens t
+             JOIN users u ON t.user_id = u.id
+             WHERE t.token = $1 AND t.expires_at > NOW() AND t.used = false`,
             [token]
         );
 
@@ -249,7 +424,7 @@ router.post('/reset-password', [
             return res.status(400).json({ error: 'Invalid or expired reset token' });
         }
 
-        const userId = result.rows[0].user_id;
+        const { user_id: userId, clinic_id: clinicId } = result.rows[0];
 
         // Hash new password
         const passwordHash = await bcrypt.hash(newPassword, 10);
@@ -260,6 +435,17 @@ router.post('/reset-password', [
         // Mark token as used
         await client.query('UPDATE password_reset_tokens SET used = true WHERE token = $1', [token]);
 
+        // Sign out every device using the old password
+        await revokeUserSessions(client, userId, 'password_reset');
+
+        await logAction(client, req, {
+            action: 'auth.password_reset',
+            entityType: 'user',
+            entityId: userId,
+            clinicId,
+            userId
+        });
+
         await client.query('COMMIT');
 
         res.json({ message: 'Password reset successfully' });
@@ -272,16 +458,214 @@ router.post('/reset-password', [
     }
 });
 
+/**
+ * POST /api/auth/confirm-email
+ * Confirm an email change (token from POST /api/users/me/email) and swap the address
+ * The old address is told about the change.
+ */
+router.post('/confirm-email', [
+    body('token').notEmpty()
+], confirmEmailLimit, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token } = req.body;
+    const client = await pool.connect();
+    let change;
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `SELECT t.id, t.user_id, t.new_email, u.email as old_email, u.first_name, u.clinic_id
+             FROM email_change_tokens t
+             JOIN users u ON t.user_id = u.id
+             WHERE t.token = $1 AND t.expires_at > NOW() AND t.used = false
+             FOR UPDATE OF t`,
+            [token]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+        }
+
+        change = result.rows[0];
+
+        // Someone may have registered the address since the change was requested
+        const existingUser = await client.query('SELECT id FROM users WHERE email = $1', [change.new_email]);
+        if (existingUser.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+
+        await client.query('UPDATE users SET email = $1 WHERE id = $2', [change.new_email, change.user_id]);
+        await client.query('UPDATE email_change_tokens SET used = true WHERE id = $1', [change.id]);
+
+        await logAction(client, req, {
+            action: 'user.email_change',
+            entityType: 'user',
+            entityId: change.user_id,
+            clinicId: change.clinic_id,
+            userId: change.user_id,
+            details: { changes: { email: { before: change.old_email, after: change.new_email } } }
+        });
+
+        // Tell the old address, in case the change wasn't its owner's doing
+        await queueEmail(client, {
+            template: 'emailChanged',
+            to: change.old_email,
+            clinicId: change.clinic_id,
+            variables: { firstName: change.first_name, newEmail: change.new_email }
+        });
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Confirm email error:', error);
+        return res.status(500).json({ error: 'Failed to confirm email change' });
+    } finally {
+        client.release();
+    }
+
+    res.json({ message: 'Email address updated', email: change.new_email });
+});
+
+const INVITATION_SELECT = `SELECT i.id, i.email, i.clinic_id, i.role, i.custom_role_id, i.expires_at,
+                i.invited_by, c.name as clinic_name, cr.name as custom_role_name
+         FROM invitations i
+         JOIN clinics c ON i.clinic_id = c.id
+         LEFT JOIN clinic_roles cr ON cr.id = i.custom_role_id
+         WHERE i.token = $1 AND i.status = 'pending' AND i.expires_at > NOW()`;
+
+/**
+ * GET /api/auth/invitations/:token
+ * Invitation details for the accept page
+ * existingAccount tells it to ask for the account's password instead of
+ * a new name and password.
+ */
+router.get('/invitations/:token', acceptInvitationLimit, async (req, res) => {
+    try {
+        const result = await pool.query(INVITATION_SELECT, [req.params.token]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invalid or expired invitation' });
+        }
+
+        const invitation = result.rows[0];
+        const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [invitation.email]);
+
+        res.json({
+            email: invitation.email,
+            clinicName: invitation.clinic_name,
+            role: invitation.role,
+            roleName: roleName(invitation.role, invitation.custom_role_name),
+            expiresAt: invitation.expires_at,
+            existingAccount: existingUser.rows.length > 0
+        });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ error: 'Failed to fetch invitation' });
+    }
+});
+
+/**
+ * Accept an invitation with an account that already exists
+ * The password proves the invitee owns the account (lockout rules apply).
+ * The clinic is added as a granted clinic; nothing else about the account changes.
+ */
+async function joinWithExistingAccount(client, req, res, invitation, user) {
+    const lock = checkAccountLock(user);
+    if (lock) {
+        await client.query('ROLLBACK');
+        await recordAttempt(pool, req, {
+            kind: 'accept_invitation',
+            success: false,
+            email: invitation.email,
+            userId: user.id,
+            reason: lock.locked ? 'locked' : 'throttled'
+        });
+        return sendLocked(res, lock);
+    }
+
+    if (!user.is_active) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Account is inactive' });
+    }
+
+    const validPassword = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!validPassword) {
+        await client.query('ROLLBACK');
+        await recordLoginFailure(pool, user.id);
+        await recordAttempt(pool, req, {
+            kind: 'accept_invitation',
+            success: false,
+            email: invitation.email,
+            userId: user.id,
+            reason: 'bad_password'
+        });
+        return res.status(401).json({ error: 'Incorrect password for the existing account' });
+    }
+
+    const membership = await client.query(
+        'SELECT 1 FROM clinic_memberships WHERE user_id = $1 AND clinic_id = $2',
+        [user.id, invitation.clinic_id]
+    );
+    if (membership.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'You already belong to this clinic' });
+    }
+
+    await client.query(
+        `INSERT INTO user_clinic_access (user_id, clinic_id, role, custom_role_id, granted_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [user.id, invitation.clinic_id, invitation.role, invitation.custom_role_id, invitation.invited_by]
+    );
+
+    await client.query(
+        'UPDATE invitations SET status = $1, accepted_at = NOW() WHERE id = $2',
+        ['accepted', invitation.id]
+    );
+
+    await clearLoginFailures(client, user.id);
+    await recordAttempt(client, req, {
+        kind: 'accept_invitation',
+        success: true,
+        email: invitation.email,
+        userId: user.id
+    });
+    await logAction(client, req, {
+        action: 'invitation.accept',
+        entityType: 'invitation',
+        entityId: invitation.id,
+        clinicId: invitation.clinic_id,
+        userId: user.id,
+        details: { email: invitation.email, role: invitation.role, existingAccount: true }
+    });
+
+    await client.query('COMMIT');
+
+    // No session here: signing in still goes through 2FA. Switch to the clinic after signing in.
+    res.json({
+        message: `You now have access to ${invitation.clinic_name}; sign in and switch to it`,
+        existingAccount: true,
+        clinicId: invitation.clinic_id,
+        clinicName: invitation.clinic_name
+    });
+}
+
 /**
  * POST /api/auth/accept-invitation
  * Accept invitation and create account
+ * When the email already has an account, send that account's password
+ * instead (firstName/lastName are ignored) and the clinic is added to it.
  */
 router.post('/accept-invitation', [
     body('token').notEmpty(),
-    body('password').isLength({ min: 8 }),
-    body('firstName').trim().notEmpty(),
-    body('lastName').trim().notEmpty()
-], async (req, res) => {
+    body('password').notEmpty()
+], acceptInvitationLimit, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
@@ -294,24 +678,30 @@ router.post('/accept-invitation', [
     try {
         await client.query('BEGIN');
 
-        const inviteResult = await client.query(
-            `SELECT id, email, clinic_id, role FROM invitations
-             WHERE token = $1 AND status = 'pending' AND expires_at > NOW()`,
-            [token]
-        );
+        const inviteResult = await client.query(`${INVITATION_SELECT} FOR UPDATE OF i`, [token]);
 
         if (inviteResult.rows.length === 0) {
             await client.query('ROLLBACK');
+            await recordAttempt(pool, req, { kind: 'accept_invitation', success: false, reason: 'invalid_token' });
             return res.status(400).json({ error: 'Invalid or expired invitation' });
         }
 
         const invitation = inviteResult.rows[0];
 
+        if (invitation.role === 'custom' && !invitation.custom_role_id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The role on this invitation no longer exists; ask for a new invitation' });
+        }
+
         // Check if email already has an account
-        const existingUser = await client.query('SELECT id FROM users WHERE email = $1', [invitation.email]);
+        const existingUser = await client.query(`${LOGIN_USER_SELECT} WHERE u.email = $1`, [invitation.email]);
         if (existingUser.rows.length > 0) {
+            return await joinWithExistingAccount(client, req, res, invitation, existingUser.rows[0]);
+        }
+
+        if (password.length < 8 || !firstName || !firstName.trim() || !lastName || !lastName.trim()) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Email already registered' });
+            return res.status(400).json({ error: 'firstName, lastName and a password of at least 8 characters are required' });
         }
 
         // Hash password
@@ -319,10 +709,10 @@ router.post('/accept-invitation', [
 
         // Create user
         const userResult = await client.query(
-            `INSERT INTO users (email, password_hash, first_name, last_name, role, clinic_id)
-             VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO users (email, password_hash, first_name, last_name, role, custom_role_id, clinic_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              RETURNING id, email, first_name, last_name, role, clinic_id`,
-            [invitation.email, passwordHash, firstName, lastName, invitation.role, invitation.clinic_id]
+            [invitation.email, passwordHash, firstName.trim(), lastName.trim(), invitation.role, invitation.custom_role_id, invitation.clinic_id]
         );
         const user = userResult.rows[0];
 
@@ -332,22 +722,29 @@ router.post('/accept-invitation', [
             ['accepted', invitation.id]
         );
 
-        await client.query('COMMIT');
+        await recordAttempt(client, req, {
+            kind: 'accept_invitation',
+            success: true,
+            email: invitation.email,
+            userId: user.id
+        });
+        await logAction(client, req, {
+            action: 'invitation.accept',
+            entityType: 'invitation',
+            entityId: invitation.id,
+            clinicId: invitation.clinic_id,
+            userId: user.id,
+            details: { email: invitation.email, role: invitation.role }
+        });
 
-        // Get clinic name
-        const clinicResult = await client.query('SELECT name FROM clinics WHERE id = $1', [user.clinic_id]);
-        const clinicName = clinicResult.rows[0].name;
+        const { token: jwtToken, refreshToken } = await createSession(client, user, req);
 
-        // Generate JWT token
-        const jwtToken = jwt.sign(
-            { userId: user.id, clinicId: user.clinic_id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.SESSION_TIMEOUT || '24h' }
-        );
+        await client.query('COMMIT');
 
         res.status(201).json({
             message: 'Account created successfully',
             token: jwtToken,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -355,7 +752,7 @@ router.post('/accept-invitation', [
                 lastName: user.last_name,
                 role: user.role,
                 clinicId: user.clinic_id,
-                clinicName
+                clinicName: invitation.clinic_name
             }
         });
     } catch (error) {
@@ -367,4 +764,184 @@ router.post('/accept-invitation', [
     }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Trade a refresh token for a new access token and refresh token
+ * Each refresh token works once; reusing one revokes its session.
+ */
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty()
+], refreshLimit, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await rotateRefreshToken(client, req.body.refreshToken, req);
+
+        if (result.error === 'reused') {
+            await logAction(client, req, {
+                action: 'auth.refresh_token_reuse',
+                entityType: 'session',
+                entityId: result.session.id,
+                clinicId: result.session.clinic_id,
+                userId: result.session.user_id
+            });
+            // Keep the revocation
+            await client.query('COMMIT');
+            return res.status(401).json({ error: 'Refresh token already used; session revoked' });
+        }
+
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', authenticateForTwoFactorSetup, async (req, res) => {
+    try {
+        await revokeSession(pool, req.sessionId, 'logout');
+        await logAction(pool, req, { action: 'auth.logout', entityType: 'session', entityId: req.sessionId });
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions (one per device)
+ */
+router.get('/sessions', authenticateUser, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(pool, req.user.id);
+
+        res.json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:id', authenticateUser, param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    try {
+        const revoked = await revokeSession(pool, req.params.id, 'revoked', req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await logAction(pool, req, { action: 'session.revoke', entityType: 'session', entityId: req.params.id });
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+/**
+ * GET /api/auth/clinics
+ * Clinics the current user can switch to, with their role in each
+ */
+router.get('/clinics', authenticateForTwoFactorSetup, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT c.id, c.name, c.location, o.id as organization_id, o.name as organization_name,
+                    m.role, m.is_home, cr.name as custom_role_name
+             FROM clinic_memberships m
+             JOIN clinics c ON m.clinic_id = c.id
+             JOIN organizations o ON c.organization_id = o.id
+             LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+             WHERE m.user_id = $1
+             ORDER BY o.name, c.name`,
+            [req.user.id]
+        );
+
+        res.json(result.rows.map(({ custom_role_name: customRoleName, ...clinic }) => ({
+            ...clinic,
+            role_name: roleName(clinic.role, customRoleName),
+            active: clinic.id === req.user.clinic_id
+        })));
+    } catch (error) {
+        console.error('Get clinics error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinics' });
+    }
+});
+
+/**
+ * POST /api/auth/switch-clinic
+ * Make another of the user's clinics active for this session
+ * Returns a new access token; the refresh token keeps working.
+ */
+router.post('/switch-clinic', authenticateForTwoFactorSetup, [
+    body('clinicId').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { clinicId } = req.body;
+
+    try {
+        const result = await pool.query(
+            `SELECT m.role, c.name FROM clinic_memberships m
+             JOIN clinics c ON m.clinic_id = c.id
+             WHERE m.user_id = $1 AND m.clinic_id = $2`,
+            [req.user.id, clinicId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(403).json({ error: 'Access denied to this clinic data' });
+        }
+
+        const { role, name } = result.rows[0];
+        const token = await switchSessionClinic(pool, req.sessionId, { id: req.user.id, clinic_id: clinicId, role });
+
+        await logAction(pool, req, {
+            action: 'session.switch_clinic',
+            entityType: 'session',
+            entityId: req.sessionId,
+            clinicId,
+            details: { fromClinicId: req.user.clinic_id }
+        });
+
+        res.json({ message: `Switched to ${name}`, token, clinicId, clinicName: name, role });
+    } catch (error) {
+        console.error('Switch clinic error:', error);
+        res.status(500).json({ error: 'Failed to switch clinic' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { ALLOCATION_METHODS } = require('../utils/allocation');
+const { diffChanges, logAction } = require('../utils/auditLog');
+const { loadDigest, renderDigest } = require('../utils/digest');
+const { MONTH_PATTERN, currentMonth, addMonths } = require('../utils/months');
+
+router.use(authenticate);
+
+const CLINIC_COLUMNS = `id, name, location, overhead_allocation_method, require_two_factor, brand_color, logo_url,
+                        digest_day, audit_reminder_day, created_at`;
+
+// Request fields accepted by PUT /api/clinic/settings, mapped to clinics columns
+const SETTINGS_FIELDS = {
+    overheadAllocationMethod: 'overhead_allocation_method',
+    requireTwoFactor: 'require_two_factor',
+    brandColor: 'brand_color',
+    logoUrl: 'logo_url',
+    digestDay: 'digest_day',
+    auditReminderDay: 'audit_reminder_day'
+};
+
+/**
+ * GET /api/clinic
+ * Get current clinic and its settings
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${CLINIC_COLUMNS} FROM clinics WHERE id = $1`,
+            [req.user.clinic_id]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Get clinic error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinic' });
+    }
+});
+
+/**
+ * PUT /api/clinic/settings
+ * Update clinic settings (clinic:manage); omitted settings are unchanged
+ * requireTwoFactor makes every member enroll in 2FA before using the app.
+ * brandColor (#rrggbb) and logoUrl brand the clinic's emails; null clears them.
+ * digestDay and auditReminderDay (1-28) schedule the monthly digest and the
+ * missing-audit reminder; null sends the digest only on approval and turns
+ * reminders off.
+ */
+router.put('/settings', requirePermission('clinic:manage'), [
+    body('overheadAllocationMethod').optional().isIn(ALLOCATION_METHODS),
+    body('requireTwoFactor').optional().isBoolean({ strict: true }),
+    body('brandColor').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/),
+    body('logoUrl').optional({ nullable: true }).isURL({ protocols: ['https'], require_protocol: true }),
+    body(['digestDay', 'auditReminderDay']).optional({ nullable: true }).isInt({ min: 1, max: 28 }).toInt()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.requireTwoFactor === true && !req.user.totp_enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+    }
+
+    const updates = Object.entries(SETTINGS_FIELDS).filter(([field]) => req.body[field] !== undefined);
+
+    try {
+        const previous = await pool.query(
+            `SELECT ${Object.values(SETTINGS_FIELDS).join(', ')} FROM clinics WHERE id = $1`,
+            [req.user.clinic_id]
+        );
+
+        const result = await pool.query(
+            `UPDATE clinics
+             SET ${[...updates.map(([, column], i) => `${column} = $${i + 2}`), 'updated_at = NOW()'].join(', ')}
+             WHERE id = $1
+             RETURNING ${CLINIC_COLUMNS}`,
+            [req.user.clinic_id, ...updates.map(([field]) => req.body[field])]
+        );
+        const clinic = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'clinic.settings_update',
+            entityType: 'clinic',
+            entityId: clinic.id,
+            details: { changes: diffChanges(previous.rows[0], clinic) }
+        });
+
+        res.json(clinic);
+    } catch (error) {
+        console.error('Update clinic settings error:', error);
+        res.status(500).json({ error: 'Failed to update clinic settings' });
+    }
+});
+
+/**
+ * GET /api/clinic/digest?month=YYYY-MM
+ * Preview the monthly digest email for a month (default: last month)
+ */
+router.get('/digest', requirePermission('audits:read'), [
+    query('month').optional().matches(MONTH_PATTERN)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const month = req.query.month || addMonths(currentMonth(), -1);
+
+    try {
+        const digest = await loadDigest(pool, req.user.clinic_id, month);
+        if (!digest) {
+            return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        res.json({ ...digest, ...renderDigest(digest) });
+    } catch (error) {
+        console.error('Get digest error:', error);
+        res.status(500).json({ error: 'Failed to fetch digest' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { param, query, validationResult } = require('express-validator');
+const { logAction } = require('../utils/auditLog');
+const { retryEmail } = require('../utils/emailQueue');
+
+router.use(authenticate, requirePermission('clinic:manage'));
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Bodies hold one-time links, so only delivery metadata is returned
+const DELIVERY_COLUMNS = `id, template, to_email, subject, status, attempts, max_attempts, next_attempt_at,
+                    last_error, message_id, sent_at, created_at, updated_at`;
+
+/**
+ * GET /api/email-deliveries
+ * Emails sent on behalf of the clinic with their delivery status, newest first
+ * Filters: status (pending, sending, sent, dead), template, to.
+ * Paginated with page (default 1) and limit (default 50, max 200).
+ * Includes counts per status.
+ */
+router.get('/', [
+    query('status').optional().isIn(DELIVERY_STATUSES),
+    query(['template', 'to']).optional().trim().notEmpty(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, template, to } = req.query;
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 50, 10);
+
+    const conditions = ['clinic_id = $1'];
+    const params = [req.user.clinic_id];
+    const addCondition = (value, buildSql) => {
+        params.push(value);
+        conditions.push(buildSql(`$${params.length}`));
+    };
+
+    if (status) addCondition(status, (p) => `status = ${p}`);
+    if (template) addCondition(template, (p) => `template = ${p}`);
+    if (to) addCondition(to, (p) => `to_email ILIKE ${p}`);
+
+    const where = conditions.join(' AND ');
+
+    try {
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int as total FROM email_outbox WHERE ${where}`,
+            params
+        );
+        const total = countResult.rows[0].total;
+
+        const result = await pool.query(
+            `SELECT ${DELIVERY_COLUMNS}
+             FROM email_outbox
+             WHERE ${where}
+             ORDER BY created_at DESC, id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        const statusResult = await pool.query(
+            'SELECT status, COUNT(*)::int as count FROM email_outbox WHERE clinic_id = $1 GROUP BY status',
+            [req.user.clinic_id]
+        );
+
+        res.json({
+            deliveries: result.rows,
+            statusCounts: Object.fromEntries(DELIVERY_STATUSES.map((key) => [
+                key,
+                (statusResult.rows.find((row) => row.status === key) || { count: 0 }).count
+            ])),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get email deliveries error:', error);
+        res.status(500).json({ error: 'Failed to fetch email deliveries' });
+    }
+});
+
+/**
+ * POST /api/email-deliveries/:id/retry
+ * Send a dead (or still pending) email again now, with a fresh set of attempts
+ */
+router.post('/:id/retry', param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const retried = await retryEmail(pool, id, req.user.clinic_id);
+        if (!retried) {
+            return res.status(404).json({ error: 'Email not found or already sent' });
+        }
+
+        await logAction(pool, req, {
+            action: 'email.retry',
+            entityType: 'email',
+            entityId: id
+        });
+
+        const result = await pool.query(`SELECT ${DELIVERY_COLUMNS} FROM email_outbox WHERE id = $1`, [id]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Retry email error:', error);
+        res.status(500).json({ error: 'Failed to retry email' });
+    }
+});
+
+module.exports = router;
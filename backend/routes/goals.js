@@ -1,54 +1,162 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { resolveSettings } = require('../utils/scoring');
+const { getGoalsForMonth } = require('../utils/goals');
+const { MONTH_PATTERN, currentMonth } = require('../utils/months');
+const { diffChanges, logAction } = require('../utils/auditLog');
+const { emitEvent } = require('../utils/webhooks');
 
 router.use(authenticate);
 
 /**
  * GET /api/goals
- * Get global goals for clinic
+ * Get the goals currently in effect for clinic
+ * Optional ?month=YYYY-MM returns the goals that applied to that month
  */
-router.get('/', async (req, res) => {
+router.get('/', [
+    query('month').optional().matches(MONTH_PATTERN)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-        const result = await pool.query(
-            'SELECT * FROM global_goals WHERE clinic_id = $1',
-            [req.user.clinic_id]
-        );
+        const goals = await getGoalsForMonth(req.user.clinic_id, req.query.month || currentMonth());
 
-        if (result.rows.length === 0) {
+        if (!goals) {
             // Create default goals if none exist
             const createResult = await pool.query(
-                'INSERT INTO global_goals (clinic_id) VALUES ($1) RETURNING *',
+                `INSERT INTO global_goals (clinic_id) VALUES ($1)
+                 RETURNING *, to_char(effective_month, 'YYYY-MM') as effective_from`,
                 [req.user.clinic_id]
             );
             return res.json(createResult.rows[0]);
         }
 
-        res.json(result.rows[0]);
+        res.json(goals);
     } catch (error) {
         console.error('Get goals error:', error);
         res.status(500).json({ error: 'Failed to fetch goals' });
     }
 });
 
+/**
+ * GET /api/goals/history
+ * Get every goal version for clinic, newest first, with who made the change
+ */
+router.get('/history', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT g.*, to_char(g.effective_month, 'YYYY-MM') as effective_from,
+                    u.first_name as created_by_first_name, u.last_name as created_by_last_name,
+                    u.email as created_by_email
+             FROM global_goals g
+             LEFT JOIN users u ON g.created_by = u.id
+             WHERE g.clinic_id = $1
+             ORDER BY g.effective_month DESC, g.created_at DESC`,
+            [req.user.clinic_id]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get goal history error:', error);
+        res.status(500).json({ error: 'Failed to fetch goal history' });
+    }
+});
+
+// Request fields accepted by PUT /api/goals, mapped to global_goals columns
+const GOAL_FIELDS = {
+    revenueGoal: 'revenue_goal',
+    profitMarginGoal: 'profit_margin_goal',
+    capacityGoal: 'capacity_goal',
+    newClientVisitsTarget: 'new_client_visits_target',
+    treatmentConversionGoal: 'treatment_conversion_goal',
+    websiteVisitsTarget: 'website_visits_target',
+    websiteConversionGoal: 'website_conversion_goal',
+    marketingNewClientsTarget: 'marketing_new_clients_target',
+    financialWeight: 'financial_weight',
+    capacityWeight: 'capacity_weight',
+    newClientFlowWeight: 'new_client_flow_weight',
+    marketingWeight: 'marketing_weight',
+    serviceMarginFloor: 'service_margin_floor',
+    serviceUtilizationFloor: 'service_utilization_floor'
+};
+
+const WEIGHT_COLUMNS = ['financial_weight', 'capacity_weight', 'new_client_flow_weight', 'marketing_weight'];
+
 /**
  * PUT /api/goals
- * Update global goals (Admin only)
+ * Record a new goals version (goals:write)
+ * Covers goals, scoring thresholds, bucket weights and service economics floors.
+ * Applies from effectiveMonth (YYYY-MM, default current month) onward.
+ * Omitted fields carry over from the version previously in effect.
  */
-router.put('/', requireAdmin, async (req, res) => {
-    const { revenueGoal, profitMarginGoal, capacityGoal } = req.body;
+router.put('/', requirePermission('goals:write'), [
+    body('effectiveMonth').optional().matches(MONTH_PATTERN),
+    body('revenueGoal').optional().isFloat({ min: 0 }),
+    body(['profitMarginGoal', 'capacityGoal', 'treatmentConversionGoal', 'websiteConversionGoal'])
+        .optional().isFloat({ min: 0, max: 100 }),
+    body(['newClientVisitsTarget', 'websiteVisitsTarget', 'marketingNewClientsTarget'])
+        .optional().isInt({ min: 0 }),
+    body(['financialWeight', 'capacityWeight', 'newClientFlowWeight', 'marketingWeight'])
+        .optional().isFloat({ min: 0, max: 100 }),
+    body('serviceMarginFloor').optional().isFloat({ min: -100, max: 100 }),
+    body('serviceUtilizationFloor').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const effectiveMonth = req.body.effectiveMonth || currentMonth();
 
     try {
+        const current = resolveSettings(await getGoalsForMonth(req.user.clinic_id, effectiveMonth));
+
+        const updates = {};
+        for (const [field, column] of Object.entries(GOAL_FIELDS)) {
+            if (req.body[field] !== undefined && req.body[field] !== null) {
+                updates[column] = parseFloat(req.body[field]);
+            }
+        }
+
+        const merged = { ...current, ...updates };
+        const totalWeight = WEIGHT_COLUMNS.reduce((total, column) => total + merged[column], 0);
+        if (Math.abs(totalWeight - 100) > 0.001) {
+            return res.status(400).json({ error: `Bucket weights must add up to 100 (got ${totalWeight})` });
+        }
+
+        const columns = Object.values(GOAL_FIELDS);
+        const values = columns.map((column) => merged[column]);
+
         const result = await pool.query(
-            `UPDATE global_goals
-             SET revenue_goal = $1, profit_margin_goal = $2, capacity_goal = $3, updated_at = NOW()
-             WHERE clinic_id = $4
-             RETURNING *`,
-            [revenueGoal, profitMarginGoal, capacityGoal, req.user.clinic_id]
+            `INSERT INTO global_goals (clinic_id, effective_month, created_by, ${columns.join(', ')})
+             VALUES ($1, $2, $3, ${columns.map((_, i) => `$${i + 4}`).join(', ')})
+             RETURNING *, to_char(effective_month, 'YYYY-MM') as effective_from`,
+            [req.user.clinic_id, `${effectiveMonth}-01`, req.user.id, ...values]
         );
 
-        res.json(result.rows[0]);
+        const goals = result.rows[0];
+        const pick = (settings) => Object.fromEntries(columns.map((column) => [column, settings[column]]));
+        const changes = diffChanges(pick(current), pick(goals));
+        await logAction(pool, req, {
+            action: 'goals.update',
+            entityType: 'global_goals',
+            entityId: goals.id,
+            details: { effectiveMonth, changes }
+        });
+        await emitEvent(pool, req.user.clinic_id, 'goals.updated', {
+            goalsId: goals.id,
+            effectiveMonth,
+            changes,
+            actorId: req.user.id
+        });
+
+        res.json(goals);
     } catch (error) {
         console.error('Update goals error:', error);
         res.status(500).json({ error: 'Failed to update goals' });
@@ -0,0 +1,504 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { logAction } = require('../utils/auditLog');
+const { ASSIGNABLE_ROLES, resolvePermissions, hasPermission, missingPermissions, roleName } = require('../utils/permissions');
+const { AUDIT_WITH_ITEMS_SELECT } = require('../utils/auditStore');
+const { getGoalVersions, selectGoalsForMonth } = require('../utils/goals');
+const { buildScorecard, resolveSettings } = require('../utils/scoring');
+const { MONTH_PATTERN, MAX_RANGE_MONTHS, currentMonth, addMonths, monthSpan, monthRange } = require('../utils/months');
+const { buildRollup } = require('../utils/rollups');
+
+router.use(authenticateUser);
+
+/**
+ * Find a clinic of the current user's organization
+ * @returns {Promise<Object|null>} { id, name }
+ */
+async function findOrganizationClinic(req, clinicId) {
+    const result = await pool.query(
+        'SELECT id, name FROM clinics WHERE id = $1 AND organization_id = $2',
+        [clinicId, req.user.organization_id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * A user's role and permissions in a clinic
+ * @returns {Promise<Object|null>} { role, permissions }, null without access
+ */
+async function findMembership(db, userId, clinicId) {
+    const result = await db.query(
+        `SELECT m.role, cr.permissions as custom_permissions
+         FROM clinic_memberships m
+         LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+         WHERE m.user_id = $1 AND m.clinic_id = $2`,
+        [userId, clinicId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    const { role, custom_permissions: customPermissions } = result.rows[0];
+    return { role, permissions: resolvePermissions(role, customPermissions) };
+}
+
+/**
+ * Whether a clinic has an active owner other than the given user
+ */
+async function hasOtherOwner(db, clinicId, userId) {
+    const result = await db.query(
+        `SELECT COUNT(*)::int as count FROM clinic_memberships m
+         JOIN users u ON u.id = m.user_id
+         WHERE m.clinic_id = $1 AND m.role = 'owner' AND u.is_active = true AND m.user_id <> $2`,
+        [clinicId, userId]
+    );
+    return result.rows[0].count > 0;
+}
+
+/**
+ * GET /api/organization
+ * Current organization and its clinics, with the user's role in each
+ * (null where they have no access)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const organization = await pool.query(
+            'SELECT id, name, created_at FROM organizations WHERE id = $1',
+            [req.user.organization_id]
+        );
+
+        const clinics = await pool.query(
+            `SELECT c.id, c.name, c.location, c.created_at, m.role, m.is_home, cr.name as custom_role_name,
+                    (SELECT COUNT(*) FROM clinic_memberships cm
+                     JOIN users u ON u.id = cm.user_id
+                     WHERE cm.clinic_id = c.id AND u.is_active = true)::int as member_count
+             FROM clinics c
+             LEFT JOIN clinic_memberships m ON m.clinic_id = c.id AND m.user_id = $2
+             LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+             WHERE c.organization_id = $1
+             ORDER BY c.name`,
+            [req.user.organization_id, req.user.id]
+        );
+
+        res.json({
+            ...organization.rows[0],
+            clinics: clinics.rows.map(({ custom_role_name: customRoleName, ...clinic }) => ({
+                ...clinic,
+                is_home: clinic.is_home || false,
+                role_name: clinic.role ? roleName(clinic.role, customRoleName) : null,
+                active: clinic.id === req.user.clinic_id
+            }))
+        });
+    } catch (error) {
+        console.error('Get organization error:', error);
+        res.status(500).json({ error: 'Failed to fetch organization' });
+    }
+});
+
+/**
+ * PUT /api/organization
+ * Rename the organization (organization:manage)
+ */
+router.put('/', requirePermission('organization:manage'), [
+    body('name').trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+
+    try {
+        const previous = await pool.query('SELECT name FROM organizations WHERE id = $1', [req.user.organization_id]);
+
+        const result = await pool.query(
+            'UPDATE organizations SET name = $1 WHERE id = $2 RETURNING id, name, created_at',
+            [name, req.user.organization_id]
+        );
+
+        await logAction(pool, req, {
+            action: 'organization.update',
+            entityType: 'organization',
+            entityId: req.user.organization_id,
+            details: { changes: { name: { before: previous.rows[0].name, after: name } } }
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update organization error:', error);
+        res.status(500).json({ error: 'Failed to update organization' });
+    }
+});
+
+/**
+ * POST /api/organization/clinics
+ * Add a location to the organization (organization:manage)
+ * The creator is granted owner access to it; switch to it with
+ * POST /api/auth/switch-clinic.
+ */
+router.post('/clinics', requirePermission('organization:manage'), [
+    body('name').trim().notEmpty().isLength({ max: 255 }),
+    body('location').optional({ nullable: true }).trim()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, location } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const clinicResult = await client.query(
+            `INSERT INTO clinics (organization_id, name, location) VALUES ($1, $2, $3)
+             RETURNING id, name, location, created_at`,
+            [req.user.organization_id, name, location || null]
+        );
+        const clinic = clinicResult.rows[0];
+
+        await client.query('INSERT INTO global_goals (clinic_id) VALUES ($1)', [clinic.id]);
+
+        await client.query(
+            `INSERT INTO user_clinic_access (user_id, clinic_id, role, granted_by)
+             VALUES ($1, $2, 'owner', $1)`,
+            [req.user.id, clinic.id]
+        );
+
+        await logAction(client, req, {
+            action: 'organization.clinic_create',
+            entityType: 'clinic',
+            entityId: clinic.id,
+            details: { name, location: clinic.location }
+        });
+
+        await client.query('COMMIT');
+
+        res.status(201).json(clinic);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create clinic error:', error);
+        res.status(500).json({ error: 'Failed to create clinic' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * GET /api/organization/access
+ * Access granted to users on clinics other than their own (organization:manage)
+ */
+router.get('/access', requirePermission('organization:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT a.user_id, u.email, u.first_name, u.last_name, u.is_active,
+                    hc.id as home_clinic_id, hc.name as home_clinic_name,
+                    c.id as clinic_id, c.name as clinic_name,
+                    a.role, a.custom_role_id, cr.name as custom_role_name,
+                    a.created_at, g.first_name as granted_by_first_name, g.last_name as granted_by_last_name
+             FROM user_clinic_access a
+             JOIN clinics c ON a.clinic_id = c.id
+             JOIN users u ON a.user_id = u.id
+             JOIN clinics hc ON u.clinic_id = hc.id
+             LEFT JOIN clinic_roles cr ON cr.id = a.custom_role_id
+             LEFT JOIN users g ON g.id = a.granted_by
+             WHERE c.organization_id = $1
+             ORDER BY u.last_name, u.first_name, c.name`,
+            [req.user.organization_id]
+        );
+
+        res.json(result.rows.map((grant) => ({
+            ...grant,
+            role_name: roleName(grant.role, grant.custom_role_name)
+        })));
+    } catch (error) {
+        console.error('Get clinic access error:', error);
+        res.status(500).json({ error: 'Failed to fetch clinic access' });
+    }
+});
+
+/**
+ * PUT /api/organization/access
+ * Grant a user of the organization access to another of its clinics, or
+ * change the role of an existing grant (organization:manage)
+ * The caller needs users:manage in that clinic and every permission of the role
+ * there; only an owner of the clinic can grant owner or change an owner's grant,
+ * and the clinic keeps at least one owner. Nobody can change their own access.
+ * customRoleId must be a custom role of that clinic.
+ */
+router.put('/access', requirePermission('organization:manage'), [
+    body('userId').isUUID(),
+    body('clinicId').isUUID(),
+    body('role').isIn(ASSIGNABLE_ROLES),
+    body('customRoleId').if(body('role').equals('custom')).isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, clinicId, role } = req.body;
+    const customRoleId = role === 'custom' ? req.body.customRoleId : null;
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'Cannot change your own clinic access' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const clinic = await findOrganizationClinic(req, clinicId);
+        if (!clinic) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const granter = await findMembership(client, req.user.id, clinicId);
+        if (!hasPermission(granter, 'users:manage')) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You need users:manage in that clinic to grant access to it' });
+        }
+
+        const userResult = await client.query(
+            `SELECT u.id, u.clinic_id, u.is_active FROM users u
+             JOIN clinics c ON u.clinic_id = c.id
+             WHERE u.id = $1 AND c.organization_id = $2`,
+            [userId, req.user.organization_id]
+        );
+        const user = userResult.rows[0];
+        if (!user || !user.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.clinic_id === clinicId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This is the user\'s own clinic; change their role there instead' });
+        }
+
+        const existing = await client.query(
+            'SELECT role FROM user_clinic_access WHERE user_id = $1 AND clinic_id = $2 FOR UPDATE',
+            [userId, clinicId]
+        );
+        const previousRole = existing.rows.length > 0 ? existing.rows[0].role : null;
+
+        if ((role === 'owner' || previousRole === 'owner') && granter.role !== 'owner') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Only an owner of the clinic can grant or change owner access' });
+        }
+
+        let customRoleName = null;
+        let permissions = resolvePermissions(role);
+        if (customRoleId) {
+            const customRole = await client.query(
+                'SELECT name, permissions FROM clinic_roles WHERE id = $1 AND clinic_id = $2',
+                [customRoleId, clinicId]
+            );
+            if (customRole.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Custom role not found' });
+            }
+            customRoleName = customRole.rows[0].name;
+            permissions = resolvePermissions(role, customRole.rows[0].permissions);
+        }
+
+        const missing = missingPermissions(granter, permissions);
+        if (missing.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: 'You can only grant a role with permissions you have in that clinic',
+                permissions: missing
+            });
+        }
+
+        if (previousRole === 'owner' && role !== 'owner' && !(await hasOtherOwner(client, clinicId, userId))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The clinic must keep at least one owner' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO user_clinic_access (user_id, clinic_id, role, custom_role_id, granted_by)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (user_id, clinic_id) DO UPDATE
+             SET role = EXCLUDED.role, custom_role_id = EXCLUDED.custom_role_id, granted_by = EXCLUDED.granted_by
+             RETURNING user_id, clinic_id, role, custom_role_id, created_at`,
+            [userId, clinicId, role, customRoleId, req.user.id]
+        );
+
+        await logAction(client, req, {
+            action: 'organization.access_grant',
+            entityType: 'user',
+            entityId: userId,
+            clinicId,
+            details: { clinicName: clinic.name, role, customRoleId }
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ ...result.rows[0], role_name: roleName(role, customRoleName) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Grant clinic access error:', error);
+        res.status(500).json({ error: 'Failed to grant clinic access' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * DELETE /api/organization/access/:clinicId/:userId
+ * Revoke a user's access to a clinic (organization:manage)
+ * Only an owner of the clinic can revoke an owner's access, and the clinic keeps
+ * at least one owner. Their sessions on that clinic move back to their own clinic.
+ */
+router.delete('/access/:clinicId/:userId', requirePermission('organization:manage'), [
+    param('clinicId').isUUID(),
+    param('userId').isUUID()
+], async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Access grant not found' });
+    }
+
+    const { clinicId, userId } = req.params;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const grant = await client.query(
+            `SELECT a.role, c.name as clinic_name FROM user_clinic_access a
+             JOIN clinics c ON a.clinic_id = c.id
+             WHERE a.clinic_id = $1 AND a.user_id = $2 AND c.organization_id = $3
+             FOR UPDATE OF a`,
+            [clinicId, userId, req.user.organization_id]
+        );
+
+        if (grant.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Access grant not found' });
+        }
+
+        if (grant.rows[0].role === 'owner') {
+            const granter = await findMembership(client, req.user.id, clinicId);
+            if (!granter || granter.role !== 'owner') {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'Only an owner of the clinic can revoke an owner\'s access' });
+            }
+            if (!(await hasOtherOwner(client, clinicId, userId))) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'The clinic must keep at least one owner' });
+            }
+        }
+
+        await client.query(
+            'DELETE FROM user_clinic_access WHERE clinic_id = $1 AND user_id = $2',
+            [clinicId, userId]
+        );
+
+        await client.query(
+            `UPDATE user_sessions s SET clinic_id = u.clinic_id
+             FROM users u
+             WHERE s.user_id = u.id AND s.user_id = $1 AND s.clinic_id = $2`,
+            [userId, clinicId]
+        );
+
+        await logAction(client, req, {
+            action: 'organization.access_revoke',
+            entityType: 'user',
+            entityId: userId,
+            clinicId,
+            details: grant.rows[0]
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Clinic access revoked' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Revoke clinic access error:', error);
+        res.status(500).json({ error: 'Failed to revoke clinic access' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * GET /api/organization/rollup?from=YYYY-MM&to=YYYY-MM
+ * Consolidated revenue, profit, capacity and scores across the organization's
+ * clinics the user can read (audits:read in that clinic), with per-location
+ * breakdowns, organization totals per month and location rankings
+ * Defaults to the 12 months ending with the current month; at most 60 months.
+ */
+router.get('/rollup', [
+    query(['from', 'to']).optional().matches(MONTH_PATTERN)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to || currentMonth();
+    const from = req.query.from || addMonths(to, -11);
+
+    if (from > to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (monthSpan(from, to) > MAX_RANGE_MONTHS) {
+        return res.status(400).json({ error: `Ranges can span at most ${MAX_RANGE_MONTHS} months` });
+    }
+
+    try {
+        const memberships = await pool.query(
+            `SELECT c.id, c.name, c.location, m.role, cr.permissions as custom_permissions
+             FROM clinic_memberships m
+             JOIN clinics c ON m.clinic_id = c.id
+             LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+             WHERE m.user_id = $1 AND c.organization_id = $2
+             ORDER BY c.name`,
+            [req.user.id, req.user.organization_id]
+        );
+
+        const clinics = memberships.rows.filter((clinic) => hasPermission(
+            { permissions: resolvePermissions(clinic.role, clinic.custom_permissions) },
+            'audits:read'
+        ));
+
+        const auditsResult = await pool.query(
+            `${AUDIT_WITH_ITEMS_SELECT}
+             WHERE ma.clinic_id = ANY($1) AND ma.audit_month BETWEEN $2 AND $3
+             GROUP BY ma.id`,
+            [clinics.map((clinic) => clinic.id), `${from}-01`, `${to}-01`]
+        );
+
+        const scorecardsByClinic = {};
+        for (const clinic of clinics) {
+            const goalVersions = await getGoalVersions(clinic.id);
+            scorecardsByClinic[clinic.id] = {};
+            for (const audit of auditsResult.rows.filter((row) => row.clinic_id === clinic.id)) {
+                scorecardsByClinic[clinic.id][audit.month] = buildScorecard(
+                    audit,
+                    resolveSettings(selectGoalsForMonth(goalVersions, audit.month))
+                );
+            }
+        }
+
+        const rollup = buildRollup(
+            clinics.map((clinic) => ({ ...clinic, scorecards: scorecardsByClinic[clinic.id] })),
+            monthRange(from, to)
+        );
+
+        res.json({ organizationId: req.user.organization_id, from, to, ...rollup });
+    } catch (error) {
+        console.error('Get organization rollup error:', error);
+        res.status(500).json({ error: 'Failed to build organization rollup' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const { diffChanges, logAction } = require('../utils/auditLog');
+const { PERMISSIONS, ROLES, missingPermissions } = require('../utils/permissions');
+
+router.use(authenticate, requirePermission('users:manage'));
+
+const ROLE_COLUMNS = 'id, name, description, permissions, created_at, updated_at';
+
+const roleValidators = [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('permissions').isArray({ min: 1 }),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS))
+];
+
+/**
+ * GET /api/roles
+ * Permission catalog, built-in roles and the clinic's custom roles with member counts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT cr.id, cr.name, cr.description, cr.permissions, cr.created_at, cr.updated_at,
+                    COUNT(m.user_id)::int as user_count
+             FROM clinic_roles cr
+             LEFT JOIN clinic_memberships m ON m.custom_role_id = cr.id
+             WHERE cr.clinic_id = $1
+             GROUP BY cr.id
+             ORDER BY cr.name`,
+            [req.user.clinic_id]
+        );
+
+        res.json({
+            permissions: PERMISSIONS,
+            builtInRoles: Object.entries(ROLES).map(([key, role]) => ({ key, ...role })),
+            customRoles: result.rows
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role from a list of permissions (only ones you have)
+ */
+router.post('/', roleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description = null } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const notHeld = missingPermissions(req.user, permissions);
+    if (notHeld.length > 0) {
+        return res.status(403).json({ error: 'You can only give a role permissions you have', permissions: notHeld });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO clinic_roles (clinic_id, name, description, permissions)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (clinic_id, name) DO NOTHING
+             RETURNING ${ROLE_COLUMNS}`,
+            [req.user.clinic_id, name, description, permissions]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'A role with that name already exists' });
+        }
+
+        const role = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'role.create',
+            entityType: 'role',
+            entityId: role.id,
+            details: { name, permissions }
+        });
+
+        res.status(201).json(role);
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({ error: 'Failed to create role' });
+    }
+});
+
+/**
+ * PUT /api/roles/:id
+ * Replace a custom role's name, description and permissions (only ones you have)
+ * Members with the role get the new permissions on their next request.
+ */
+router.put('/:id', param('id').isUUID(), roleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        if (errors.array().some((error) => error.path === 'id')) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, description = null } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const notHeld = missingPermissions(req.user, permissions);
+    if (notHeld.length > 0) {
+        return res.status(403).json({ error: 'You can only give a role permissions you have', permissions: notHeld });
+    }
+
+    try {
+        const previous = await pool.query(
+            'SELECT name, description, permissions FROM clinic_roles WHERE id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+
+        if (previous.rows.length === 0) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        const duplicate = await pool.query(
+            'SELECT id FROM clinic_roles WHERE clinic_id = $1 AND name = $2 AND id <> $3',
+            [req.user.clinic_id, name, id]
+        );
+        if (duplicate.rows.length > 0) {
+            return res.status(400).json({ error: 'A role with that name already exists' });
+        }
+
+        const result = await pool.query(
+            `UPDATE clinic_roles SET name = $1, description = $2, permissions = $3
+             WHERE id = $4 AND clinic_id = $5
+             RETURNING ${ROLE_COLUMNS}`,
+            [name, description, permissions, id, req.user.clinic_id]
+        );
+        const role = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'role.update',
+            entityType: 'role',
+            entityId: id,
+            details: {
+                changes: diffChanges(previous.rows[0], {
+                    name: role.name,
+                    description: role.description,
+                    permissions: role.permissions
+                })
+            }
+        });
+
+        res.json(role);
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+/**
+ * DELETE /api/roles/:id
+ * Delete a custom role; refused while users or pending invitations still have it
+ */
+router.delete('/:id', param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const usage = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM clinic_memberships WHERE custom_role_id = $1)::int as users,
+                    (SELECT COUNT(*) FROM invitations WHERE custom_role_id = $1 AND status = 'pending')::int as invitations`,
+            [id]
+        );
+        const { users, invitations } = usage.rows[0];
+        if (users > 0 || invitations > 0) {
+            return res.status(409).json({
+                error: 'Role is still in use; move its users and invitations to another role first',
+                users,
+                invitations
+            });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM clinic_roles WHERE id = $1 AND clinic_id = $2 RETURNING name, permissions',
+            [id, req.user.clinic_id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        await logAction(pool, req, {
+            action: 'role.delete',
+            entityType: 'role',
+            entityId: id,
+            details: result.rows[0]
+        });
+
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const { authenticateForTwoFactorSetup } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { logAction } = require('../utils/auditLog');
+const {
+    createEnrollment,
+    verifyTotp,
+    generateRecoveryCodes,
+    verifySecondFactor
+} = require('../utils/twoFactor');
+
+// Reachable before enrolling, so clinics that require 2FA don't lock members out
+router.use(authenticateForTwoFactorSetup);
+
+async function loadTwoFactorUser(db, userId) {
+    const result = await db.query(
+        `SELECT id, email, password_hash, totp_enabled, totp_secret, totp_pending_secret, totp_last_used_step
+         FROM users WHERE id = $1`,
+        [userId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the current user
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT COUNT(*)::int as remaining FROM user_recovery_codes
+             WHERE user_id = $1 AND used_at IS NULL`,
+            [req.user.id]
+        );
+
+        res.json({
+            enabled: req.user.totp_enabled,
+            requiredByClinic: req.user.require_two_factor,
+            recoveryCodesRemaining: req.user.totp_enabled ? result.rows[0].remaining : 0
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns a new secret, otpauth URI and QR code
+ * Nothing changes until the code is confirmed with /enable.
+ */
+router.post('/setup', async (req, res) => {
+    if (req.user.totp_enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    try {
+        const enrollment = await createEnrollment(req.user.email);
+
+        await pool.query('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [enrollment.secret, req.user.id]);
+
+        res.json(enrollment);
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the app; returns one-time recovery codes
+ */
+router.post('/enable', [
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const user = await loadTwoFactorUser(client, req.user.id);
+        if (user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.totp_pending_secret) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = verifyTotp(user.totp_pending_secret, req.body.code);
+        if (step === null) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await client.query(
+            `UPDATE users
+             SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = true,
+                 totp_enabled_at = NOW(), totp_last_used_step = $1
+             WHERE id = $2`,
+            [step, user.id]
+        );
+        const recoveryCodes = await generateRecoveryCodes(client, user.id);
+
+        await logAction(client, req, { action: 'user.two_factor_enable', entityType: 'user', entityId: user.id });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA; needs the password and a current code or recovery code
+ * Not allowed while the clinic requires 2FA.
+ */
+router.post('/disable', [
+    body('password').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.require_two_factor) {
+        return res.status(400).json({ error: 'Your clinic requires two-factor authentication' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const user = await loadTwoFactorUser(client, req.user.id);
+        if (!user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const validPassword = await bcrypt.compare(req.body.password, user.password_hash);
+        if (!validPassword || !await verifySecondFactor(client, user, req.body)) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Invalid password or authentication code' });
+        }
+
+        await client.query(
+            `UPDATE users
+             SET totp_enabled = false, totp_secret = NULL, totp_pending_secret = NULL,
+                 totp_enabled_at = NULL, totp_last_used_step = NULL
+             WHERE id = $1`,
+            [user.id]
+        );
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [user.id]);
+
+        await logAction(client, req, { action: 'user.two_factor_disable', entityType: 'user', entityId: user.id });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace recovery codes (needs a current code); old codes stop working
+ */
+router.post('/recovery-codes', [
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const user = await loadTwoFactorUser(client, req.user.id);
+        if (!user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await verifySecondFactor(client, user, { code: req.body.code })) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(client, user.id);
+
+        await logAction(client, req, {
+            action: 'user.two_factor_recovery_codes',
+            entityType: 'user',
+            entityId: user.id
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -1,96 +1,477 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
-const { authenticate, requireAdmin } = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
 const crypto = require('crypto');
-const { sendEmail } = require('../utils/email');
+const bcrypt = require('bcrypt');
+const { queueEmail } = require('../utils/emailQueue');
+const { logAction, diffChanges } = require('../utils/auditLog');
+const { revokeSession, revokeUserSessions, listActiveSessions } = require('../utils/sessions');
+const { clearLoginFailures } = require('../utils/accountLockout');
+const { ASSIGNABLE_ROLES, resolvePermissions, missingPermissions, roleName } = require('../utils/permissions');
+const { newInvitationToken, sendInvitationEmail, expireInvitations } = require('../utils/invitations');
+const { getPreferences } = require('../utils/notifications');
+const { emitEvent } = require('../utils/webhooks');
 
-router.use(authenticate);
+router.use(authenticateUser);
+
+const EMAIL_CHANGE_EXPIRY_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRY_HOURS || 24, 10);
+const BULK_INVITE_LIMIT = 50;
+const INVITATION_STATUSES = ['pending', 'accepted', 'expired'];
+
+// Request field -> notification_preferences.notification
+const PREFERENCE_FIELDS = {
+    monthlyDigest: 'monthly_digest',
+    auditReminder: 'audit_reminder',
+    metricAlert: 'metric_alert'
+};
+
+const roleValidators = [
+    body('role').isIn(ASSIGNABLE_ROLES),
+    body('customRoleId').if(body('role').equals('custom')).isUUID()
+];
 
 /**
- * GET /api/users
- * Get all users in clinic (Admin only)
+ * Check a role being given to someone
+ * Only owners can hand out the owner role; custom roles must belong to the clinic.
+ * Nobody can give a role with permissions they don't have themselves.
+ * @returns {Promise<Object>} { error } or { role, customRoleId, name }
  */
-router.get('/', requireAdmin, async (req, res) => {
+async function resolveRoleAssignment(req, role, customRoleId) {
+    if (role === 'owner' && req.user.role !== 'owner') {
+        return { error: 'Only an owner can assign the owner role' };
+    }
+
+    let assignment = { role, customRoleId: null, name: roleName(role) };
+    let permissions = resolvePermissions(role);
+
+    if (role === 'custom') {
+        const result = await pool.query(
+            'SELECT name, permissions FROM clinic_roles WHERE id = $1 AND clinic_id = $2',
+            [customRoleId, req.user.clinic_id]
+        );
+        if (result.rows.length === 0) {
+            return { error: 'Custom role not found' };
+        }
+        assignment = { role, customRoleId, name: result.rows[0].name };
+        permissions = resolvePermissions(role, result.rows[0].permissions);
+    }
+
+    const missing = missingPermissions(req.user, permissions);
+    if (missing.length > 0) {
+        return { error: `You can't assign a role with permissions you don't have: ${missing.join(', ')}` };
+    }
+    return assignment;
+}
+
+/**
+ * GET /api/users/me
+ * Current user's profile
+ */
+router.get('/me', async (req, res) => {
     try {
         const result = await pool.query(
-            `SELECT id, email, first_name, last_name, role, is_active, created_at, last_login_at
-             FROM users
-             WHERE clinic_id = $1
-             ORDER BY created_at DESC`,
-            [req.user.clinic_id]
+            `SELECT u.created_at, u.last_login_at,
+                    (SELECT new_email FROM email_change_tokens t
+                     WHERE t.user_id = u.id AND t.used = false AND t.expires_at > NOW()
+                     ORDER BY t.created_at DESC LIMIT 1) as pending_email
+             FROM users u WHERE u.id = $1`,
+            [req.user.id]
         );
+        const row = result.rows[0];
 
-        res.json(result.rows);
+        res.json({
+            id: req.user.id,
+            email: req.user.email,
+            pendingEmail: row.pending_email,
+            firstName: req.user.first_name,
+            lastName: req.user.last_name,
+            role: req.user.role,
+            roleName: roleName(req.user.role, req.user.custom_role_name),
+            permissions: req.user.permissions,
+            clinicId: req.user.clinic_id,
+            clinicName: req.user.clinic_name,
+            twoFactorEnabled: req.user.totp_enabled,
+            createdAt: row.created_at,
+            lastLoginAt: row.last_login_at
+        });
     } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({ error: 'Failed to fetch users' });
+        console.error('Get profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
     }
 });
 
 /**
- * POST /api/users/invite
- * Invite user to clinic (Admin only)
+ * PATCH /api/users/me
+ * Update the current user's name
  */
-router.post('/invite', requireAdmin, [
-    body('email').isEmail().normalizeEmail(),
-    body('role').isIn(['admin', 'member'])
+router.patch('/me', [
+    body('firstName').optional().trim().notEmpty(),
+    body('lastName').optional().trim().notEmpty()
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, role } = req.body;
+    const before = { firstName: req.user.first_name, lastName: req.user.last_name };
+    const after = {
+        firstName: req.body.firstName !== undefined ? req.body.firstName : before.firstName,
+        lastName: req.body.lastName !== undefined ? req.body.lastName : before.lastName
+    };
 
     try {
-        // Check if user already exists in this clinic
-        const existingUser = await pool.query(
-            'SELECT id FROM users WHERE email = $1 AND clinic_id = $2',
-            [email, req.user.clinic_id]
+        await pool.query(
+            'UPDATE users SET first_name = $1, last_name = $2 WHERE id = $3',
+            [after.firstName, after.lastName, req.user.id]
         );
 
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({ error: 'User already exists in this clinic' });
+        await logAction(pool, req, {
+            action: 'user.profile_update',
+            entityType: 'user',
+            entityId: req.user.id,
+            details: { changes: diffChanges(before, after) }
+        });
+
+        res.json({ message: 'Profile updated', ...after });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+/**
+ * POST /api/users/me/password
+ * Change password (needs the current one); other sessions are signed out
+ */
+router.post('/me/password', [
+    body('currentPassword').notEmpty(),
+    body('newPassword').isLength({ min: 8 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query('SELECT password_hash FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+        const validPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+        if (!validPassword) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ error: 'Current password is incorrect' });
         }
 
-        // Check for pending invitation
-        const existingInvite = await pool.query(
-            'SELECT id FROM invitations WHERE email = $1 AND clinic_id = $2 AND status = $3',
-            [email, req.user.clinic_id, 'pending']
-        );
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, req.user.id]);
+
+        // Keep this device signed in, end the rest
+        const revoked = await revokeUserSessions(client, req.user.id, 'password_change', req.sessionId);
+
+        await logAction(client, req, {
+            action: 'user.password_change',
+            entityType: 'user',
+            entityId: req.user.id,
+            details: { revokedSessions: revoked }
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Password changed' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    } finally {
+        client.release();
+    }
+});
 
-        if (existingInvite.rows.length > 0) {
-            return res.status(400).json({ error: 'Invitation already sent to this email' });
+/**
+ * POST /api/users/me/email
+ * Start an email change: sends a confirmation link to the new address
+ * users.email only changes once it is confirmed (POST /api/auth/confirm-email).
+ */
+router.post('/me/email', [
+    body('newEmail').isEmail().normalizeEmail(),
+    body('password').notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, password } = req.body;
+
+    if (newEmail === req.user.email) {
+        return res.status(400).json({ error: 'That is already your email address' });
+    }
+
+    try {
+        const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+        const validPassword = await bcrypt.compare(password, result.rows[0].password_hash);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [newEmail]);
+        if (existingUser.rows.length > 0) {
+            return res.status(400).json({ error: 'Email already registered' });
         }
 
-        // Generate invitation token
         const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date(Date.now() + parseInt(process.env.INVITATION_EXPIRY_HOURS || 72) * 60 * 60 * 1000);
+        const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRY_HOURS * 60 * 60 * 1000);
 
-        // Create invitation
+        // A new request replaces any earlier pending one
+        await pool.query('DELETE FROM email_change_tokens WHERE user_id = $1 AND used = false', [req.user.id]);
         await pool.query(
-            `INSERT INTO invitations (email, clinic_id, invited_by, role, token, expires_at)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-            [email, req.user.clinic_id, req.user.id, role, token, expiresAt]
-        );
-
-        // Send invitation email
-        const inviteLink = `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`;
-        await sendEmail({
-            to: email,
-            subject: `Join ${req.user.clinic_name} on Clinic Audit`,
-            html: `
-                <h2>You've been invited!</h2>
-                <p>${req.user.first_name} ${req.user.last_name} has invited you to join <strong>${req.user.clinic_name}</strong> on Clinic Audit.</p>
-                <p>Click the link below to accept the invitation and create your account:</p>
-                <p><a href="${inviteLink}">${inviteLink}</a></p>
-                <p>This invitation expires in ${process.env.INVITATION_EXPIRY_HOURS || 72} hours.</p>
-                <p>You'll be joining as a <strong>${role}</strong>.</p>
-            `
+            'INSERT INTO email_change_tokens (user_id, new_email, token, expires_at) VALUES ($1, $2, $3, $4)',
+            [req.user.id, newEmail, token, expiresAt]
+        );
+
+        await logAction(pool, req, {
+            action: 'user.email_change_request',
+            entityType: 'user',
+            entityId: req.user.id,
+            details: { newEmail }
+        });
+
+        await queueEmail(pool, {
+            template: 'emailChangeConfirm',
+            to: newEmail,
+            clinicId: req.user.clinic_id,
+            variables: {
+                firstName: req.user.first_name,
+                confirmLink: `${process.env.FRONTEND_URL}/confirm-email?token=${token}`,
+                expiryHours: EMAIL_CHANGE_EXPIRY_HOURS,
+                currentEmail: req.user.email
+            }
         });
 
+        res.json({ message: `Confirmation link sent to ${newEmail}` });
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({ error: 'Failed to start email change' });
+    }
+});
+
+/**
+ * GET /api/users/me/notifications
+ * Which scheduled emails the current user gets from the active clinic
+ */
+router.get('/me/notifications', async (req, res) => {
+    try {
+        res.json({ notifications: await getPreferences(pool, req.user) });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+});
+
+/**
+ * PUT /api/users/me/notifications
+ * Opt in or out of scheduled emails from the active clinic
+ * Body: { monthlyDigest?, auditReminder?, metricAlert? } - true/false, or null to go back to the default
+ */
+router.put('/me/notifications', [
+    body(Object.keys(PREFERENCE_FIELDS)).optional({ nullable: true }).isBoolean({ strict: true })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = Object.entries(PREFERENCE_FIELDS)
+        .filter(([field]) => req.body[field] !== undefined)
+        .map(([field, notification]) => ({ notification, enabled: req.body[field] }));
+    if (changes.length === 0) {
+        return res.status(400).json({ error: 'No preferences to update' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        for (const { notification, enabled } of changes) {
+            if (enabled === null) {
+                await client.query(
+                    'DELETE FROM notification_preferences WHERE user_id = $1 AND clinic_id = $2 AND notification = $3',
+                    [req.user.id, req.user.clinic_id, notification]
+                );
+            } else {
+                await client.query(
+                    `INSERT INTO notification_preferences (user_id, clinic_id, notification, enabled)
+                     VALUES ($1, $2, $3, $4)
+                     ON CONFLICT (user_id, clinic_id, notification)
+                     DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+                    [req.user.id, req.user.clinic_id, notification, enabled]
+                );
+            }
+        }
+
+        await logAction(client, req, {
+            action: 'user.notification_preferences',
+            entityType: 'user',
+            entityId: req.user.id,
+            details: { changes: Object.fromEntries(changes.map(({ notification, enabled }) => [notification, enabled])) }
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ notifications: await getPreferences(pool, req.user) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * A user's membership of a clinic: their home clinic or a granted one (user_clinic_access)
+ * @param {Object} db - Pool or transaction client
+ * @param {boolean} [lock] - Lock the user row until the transaction ends
+ * @returns {Promise<Object|null>} { email, is_active, is_home, role, custom_role_id }
+ */
+async function findMember(db, userId, clinicId, lock = false) {
+    const result = await db.query(
+        `SELECT u.email, u.is_active, u.clinic_id = $2 as is_home,
+                CASE WHEN u.clinic_id = $2 THEN u.role ELSE a.role END as role,
+                CASE WHEN u.clinic_id = $2 THEN u.custom_role_id ELSE a.custom_role_id END as custom_role_id
+         FROM users u
+         LEFT JOIN user_clinic_access a ON a.user_id = u.id AND a.clinic_id = $2
+         WHERE u.id = $1 AND (u.clinic_id = $2 OR a.user_id IS NOT NULL)
+         ${lock ? 'FOR UPDATE OF u' : ''}`,
+        [userId, clinicId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * GET /api/users
+ * Get all members of the clinic (users:manage): its own users and those granted
+ * access (is_home false), with their role here
+ */
+router.get('/', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT u.id, u.email, u.first_name, u.last_name, m.role, m.custom_role_id, cr.name as custom_role_name,
+                    m.is_home, u.is_active, u.totp_enabled, u.created_at, u.last_login_at
+             FROM clinic_memberships m
+             JOIN users u ON u.id = m.user_id
+             LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+             WHERE m.clinic_id = $1
+             ORDER BY u.created_at DESC`,
+            [req.user.clinic_id]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+/**
+ * Create and email one invitation
+ * Expired invitations for the address are closed first so it can be invited again.
+ * @returns {Promise<Object>} { status, error } when refused, else { invitation }
+ */
+async function createInvitation(req, { email, role: requestedRole, customRoleId: requestedCustomRoleId }) {
+    const assignment = await resolveRoleAssignment(req, requestedRole, requestedCustomRoleId);
+    if (assignment.error) {
+        return { status: 400, error: assignment.error };
+    }
+    const { role, customRoleId } = assignment;
+
+    // Check if user already belongs to this clinic (own clinic or granted)
+    const existingUser = await pool.query(
+        `SELECT u.id FROM clinic_memberships m
+         JOIN users u ON m.user_id = u.id
+         WHERE u.email = $1 AND m.clinic_id = $2`,
+        [email, req.user.clinic_id]
+    );
+
+    if (existingUser.rows.length > 0) {
+        return { status: 400, error: 'User already exists in this clinic' };
+    }
+
+    await expireInvitations(pool, { email, clinicId: req.user.clinic_id });
+
+    // Check for pending invitation
+    const existingInvite = await pool.query(
+        'SELECT id FROM invitations WHERE email = $1 AND clinic_id = $2 AND status = $3',
+        [email, req.user.clinic_id, 'pending']
+    );
+
+    if (existingInvite.rows.length > 0) {
+        return { status: 400, error: 'Invitation already sent to this email; resend it instead' };
+    }
+
+    const { token, expiresAt } = newInvitationToken();
+
+    // Create invitation
+    const inviteResult = await pool.query(
+        `INSERT INTO invitations (email, clinic_id, invited_by, role, custom_role_id, token, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, email, role, custom_role_id, status, expires_at`,
+        [email, req.user.clinic_id, req.user.id, role, customRoleId, token, expiresAt]
+    );
+    const invitation = inviteResult.rows[0];
+
+    await logAction(pool, req, {
+        action: 'invitation.create',
+        entityType: 'invitation',
+        entityId: invitation.id,
+        details: { email, role, customRoleId }
+    });
+    await emitEvent(pool, req.user.clinic_id, 'user.invited', {
+        invitationId: invitation.id,
+        email,
+        role,
+        customRoleId,
+        expiresAt: invitation.expires_at,
+        actorId: req.user.id
+    });
+
+    await sendInvitationEmail(pool, {
+        email,
+        token,
+        clinicId: req.user.clinic_id,
+        inviterName: `${req.user.first_name} ${req.user.last_name}`,
+        roleName: assignment.name
+    });
+
+    return { invitation };
+}
+
+/**
+ * POST /api/users/invite
+ * Invite user to clinic (users:manage)
+ * People who already have an account elsewhere join with it when they accept.
+ */
+router.post('/invite', requirePermission('users:manage'), [
+    body('email').isEmail().normalizeEmail(),
+    ...roleValidators
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await createInvitation(req, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
         res.json({ message: 'Invitation sent successfully' });
     } catch (error) {
         console.error('Invite user error:', error);
@@ -99,38 +480,169 @@ router.post('/invite', requireAdmin, [
 });
 
 /**
- * GET /api/users/invitations
- * Get pending invitations (Admin only)
+ * POST /api/users/invite/bulk
+ * Invite a list of people (users:manage)
+ * Body: { invitations: [{ email, role, customRoleId }] }, at most BULK_INVITE_LIMIT.
+ * Each entry is handled on its own; results say which were sent, skipped
+ * (already a member, already invited, duplicate, bad role) or failed.
+ */
+router.post('/invite/bulk', requirePermission('users:manage'), [
+    body('invitations').isArray({ min: 1, max: BULK_INVITE_LIMIT }),
+    body('invitations.*.email').isEmail().normalizeEmail(),
+    body('invitations.*.role').isIn(ASSIGNABLE_ROLES),
+    body('invitations.*.customRoleId').optional({ nullable: true }).isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const results = [];
+    const seen = new Set();
+
+    for (const entry of req.body.invitations) {
+        const { email } = entry;
+
+        if (seen.has(email)) {
+            results.push({ email, status: 'skipped', error: 'Duplicate in list' });
+            continue;
+        }
+        seen.add(email);
+
+        if (entry.role === 'custom' && !entry.customRoleId) {
+            results.push({ email, status: 'skipped', error: 'customRoleId is required for custom roles' });
+            continue;
+        }
+
+        try {
+            const result = await createInvitation(req, entry);
+            results.push(result.error
+                ? { email, status: 'skipped', error: result.error }
+                : { email, status: 'sent', invitationId: result.invitation.id });
+        } catch (error) {
+            console.error('Bulk invite error:', error);
+            results.push({ email, status: 'failed', error: 'Failed to send invitation' });
+        }
+    }
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+
+    res.json({
+        sent: count('sent'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        results
+    });
+});
+
+/**
+ * GET /api/users/invitations?status=pending|accepted|expired
+ * Get the clinic's invitations, optionally by status (users:manage)
  */
-router.get('/invitations', requireAdmin, async (req, res) => {
+router.get('/invitations', requirePermission('users:manage'), [
+    query('status').optional().isIn(INVITATION_STATUSES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
         const result = await pool.query(
-            `SELECT i.id, i.email, i.role, i.status, i.created_at, i.expires_at,
+            `SELECT i.id, i.email, i.role, i.custom_role_id, cr.name as custom_role_name, i.status,
+                    i.created_at, i.expires_at, i.last_sent_at, i.send_count, i.accepted_at,
                     u.first_name as invited_by_first_name, u.last_name as invited_by_last_name
              FROM invitations i
              JOIN users u ON i.invited_by = u.id
-             WHERE i.clinic_id = $1
+             LEFT JOIN clinic_roles cr ON cr.id = i.custom_role_id
+             WHERE i.clinic_id = $1 AND ($2::varchar IS NULL OR i.status = $2)
              ORDER BY i.created_at DESC`,
-            [req.user.clinic_id]
+            [req.user.clinic_id, req.query.status || null]
         );
 
-        res.json(result.rows);
+        res.json(result.rows.map(({ custom_role_name: customRoleName, ...invitation }) => ({
+            ...invitation,
+            role_name: roleName(invitation.role, customRoleName)
+        })));
     } catch (error) {
         console.error('Get invitations error:', error);
         res.status(500).json({ error: 'Failed to fetch invitations' });
     }
 });
 
+/**
+ * POST /api/users/invitations/:id/resend
+ * Email a pending or expired invitation again (users:manage)
+ * The token is replaced, so earlier links stop working, and the expiry restarts.
+ */
+router.post('/invitations/:id/resend', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const existing = await pool.query(
+            'SELECT email, role, custom_role_id, status FROM invitations WHERE id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        const invitation = existing.rows[0];
+        if (invitation.status === 'accepted') {
+            return res.status(400).json({ error: 'Invitation has already been accepted' });
+        }
+
+        const assignment = await resolveRoleAssignment(req, invitation.role, invitation.custom_role_id);
+        if (assignment.error) {
+            return res.status(400).json({ error: assignment.error });
+        }
+
+        const { token, expiresAt } = newInvitationToken();
+        const result = await pool.query(
+            `UPDATE invitations
+             SET token = $1, expires_at = $2, status = 'pending', last_sent_at = NOW(), send_count = send_count + 1
+             WHERE id = $3
+             RETURNING id, email, role, status, expires_at, send_count`,
+            [token, expiresAt, id]
+        );
+
+        await logAction(pool, req, {
+            action: 'invitation.resend',
+            entityType: 'invitation',
+            entityId: id,
+            details: { email: invitation.email, previousStatus: invitation.status }
+        });
+
+        await sendInvitationEmail(pool, {
+            email: invitation.email,
+            token,
+            clinicId: req.user.clinic_id,
+            inviterName: `${req.user.first_name} ${req.user.last_name}`,
+            roleName: assignment.name
+        });
+
+        res.json({ message: 'Invitation resent', invitation: result.rows[0] });
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({ error: 'Failed to resend invitation' });
+    }
+});
+
 /**
  * DELETE /api/users/invitations/:id
- * Cancel invitation (Admin only)
+ * Cancel invitation (users:manage)
  */
-router.delete('/invitations/:id', requireAdmin, async (req, res) => {
+router.delete('/invitations/:id', requirePermission('users:manage'), async (req, res) => {
     const { id } = req.params;
 
     try {
         const result = await pool.query(
-            'DELETE FROM invitations WHERE id = $1 AND clinic_id = $2 RETURNING id',
+            'DELETE FROM invitations WHERE id = $1 AND clinic_id = $2 RETURNING id, email, role, status',
             [id, req.user.clinic_id]
         );
 
@@ -138,6 +650,14 @@ router.delete('/invitations/:id', requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'Invitation not found' });
         }
 
+        const { email, role, status } = result.rows[0];
+        await logAction(pool, req, {
+            action: 'invitation.cancel',
+            entityType: 'invitation',
+            entityId: id,
+            details: { email, role, status }
+        });
+
         res.json({ message: 'Invitation cancelled' });
     } catch (error) {
         console.error('Cancel invitation error:', error);
@@ -145,11 +665,38 @@ router.delete('/invitations/:id', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/users/locked
+ * Users currently locked out after failed sign-ins (users:manage)
+ */
+router.get('/locked', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, email, first_name, last_name, failed_login_count, last_failed_login_at, locked_until
+             FROM users
+             WHERE clinic_id = $1 AND locked_until > NOW()
+             ORDER BY locked_until DESC`,
+            [req.user.clinic_id]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get locked users error:', error);
+        res.status(500).json({ error: 'Failed to fetch locked users' });
+    }
+});
+
 /**
  * PUT /api/users/:id/deactivate
- * Deactivate user (Admin only)
+ * Deactivate user (users:manage)
+ * Members whose home is another clinic keep their account; they lose access
+ * to this clinic and their sessions on it move back to their own clinic.
  */
-router.put('/:id/deactivate', requireAdmin, async (req, res) => {
+router.put('/:id/deactivate', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
     const { id } = req.params;
 
     // Prevent self-deactivation
@@ -158,8 +705,18 @@ router.put('/:id/deactivate', requireAdmin, async (req, res) => {
     }
 
     try {
+        const member = await findMember(pool, id, req.user.clinic_id);
+
+        if (member && member.role === 'owner' && req.user.role !== 'owner') {
+            return res.status(403).json({ error: 'Only an owner can deactivate an owner' });
+        }
+
+        if (member && !member.is_home) {
+            return await removeClinicAccess(req, res, id, member);
+        }
+
         const result = await pool.query(
-            'UPDATE users SET is_active = false WHERE id = $1 AND clinic_id = $2 RETURNING id',
+            'UPDATE users SET is_active = false WHERE id = $1 AND clinic_id = $2 RETURNING id, email',
             [id, req.user.clinic_id]
         );
 
@@ -167,6 +724,23 @@ router.put('/:id/deactivate', requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        await revokeUserSessions(pool, id, 'deactivated');
+
+        await logAction(pool, req, {
+            action: 'user.deactivate',
+            entityType: 'user',
+            entityId: id,
+            details: {
+                email: result.rows[0].email,
+                changes: { isActive: { before: member.is_active, after: false } }
+            }
+        });
+        await emitEvent(pool, req.user.clinic_id, 'user.deactivated', {
+            userId: id,
+            email: result.rows[0].email,
+            actorId: req.user.id
+        });
+
         res.json({ message: 'User deactivated successfully' });
     } catch (error) {
         console.error('Deactivate user error:', error);
@@ -174,16 +748,176 @@ router.put('/:id/deactivate', requireAdmin, async (req, res) => {
     }
 });
 
+// Deactivation of a member from another clinic: drop their access to this one
+async function removeClinicAccess(req, res, id, member) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            'DELETE FROM user_clinic_access WHERE user_id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await client.query(
+            `UPDATE user_sessions s SET clinic_id = u.clinic_id
+             FROM users u
+             WHERE s.user_id = u.id AND s.user_id = $1 AND s.clinic_id = $2`,
+            [id, req.user.clinic_id]
+        );
+
+        await logAction(client, req, {
+            action: 'user.access_revoke',
+            entityType: 'user',
+            entityId: id,
+            details: { email: member.email, role: member.role, customRoleId: member.custom_role_id }
+        });
+        await emitEvent(client, req.user.clinic_id, 'user.deactivated', {
+            userId: id,
+            email: member.email,
+            accessRemoved: true,
+            actorId: req.user.id
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'User removed from this clinic' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * PUT /api/users/:id/role
+ * Change a user's role: a built-in role or `custom` with `customRoleId` (users:manage)
+ * Only owners can grant or take away the owner role, and the clinic keeps at least one owner.
+ */
+router.put('/:id/role', requirePermission('users:manage'), [
+    param('id').isUUID(),
+    ...roleValidators
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        if (errors.array().some((error) => error.path === 'id')) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const target = await findMember(client, id, req.user.clinic_id, true);
+        if (!target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (target.role === 'owner' && req.user.role !== 'owner') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Only an owner can change an owner\'s role' });
+        }
+
+        const assignment = await resolveRoleAssignment(req, req.body.role, req.body.customRoleId);
+        if (assignment.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: assignment.error });
+        }
+
+        if (target.role === 'owner' && assignment.role !== 'owner') {
+            const owners = await client.query(
+                `SELECT COUNT(*)::int as count FROM clinic_memberships m
+                 JOIN users u ON u.id = m.user_id
+                 WHERE m.clinic_id = $1 AND m.role = 'owner' AND u.is_active = true AND m.user_id <> $2`,
+                [req.user.clinic_id, id]
+            );
+            if (owners.rows[0].count === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'The clinic must keep at least one owner' });
+            }
+        }
+
+        if (target.is_home) {
+            await client.query(
+                'UPDATE users SET role = $1, custom_role_id = $2 WHERE id = $3',
+                [assignment.role, assignment.customRoleId, id]
+            );
+        } else {
+            await client.query(
+                'UPDATE user_clinic_access SET role = $1, custom_role_id = $2 WHERE user_id = $3 AND clinic_id = $4',
+                [assignment.role, assignment.customRoleId, id, req.user.clinic_id]
+            );
+        }
+
+        await logAction(client, req, {
+            action: 'user.role_change',
+            entityType: 'user',
+            entityId: id,
+            details: {
+                email: target.email,
+                changes: diffChanges(
+                    { role: target.role, customRoleId: target.custom_role_id },
+                    { role: assignment.role, customRoleId: assignment.customRoleId }
+                )
+            }
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: `Role changed to ${assignment.name}`, role: assignment.role, customRoleId: assignment.customRoleId });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Change role error:', error);
+        res.status(500).json({ error: 'Failed to change role' });
+    } finally {
+        client.release();
+    }
+});
+
 /**
  * PUT /api/users/:id/activate
- * Activate user (Admin only)
+ * Activate user (users:manage)
+ * Only an owner can activate an owner.
  */
-router.put('/:id/activate', requireAdmin, async (req, res) => {
+router.put('/:id/activate', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
     const { id } = req.params;
 
     try {
+        const previous = await pool.query(
+            'SELECT role, is_active FROM users WHERE id = $1 AND clinic_id = $2',
+            [id, req.user.clinic_id]
+        );
+
+        if (previous.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (previous.rows[0].role === 'owner' && req.user.role !== 'owner') {
+            return res.status(403).json({ error: 'Only an owner can activate an owner' });
+        }
+
         const result = await pool.query(
-            'UPDATE users SET is_active = true WHERE id = $1 AND clinic_id = $2 RETURNING id',
+            'UPDATE users SET is_active = true WHERE id = $1 AND clinic_id = $2 RETURNING id, email',
             [id, req.user.clinic_id]
         );
 
@@ -191,6 +925,16 @@ router.put('/:id/activate', requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        await logAction(pool, req, {
+            action: 'user.activate',
+            entityType: 'user',
+            entityId: id,
+            details: {
+                email: result.rows[0].email,
+                changes: { isActive: { before: previous.rows[0].is_active, after: true } }
+            }
+        });
+
         res.json({ message: 'User activated successfully' });
     } catch (error) {
         console.error('Activate user error:', error);
@@ -198,4 +942,192 @@ router.put('/:id/activate', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/users/:id/2fa/reset
+ * Clear a user's 2FA (lost device) and sign them out everywhere (users:manage)
+ * They can log in with their password and enroll again. Only an owner can reset an owner.
+ */
+router.post('/:id/2fa/reset', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { id } = req.params;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const target = await client.query(
+            'SELECT role FROM users WHERE id = $1 AND clinic_id = $2 FOR UPDATE',
+            [id, req.user.clinic_id]
+        );
+        if (target.rows.length > 0 && target.rows[0].role === 'owner' && req.user.role !== 'owner') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Only an owner can reset an owner\'s two-factor authentication' });
+        }
+
+        const result = await client.query(
+            `UPDATE users
+             SET totp_enabled = false, totp_secret = NULL, totp_pending_secret = NULL,
+                 totp_enabled_at = NULL, totp_last_used_step = NULL
+             WHERE id = $1 AND clinic_id = $2
+             RETURNING id, email`,
+            [id, req.user.clinic_id]
+        );
+
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [id]);
+        await revokeUserSessions(client, id, 'two_factor_reset');
+
+        await logAction(client, req, {
+            action: 'user.two_factor_reset',
+            entityType: 'user',
+            entityId: id,
+            details: { email: result.rows[0].email }
+        });
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reset 2FA error:', error);
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Lift a lockout and clear the failed sign-in count (users:manage)
+ */
+router.post('/:id/unlock', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const user = await findClinicUser(id, req.user.clinic_id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await clearLoginFailures(pool, id);
+
+        await logAction(pool, req, {
+            action: 'user.unlock',
+            entityType: 'user',
+            entityId: id,
+            details: { failedLoginCount: user.failed_login_count, lockedUntil: user.locked_until }
+        });
+
+        res.json({ message: 'User unlocked' });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ error: 'Failed to unlock user' });
+    }
+});
+
+async function findClinicUser(userId, clinicId) {
+    const result = await pool.query(
+        'SELECT id, failed_login_count, locked_until FROM users WHERE id = $1 AND clinic_id = $2',
+        [userId, clinicId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * GET /api/users/:id/sessions
+ * List a user's active sessions (users:manage)
+ */
+router.get('/:id/sessions', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    try {
+        if (!await findClinicUser(req.params.id, req.user.clinic_id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(await listActiveSessions(pool, req.params.id));
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Revoke one of a user's sessions (users:manage)
+ */
+router.delete('/:id/sessions/:sessionId', requirePermission('users:manage'), param(['id', 'sessionId']).isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { id, sessionId } = req.params;
+
+    try {
+        const revoked = await findClinicUser(id, req.user.clinic_id)
+            && await revokeSession(pool, sessionId, 'revoked_by_admin', id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await logAction(pool, req, {
+            action: 'session.revoke',
+            entityType: 'session',
+            entityId: sessionId,
+            details: { userId: id }
+        });
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+/**
+ * DELETE /api/users/:id/sessions
+ * Sign a user out everywhere (users:manage)
+ */
+router.delete('/:id/sessions', requirePermission('users:manage'), param('id').isUUID(), async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        if (!await findClinicUser(id, req.user.clinic_id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const revoked = await revokeUserSessions(pool, id, 'revoked_by_admin');
+
+        await logAction(pool, req, {
+            action: 'session.revoke_all',
+            entityType: 'user',
+            entityId: id,
+            details: { revoked }
+        });
+
+        res.json({ message: `Revoked ${revoked} session(s)`, revoked });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { diffChanges, logAction } = require('../utils/auditLog');
+const { WEBHOOK_EVENTS, newWebhookSecret, assertPublicUrl, sendTestEvent, retryDelivery } = require('../utils/webhooks');
+
+router.use(authenticate, requirePermission('clinic:manage'));
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+// The secret is only returned when it is created or rotated
+const SUBSCRIPTION_COLUMNS = 'id, url, description, events, enabled, created_by, created_at, updated_at';
+
+const DELIVERY_COLUMNS = `id, event, status, attempts, max_attempts, next_attempt_at, response_status, duration_ms,
+                    last_error, delivered_at, created_at, updated_at`;
+
+const subscriptionValidators = [
+    body('url').isURL({ protocols: ['https'], require_protocol: true }).bail().custom(assertPublicUrl),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('events').isArray({ min: 1 }),
+    body('events.*').isIn(Object.keys(WEBHOOK_EVENTS)),
+    body('enabled').optional().isBoolean({ strict: true })
+];
+
+// 404 for a malformed id, 400 for anything else
+function rejectInvalid(req, res, notFound) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    if (errors.array().some((error) => ['id', 'deliveryId'].includes(error.path) && error.location === 'params')) {
+        res.status(404).json({ error: notFound });
+    } else {
+        res.status(400).json({ errors: errors.array() });
+    }
+    return true;
+}
+
+async function findSubscription(req, id) {
+    const result = await pool.query(
+        `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1 AND clinic_id = $2`,
+        [id, req.user.clinic_id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * GET /api/webhooks
+ * The clinic's webhook subscriptions with their delivery counts, plus the events they can subscribe to
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS.split(', ').map((column) => `s.${column}`).join(', ')},
+                    COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'sending'))::int as pending_deliveries,
+                    COUNT(d.id) FILTER (WHERE d.status = 'dead')::int as dead_deliveries,
+                    MAX(d.delivered_at) as last_delivered_at
+             FROM webhook_subscriptions s
+             LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+             WHERE s.clinic_id = $1
+             GROUP BY s.id
+             ORDER BY s.created_at`,
+            [req.user.clinic_id]
+        );
+
+        res.json({ events: WEBHOOK_EVENTS, subscriptions: result.rows });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe an https endpoint to events: { url, events, description?, enabled? }
+ * The response includes the signing secret; it isn't shown again.
+ */
+router.post('/', subscriptionValidators, async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { url, description = null, enabled = true } = req.body;
+    const events = [...new Set(req.body.events)];
+    const secret = newWebhookSecret();
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO webhook_subscriptions (clinic_id, url, description, events, secret, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [req.user.clinic_id, url, description, events, secret, enabled, req.user.id]
+        );
+        const subscription = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'webhook.create',
+            entityType: 'webhook',
+            entityId: subscription.id,
+            details: { url, events, enabled }
+        });
+
+        res.status(201).json({ ...subscription, secret });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Replace a subscription's url, events, description and enabled flag; the secret is kept
+ */
+router.put('/:id', param('id').isUUID(), subscriptionValidators, async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { id } = req.params;
+    const { url, description = null, enabled = true } = req.body;
+    const events = [...new Set(req.body.events)];
+
+    try {
+        const previous = await findSubscription(req, id);
+        if (!previous) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const result = await pool.query(
+            `UPDATE webhook_subscriptions SET url = $1, description = $2, events = $3, enabled = $4
+             WHERE id = $5 AND clinic_id = $6
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [url, description, events, enabled, id, req.user.clinic_id]
+        );
+        const subscription = result.rows[0];
+
+        await logAction(pool, req, {
+            action: 'webhook.update',
+            entityType: 'webhook',
+            entityId: id,
+            details: {
+                changes: diffChanges(
+                    { url: previous.url, description: previous.description, events: previous.events, enabled: previous.enabled },
+                    { url, description, events, enabled }
+                )
+            }
+        });
+
+        res.json(subscription);
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription and its delivery log
+ */
+router.delete('/:id', param('id').isUUID(), async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM webhook_subscriptions WHERE id = $1 AND clinic_id = $2 RETURNING url, events',
+            [id, req.user.clinic_id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await logAction(pool, req, {
+            action: 'webhook.delete',
+            entityType: 'webhook',
+            entityId: id,
+            details: result.rows[0]
+        });
+
+        res.json({ message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; deliveries from now on use the new one, which is returned once
+ */
+router.post('/:id/rotate-secret', param('id').isUUID(), async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { id } = req.params;
+    const secret = newWebhookSecret();
+
+    try {
+        const result = await pool.query(
+            `UPDATE webhook_subscriptions SET secret = $1 WHERE id = $2 AND clinic_id = $3
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [secret, id, req.user.clinic_id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await logAction(pool, req, {
+            action: 'webhook.rotate_secret',
+            entityType: 'webhook',
+            entityId: id
+        });
+
+        res.json({ ...result.rows[0], secret });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event to the endpoint now and return the delivery with its outcome
+ */
+router.post('/:id/test', param('id').isUUID(), async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { id } = req.params;
+
+    try {
+        const subscription = await findSubscription(req, id);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const deliveryId = await sendTestEvent(pool, req.user.clinic_id, id, {
+            message: 'Test event from Clinic Audit',
+            sentBy: req.user.email
+        });
+
+        await logAction(pool, req, {
+            action: 'webhook.test',
+            entityType: 'webhook',
+            entityId: id,
+            details: { deliveryId }
+        });
+
+        const result = await pool.query(
+            `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1`,
+            [deliveryId]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * A subscription's deliveries, newest first
+ * Filters: status (pending, sending, delivered, dead), event.
+ * Paginated with page (default 1) and limit (default 50, max 200).
+ */
+router.get('/:id/deliveries', [
+    param('id').isUUID(),
+    query('status').optional().isIn(DELIVERY_STATUSES),
+    query('event').optional().trim().notEmpty(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    if (rejectInvalid(req, res, 'Webhook not found')) {
+        return;
+    }
+
+    const { id } = req.params;
+    const { status, event } = req.query;
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 50, 10);
+
+    const conditions = ['subscription_id = $1', 'clinic_id = $2'];
+    const params = [id, req.user.clinic_id];
+    const addCondition = (value, buildSql) => {
+        params.push(value);
+        conditions.push(buildSql(`$${params.length}`));
+    };
+
+    if (status) addCondition(status, (p) => `status = ${p}`);
+    if (event) addCondition(event, (p) => `event = ${p}`);
+
+    const where = conditions.join(' AND ');
+
+    try {
+        if (!await findSubscription(req, id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int as total FROM webhook_deliveries WHERE ${where}`,
+            params
+        );
+        const total = countResult.rows[0].total;
+
+        const result = await pool.query(
+            `SELECT ${DELIVERY_COLUMNS}
+             FROM webhook_deliveries
+             WHERE ${where}
+             ORDER BY created_at DESC, id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            deliveries: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * One delivery with the payload sent
+ */
+router.get('/:id/deliveries/:deliveryId', param(['id', 'deliveryId']).isUUID(), async (req, res) => {
+    if (rejectInvalid(req, res, 'Delivery not found')) {
+        return;
+    }
+
+    const { id, deliveryId } = req.params;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${DELIVERY_COLUMNS}, payload
+             FROM webhook_deliveries
+             WHERE id = $1 AND subscription_id = $2 AND clinic_id = $3`,
+            [deliveryId, id, req.user.clinic_id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Get webhook delivery error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ * Send a dead (or still pending) delivery again now, with a fresh set of attempts
+ */
+router.post('/:id/deliveries/:deliveryId/retry', param(['id', 'deliveryId']).isUUID(), async (req, res) => {
+    if (rejectInvalid(req, res, 'Delivery not found')) {
+        return;
+    }
+
+    const { id, deliveryId } = req.params;
+
+    try {
+        const retried = await retryDelivery(pool, deliveryId, id, req.user.clinic_id);
+        if (!retried) {
+            return res.status(404).json({ error: 'Delivery not found or already delivered' });
+        }
+
+        await logAction(pool, req, {
+            action: 'webhook.retry',
+            entityType: 'webhook',
+            entityId: id,
+            details: { deliveryId }
+        });
+
+        const result = await pool.query(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1`, [deliveryId]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Retry webhook delivery error:', error);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+    }
+});
+
+module.exports = router;
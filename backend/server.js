@@ -3,13 +3,33 @@ const cors = require('cors');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const auditsRoutes = require('./routes/audits');
 const goalsRoutes = require('./routes/goals');
 const usersRoutes = require('./routes/users');
+const clinicRoutes = require('./routes/clinic');
+const auditLogsRoutes = require('./routes/auditLogs');
+const rolesRoutes = require('./routes/roles');
+const organizationsRoutes = require('./routes/organizations');
+const emailDeliveriesRoutes = require('./routes/emailDeliveries');
+const alertsRoutes = require('./routes/alerts');
+const webhooksRoutes = require('./routes/webhooks');
+const apiKeysRoutes = require('./routes/apiKeys');
+const pool = require('./config/database');
+const { startExpirySweep } = require('./utils/invitations');
+const { startEmailWorker } = require('./utils/emailQueue');
+const { startNotificationScheduler } = require('./utils/notifications');
+const { startWebhookWorker } = require('./utils/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a proxy req.ip is the proxy's address unless it is trusted
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 /*
   CLEAN PRODUCTION CORS
   Allows:
@@ -22,7 +42,8 @@ app.use(cors({
     "http://localhost:3000",
     /\.vercel\.app$/
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ["ETag"]
 }));
 
 app.use(express.json());
@@ -37,10 +58,19 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/audits', auditsRoutes);
 app.use('/api/goals', goalsRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/clinic', clinicRoutes);
+app.use('/api/audit-logs', auditLogsRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/organization', organizationsRoutes);
+app.use('/api/email-deliveries', emailDeliveriesRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
 
 // 404
 app.use((req, res) => {
@@ -56,4 +86,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Clinic Audit SaaS API running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  startExpirySweep(pool);
+  startEmailWorker(pool);
+  startNotificationScheduler(pool);
+  startWebhookWorker(pool);
 });
@@ -0,0 +1,121 @@
+/**
+ * Per-account brute-force protection
+ *
+ * Consecutive failed sign-ins (password or 2FA code) are counted on the user.
+ * From DELAY_AFTER failures on, each retry has to wait an exponentially
+ * growing delay; at LOCKOUT_THRESHOLD the account is locked for
+ * LOCKOUT_MINUTES or until an admin unlocks it. Every attempt is recorded in
+ * auth_attempts.
+ */
+
+const DELAY_AFTER = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || 10, 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES || 15, 10);
+
+function retryDelaySeconds(failedCount) {
+    if (failedCount < DELAY_AFTER) {
+        return 0;
+    }
+    return Math.min(2 ** (failedCount - DELAY_AFTER), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Whether a user may attempt to sign in right now
+ * @param {Object} user - users row with failed_login_count, last_failed_login_at, locked_until
+ * @returns {Object|null} null when allowed, else { locked, retryAfter } (seconds)
+ */
+function checkAccountLock(user) {
+    const now = Date.now();
+
+    if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+        return { locked: true, retryAfter: Math.ceil((new Date(user.locked_until).getTime() - now) / 1000) };
+    }
+
+    const delay = retryDelaySeconds(user.failed_login_count || 0);
+    if (delay > 0 && user.last_failed_login_at) {
+        const allowedAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+        if (allowedAt > now) {
+            return { locked: false, retryAfter: Math.ceil((allowedAt - now) / 1000) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Send the 429 for a blocked attempt
+ */
+function sendLocked(res, lock) {
+    res.set('Retry-After', String(lock.retryAfter));
+    return res.status(429).json({
+        error: lock.locked
+            ? 'Account temporarily locked after too many failed attempts'
+            : 'Too many failed attempts; wait before trying again',
+        retryAfter: lock.retryAfter
+    });
+}
+
+/**
+ * Count a failed sign-in, locking the account at the threshold
+ * Counting restarts after an expired lockout.
+ * @returns {Promise<Object>} { failedCount, locked }
+ */
+async function recordLoginFailure(db, userId) {
+    const result = await db.query(
+        `WITH counted AS (
+             SELECT id, CASE WHEN locked_until <= NOW() THEN 1 ELSE failed_login_count + 1 END as failed_count
+             FROM users WHERE id = $1
+         )
+         UPDATE users u
+         SET failed_login_count = counted.failed_count,
+             last_failed_login_at = NOW(),
+             locked_until = CASE WHEN counted.failed_count >= $2
+                 THEN NOW() + make_interval(mins => $3) ELSE NULL END
+         FROM counted
+         WHERE u.id = counted.id
+         RETURNING u.failed_login_count, u.locked_until`,
+        [userId, LOCKOUT_THRESHOLD, LOCKOUT_MINUTES]
+    );
+    const row = result.rows[0];
+    return { failedCount: row.failed_login_count, locked: row.failed_login_count >= LOCKOUT_THRESHOLD };
+}
+
+/**
+ * Clear failure counters after a successful sign-in or an admin unlock
+ */
+async function clearLoginFailures(db, userId) {
+    await db.query(
+        `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+         WHERE id = $1`,
+        [userId]
+    );
+}
+
+/**
+ * Record an authentication attempt
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} req - Request (IP)
+ * @param {Object} attempt
+ * @param {string} attempt.kind - login, two_factor, forgot_password or accept_invitation
+ * @param {boolean} attempt.success
+ * @param {string} [attempt.email]
+ * @param {string} [attempt.userId]
+ * @param {string} [attempt.reason] - Why it failed (bad_password, locked, ...)
+ */
+async function recordAttempt(db, req, { kind, success, email = null, userId = null, reason = null }) {
+    await db.query(
+        `INSERT INTO auth_attempts (kind, email, user_id, ip_address, success, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [kind, email, userId, req.ip, success, reason]
+    );
+}
+
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    checkAccountLock,
+    sendLocked,
+    recordLoginFailure,
+    clearLoginFailures,
+    recordAttempt
+};
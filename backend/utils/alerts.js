@@ -0,0 +1,281 @@
+const { getAuditWithItems } = require('./auditStore');
+const { getGoalVersions, selectGoalsForMonth } = require('./goals');
+const { buildScorecard, resolveSettings } = require('./scoring');
+const { flattenScorecard } = require('./trends');
+const { addMonths } = require('./months');
+const { logAction } = require('./auditLog');
+const { queueEmail } = require('./emailQueue');
+const { monthLabel } = require('./digest');
+const { getRecipients } = require('./notifications');
+const { emitEvent } = require('./webhooks');
+
+/**
+ * Metric alerts
+ *
+ * A rule compares one derived metric of a month - its value, or its change
+ * against the previous month in units or percent - with a threshold. Rules
+ * are checked whenever a month is saved (and the following month, whose
+ * changes are measured against it). A breach opens one alert per rule and
+ * month, emailed to members who get metric alerts and sent to alert.triggered
+ * webhook subscriptions (utils/webhooks.js); a later save that no longer
+ * breaches the rule resolves it.
+ *
+ * Values are in the metric's own unit, as the trends API returns them:
+ * capacity and conversion rates are fractions (0.75 = 75%), profitMargin is
+ * a percentage.
+ */
+
+const ALERT_METRICS = {
+    revenue: 'Revenue',
+    profit: 'Profit',
+    profitMargin: 'Profit margin',
+    capacity: 'Capacity',
+    clientValue: 'Client value',
+    totalClients: 'Total clients',
+    totalPayroll: 'Total payroll',
+    totalOperatingExpenses: 'Operating expenses',
+    cogs: 'COGS',
+    marketingSpend: 'Marketing spend',
+    marketingCostPerNewClient: 'Marketing cost per new client',
+    websiteVisits: 'Website visits',
+    websiteConversionRate: 'Website conversion rate',
+    newClientVisits: 'New client visits',
+    treatmentPlanConversionRate: 'Treatment plan conversion rate',
+    totalScore: 'Total score',
+    financialScore: 'Financial score',
+    capacityScore: 'Capacity score',
+    newClientFlowScore: 'New client flow score',
+    marketingScore: 'Marketing score'
+};
+
+const COMPARISONS = ['value', 'change', 'percent_change'];
+const OPERATORS = ['below', 'above'];
+
+const ALERT_COLUMNS = `id, rule_id, to_char(audit_month, 'YYYY-MM') as audit_month, rule_name, metric, comparison,
+                    operator, threshold, value, status, triggered_at, acknowledged_at, acknowledged_by,
+                    resolved_at`;
+
+/**
+ * Every alert metric of a scorecard
+ * @param {Object} scorecard - Output of buildScorecard
+ * @returns {Object} { metric: value }; marketingCostPerNewClient is null without new clients
+ */
+function metricValues(scorecard) {
+    const { marketingSpend, newClientVisits } = scorecard.metrics;
+    return {
+        ...flattenScorecard(scorecard),
+        marketingCostPerNewClient: newClientVisits > 0 ? marketingSpend / newClientVisits : null
+    };
+}
+
+/**
+ * What a rule compares for a month
+ * @param {Object} rule - alert_rules row
+ * @param {Object} values - metricValues of the month
+ * @param {Object|null} previousValues - metricValues of the month before
+ * @returns {number|null} null when it can't be measured (no prior month, division by zero)
+ */
+function measure(rule, values, previousValues) {
+    const current = values[rule.metric];
+    if (current === null || current === undefined) {
+        return null;
+    }
+    if (rule.comparison === 'value') {
+        return current;
+    }
+
+    const previous = previousValues ? previousValues[rule.metric] : null;
+    if (previous === null || previous === undefined) {
+        return null;
+    }
+    if (rule.comparison === 'change') {
+        return current - previous;
+    }
+    return previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null;
+}
+
+function isBreached(rule, value) {
+    if (value === null) {
+        return false;
+    }
+    const threshold = Number(rule.threshold);
+    return rule.operator === 'below' ? value < threshold : value > threshold;
+}
+
+function formatNumber(value) {
+    return Number(Number(value).toFixed(2)).toLocaleString('en-US');
+}
+
+/**
+ * One-line explanation of an alert, e.g. 'Revenue change vs last month (%) was -23.5, below the threshold of -10'
+ * @param {Object} alert - alerts row
+ */
+function describeAlert(alert) {
+    const label = ALERT_METRICS[alert.metric] || alert.metric;
+    const subject = {
+        value: label,
+        change: `${label} change vs last month`,
+        percent_change: `${label} change vs last month (%)`
+    }[alert.comparison];
+    return `${subject} was ${formatNumber(alert.value)}, ${alert.operator} the threshold of ${formatNumber(alert.threshold)}`;
+}
+
+/**
+ * alerts row as returned by the API
+ */
+function formatAlert(alert) {
+    return { ...alert, description: describeAlert(alert) };
+}
+
+async function sendAlertEmails(db, clinicId, alert) {
+    const recipients = await getRecipients(db, clinicId, 'metric_alert');
+
+    for (const recipient of recipients) {
+        await queueEmail(db, {
+            template: 'metricAlert',
+            to: recipient.email,
+            clinicId,
+            variables: {
+                firstName: recipient.first_name,
+                ruleName: alert.rule_name,
+                monthLabel: monthLabel(alert.audit_month),
+                description: describeAlert(alert),
+                alertsLink: `${process.env.FRONTEND_URL}/alerts?month=${alert.audit_month}`
+            }
+        });
+    }
+}
+
+/**
+ * Open, update or resolve a rule's alert for a month
+ * @returns {Promise<Object|null>} The alert when it (re)opened
+ */
+async function applyRule(db, req, rule, month, value) {
+    const existing = await db.query(
+        'SELECT id, status FROM alerts WHERE rule_id = $1 AND audit_month = $2 FOR UPDATE',
+        [rule.id, `${month}-01`]
+    );
+    const current = existing.rows[0];
+
+    if (!isBreached(rule, value)) {
+        if (current && current.status !== 'resolved') {
+            await db.query(
+                'UPDATE alerts SET status = \'resolved\', resolved_at = NOW() WHERE id = $1',
+                [current.id]
+            );
+            await logAction(db, req, {
+                action: 'alert.resolve',
+                entityType: 'alert',
+                entityId: current.id,
+                details: { rule: rule.name, month }
+            });
+        }
+        return null;
+    }
+
+    if (current && current.status !== 'resolved') {
+        // Still breached: keep the alert (and its acknowledgement), refresh the value
+        await db.query('UPDATE alerts SET value = $1 WHERE id = $2', [value, current.id]);
+        return null;
+    }
+
+    const snapshot = [rule.name, rule.metric, rule.comparison, rule.operator, rule.threshold, value];
+    const result = current
+        ? await db.query(
+            `UPDATE alerts
+             SET rule_name = $2, metric = $3, comparison = $4, operator = $5, threshold = $6, value = $7,
+                 status = 'open', triggered_at = NOW(), acknowledged_at = NULL, acknowledged_by = NULL,
+                 resolved_at = NULL
+             WHERE id = $1
+             RETURNING ${ALERT_COLUMNS}`,
+            [current.id, ...snapshot]
+        )
+        : await db.query(
+            `INSERT INTO alerts (clinic_id, rule_id, audit_month, rule_name, metric, comparison, operator, threshold, value)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (rule_id, audit_month) DO NOTHING
+             RETURNING ${ALERT_COLUMNS}`,
+            [rule.clinic_id, rule.id, `${month}-01`, ...snapshot]
+        );
+    if (result.rows.length === 0) {
+        // A concurrent save of a neighbouring month just opened it
+        return null;
+    }
+    const alert = result.rows[0];
+
+    await logAction(db, req, {
+        action: 'alert.trigger',
+        entityType: 'alert',
+        entityId: alert.id,
+        details: { rule: rule.name, month, value }
+    });
+    await emitEvent(db, rule.clinic_id, 'alert.triggered', { alert: formatAlert(alert) });
+
+    if (rule.notify_email) {
+        await sendAlertEmails(db, rule.clinic_id, alert);
+    }
+
+    return alert;
+}
+
+/**
+ * Check the clinic's rules after a month was saved
+ * Runs inside the save's transaction, so alerts and their emails commit with it.
+ * @param {Object} client - Transaction client
+ * @param {Object} req - Request of the save (for the activity log)
+ * @param {string} month - Saved month, YYYY-MM
+ * @returns {Promise<Object[]>} Alerts that opened (formatAlert)
+ */
+async function evaluateAlerts(client, req, month) {
+    const clinicId = req.user.clinic_id;
+    const rules = await client.query(
+        'SELECT * FROM alert_rules WHERE clinic_id = $1 AND enabled = true ORDER BY created_at',
+        [clinicId]
+    );
+    if (rules.rows.length === 0) {
+        return [];
+    }
+
+    const goalVersions = await getGoalVersions(clinicId, client);
+    const valuesByMonth = {};
+    const valuesFor = async (target) => {
+        if (!(target in valuesByMonth)) {
+            const audit = await getAuditWithItems(client, clinicId, target);
+            valuesByMonth[target] = audit
+                ? metricValues(buildScorecard(audit, resolveSettings(selectGoalsForMonth(goalVersions, target))))
+                : null;
+        }
+        return valuesByMonth[target];
+    };
+
+    const opened = [];
+    for (const target of [month, addMonths(month, 1)]) {
+        const values = await valuesFor(target);
+        if (!values) {
+            continue;
+        }
+        const previousValues = await valuesFor(addMonths(target, -1));
+
+        for (const rule of rules.rows) {
+            // Only month-over-month rules of the next month depend on the saved one
+            if (target !== month && rule.comparison === 'value') {
+                continue;
+            }
+            const alert = await applyRule(client, req, rule, target, measure(rule, values, previousValues));
+            if (alert) {
+                opened.push(formatAlert(alert));
+            }
+        }
+    }
+
+    return opened;
+}
+
+module.exports = {
+    ALERT_METRICS,
+    COMPARISONS,
+    OPERATORS,
+    ALERT_COLUMNS,
+    formatAlert,
+    evaluateAlerts
+};
@@ -0,0 +1,131 @@
+const { toNumber } = require('./scoring');
+
+/**
+ * Overhead allocation
+ *
+ * Spreads the audit's overhead across services so that the sum of service
+ * contribution margins adds back up to clinic-level profit.
+ */
+
+const ALLOCATION_METHODS = ['manual', 'booked_hours', 'revenue', 'provider_hours'];
+
+// Service field each automatic method allocates by
+const ALLOCATION_BASIS = {
+    booked_hours: 'bookedHours',
+    revenue: 'revenue',
+    provider_hours: 'providerHours'
+};
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function hasOverride(service) {
+    return service.allocationOverride !== undefined && service.allocationOverride !== null && service.allocationOverride !== '';
+}
+
+/**
+ * Overhead to spread across services
+ *
+ * Every clinic-level cost (operating expenses, additional expenses, payroll
+ * and COGS) less the commission already charged to individual services.
+ * @param {Object} audit - Audit request body (camelCase)
+ */
+function calculateOverheadPool(audit) {
+    const sum = (items, field) => (items || []).reduce((total, item) => total + toNumber(item[field]), 0);
+
+    return roundCents(
+        toNumber(audit.operatingExpenses)
+        + sum(audit.expenses, 'amount')
+        + sum(audit.payroll, 'amount')
+        + toNumber(audit.cogs)
+        - sum(audit.services, 'commission')
+    );
+}
+
+/**
+ * Split an amount by weights, rounded to cents with the remainder on the last share
+ */
+function splitByWeights(amount, weights) {
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    const shares = weights.map((weight) => roundCents(
+        totalWeight > 0 ? amount * (weight / totalWeight) : amount / weights.length
+    ));
+
+    if (shares.length > 0) {
+        const drift = roundCents(amount - shares.reduce((total, share) => total + share, 0));
+        shares[shares.length - 1] = roundCents(shares[shares.length - 1] + drift);
+    }
+
+    return shares;
+}
+
+/**
+ * Allocate overhead across services
+ *
+ * computedAllocatedExpenses is each service's share of the whole pool by the
+ * chosen basis. Services with an allocationOverride keep it, and the rest of
+ * the pool is spread over the remaining services by the same basis. When the
+ * overrides exceed the pool the remaining services get nothing, and the
+ * summary's negative `unallocated` shows the overage.
+ * With the 'manual' method, allocatedExpenses is taken as entered.
+ * @param {Array} services - Services from the audit request body (camelCase)
+ * @param {number} overheadPool - Output of calculateOverheadPool
+ * @param {string} method - One of ALLOCATION_METHODS
+ * @returns {Object} { services, summary }
+ */
+function allocateOverhead(services, overheadPool, method) {
+    const items = services || [];
+
+    if (method === 'manual' || !ALLOCATION_BASIS[method]) {
+        const allocated = items.map((service) => ({
+            ...service,
+            computedAllocatedExpenses: null,
+            allocationOverride: null,
+            allocatedExpenses: toNumber(service.allocatedExpenses)
+        }));
+        return { services: allocated, summary: summarize('manual', overheadPool, allocated) };
+    }
+
+    const basisField = ALLOCATION_BASIS[method];
+    const weights = items.map((service) => toNumber(service[basisField]));
+    const computed = splitByWeights(overheadPool, weights);
+
+    const overrideTotal = items.reduce(
+        (total, service) => total + (hasOverride(service) ? toNumber(service.allocationOverride) : 0),
+        0
+    );
+    const automaticIndexes = items.map((_, index) => index).filter((index) => !hasOverride(items[index]));
+    const automaticShares = splitByWeights(
+        Math.max(0, roundCents(overheadPool - overrideTotal)),
+        automaticIndexes.map((index) => weights[index])
+    );
+
+    const allocated = items.map((service, index) => {
+        const override = hasOverride(service) ? roundCents(toNumber(service.allocationOverride)) : null;
+        return {
+            ...service,
+            computedAllocatedExpenses: computed[index],
+            allocationOverride: override,
+            allocatedExpenses: override !== null ? override : automaticShares[automaticIndexes.indexOf(index)]
+        };
+    });
+
+    return { services: allocated, summary: summarize(method, overheadPool, allocated) };
+}
+
+function summarize(method, overheadPool, services) {
+    const allocated = roundCents(services.reduce((total, service) => total + service.allocatedExpenses, 0));
+    return {
+        method,
+        overheadPool,
+        allocated,
+        unallocated: roundCents(overheadPool - allocated)
+    };
+}
+
+module.exports = {
+    ALLOCATION_METHODS,
+    calculateOverheadPool,
+    allocateOverhead
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+/**
+ * API keys
+ *
+ * Clinic admins create keys for machine integrations (exports, BI tools,
+ * bookkeeping sync). A key belongs to one clinic and carries its own subset
+ * of the data permissions below; it is sent like an access token
+ * (`Authorization: Bearer cak_...`) and middleware/auth.js authenticates it
+ * as a user without a person behind it. Only its SHA-256 hash is stored, so
+ * the key is shown once, when it is created.
+ */
+
+const API_KEY_PREFIX = 'cak_';
+
+// Permissions a key can be given; managing users, the clinic and the
+// organization stays with people
+const API_KEY_PERMISSIONS = [
+    'audits:read',
+    'audits:write',
+    'marketing:write',
+    'payroll:read',
+    'payroll:write',
+    'audits:delete',
+    'audits:submit',
+    'audits:approve',
+    'goals:write',
+    'logs:read'
+];
+
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_SECONDS = 60;
+
+/**
+ * New random key
+ * @returns {Object} { key, prefix, hash }; only prefix and hash are stored
+ */
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), hash: hashToken(key) };
+}
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Key row for a presented key, with its clinic, whatever its state
+ * @param {Object} db - Pool
+ * @param {string} key - Full key
+ * @returns {Promise<Object|null>}
+ */
+async function findApiKey(db, key) {
+    const result = await db.query(
+        `SELECT k.id, k.name, k.clinic_id, k.permissions, k.expires_at, k.revoked_at,
+                c.name as clinic_name, c.organization_id
+         FROM api_keys k
+         JOIN clinics c ON c.id = k.clinic_id
+         WHERE k.key_hash = $1`,
+        [hashToken(key)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record that a key was used
+ * @param {Object} db - Pool
+ * @param {string} id - api_keys id
+ * @param {string|null} ip - Client IP
+ */
+async function touchApiKey(db, id, ip) {
+    await db.query(
+        `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+         WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))`,
+        [id, ip, LAST_USED_INTERVAL_SECONDS]
+    );
+}
+
+module.exports = {
+    API_KEY_PERMISSIONS,
+    generateApiKey,
+    isApiKey,
+    findApiKey,
+    touchApiKey
+};
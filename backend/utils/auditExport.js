@@ -0,0 +1,270 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { stringify } = require('csv-stringify/sync');
+const { buildScorecard } = require('./scoring');
+const { analyzeServices } = require('./serviceEconomics');
+
+/**
+ * Audit export
+ *
+ * Renders audit rows (as returned by the audits routes, with aggregated
+ * payroll/expenses/services and a `month` column) to CSV, XLSX or PDF.
+ * Sheet names and headers match the import format so exports round-trip.
+ */
+
+// Columns per table: [header, value getter]
+const TABLES = {
+    audits: [
+        ['auditMonth', (audit) => audit.month],
+        ['clinicName', (audit) => audit.clinic_name],
+        ['revenue', (audit) => audit.revenue],
+        ['operatingExpenses', (audit) => audit.operating_expenses],
+        ['cogs', (audit) => audit.cogs],
+        ['websiteVisits', (audit) => audit.website_visits],
+        ['websiteConversionRate', (audit) => audit.website_conversion_rate],
+        ['newClientVisits', (audit) => audit.new_client_visits],
+        ['clientsConvertingToTreatment', (audit) => audit.clients_converting_to_treatment],
+        ['totalClients', (audit) => audit.total_clients],
+        ['totalAppointments', (audit) => audit.total_appointments],
+        ['marketingSpend', (audit) => audit.marketing_spend]
+    ],
+    payroll: [
+        ['auditMonth', (item, audit) => audit.month],
+        ['name', (item) => item.name],
+        ['amount', (item) => item.amount]
+    ],
+    expenses: [
+        ['auditMonth', (item, audit) => audit.month],
+        ['name', (item) => item.name],
+        ['amount', (item) => item.amount],
+        ['notes', (item) => item.notes]
+    ],
+    services: [
+        ['auditMonth', (item, audit) => audit.month],
+        ['name', (item) => item.name],
+        ['providerHours', (item) => item.provider_hours],
+        ['bookedHours', (item) => item.booked_hours],
+        ['revenue', (item) => item.revenue],
+        ['commission', (item) => item.commission],
+        ['allocatedExpenses', (item) => item.allocated_expenses],
+        ['allocationOverride', (item) => item.allocation_override]
+    ]
+};
+
+const TABLE_NAMES = Object.keys(TABLES);
+
+const SHEET_TITLES = {
+    audits: 'Audits',
+    payroll: 'Payroll',
+    expenses: 'Expenses',
+    services: 'Services'
+};
+
+// Derived metrics and scores included in the XLSX Scorecard sheet
+const SCORECARD_COLUMNS = [
+    ['auditMonth', (audit) => audit.month],
+    ['profit', (audit, { metrics }) => metrics.profit],
+    ['profitMargin', (audit, { metrics }) => metrics.profitMargin],
+    ['capacity', (audit, { metrics }) => metrics.capacity],
+    ['clientValue', (audit, { metrics }) => metrics.clientValue],
+    ['treatmentPlanConversionRate', (audit, { metrics }) => metrics.treatmentPlanConversionRate],
+    ['financialScore', (audit, { scores }) => scores.financial.score],
+    ['capacityScore', (audit, { scores }) => scores.capacity.score],
+    ['newClientFlowScore', (audit, { scores }) => scores.newClientFlow.score],
+    ['marketingScore', (audit, { scores }) => scores.marketing.score],
+    ['totalScore', (audit, { scores }) => scores.total]
+];
+
+function numberOrValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const number = Number(value);
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(number) ? number : value;
+}
+
+function tableRows(table, audits) {
+    const columns = TABLES[table];
+    if (table === 'audits') {
+        return audits.map((audit) => columns.map(([, get]) => numberOrValue(get(audit))));
+    }
+    return audits.flatMap((audit) => (audit[table] || []).map(
+        (item) => columns.map(([, get]) => numberOrValue(get(item, audit)))
+    ));
+}
+
+/**
+ * Flat CSV for one table
+ * @param {Array} audits - Audit rows
+ * @param {string} table - One of TABLE_NAMES
+ * @returns {string} CSV text
+ */
+function toCsv(audits, table) {
+    const header = TABLES[table].map(([name]) => name);
+    return stringify([header, ...tableRows(table, audits)]);
+}
+
+/**
+ * Multi-sheet XLSX workbook: one sheet per table plus a Scorecard sheet
+ * @param {Array} audits - Audit rows
+ * @param {Function} goalsForMonth - (month) => goals settings used for scoring
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(audits, goalsForMonth) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    for (const table of TABLE_NAMES) {
+        const worksheet = workbook.addWorksheet(SHEET_TITLES[table]);
+        worksheet.addRow(TABLES[table].map(([name]) => name)).font = { bold: true };
+        worksheet.addRows(tableRows(table, audits));
+    }
+
+    const scorecardSheet = workbook.addWorksheet('Scorecard');
+    scorecardSheet.addRow(SCORECARD_COLUMNS.map(([name]) => name)).font = { bold: true };
+    for (const audit of audits) {
+        const scorecard = buildScorecard(audit, goalsForMonth(audit.month));
+        scorecardSheet.addRow(SCORECARD_COLUMNS.map(([, get]) => get(audit, scorecard)));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const currency = (value) => `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const percent = (fraction) => `${(Number(fraction || 0) * 100).toFixed(1)}%`;
+
+const ROW_HEIGHT = 14;
+
+// Rows are placed absolutely, so page breaks are ours to make (PDFKit would
+// otherwise break before every cell); the header repeats on each new page
+function writeTable(doc, headers, rows, widths) {
+    const startX = doc.page.margins.left;
+
+    const writeRow = (cells, bold) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        let x = startX;
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x, y, { width: widths[index] - 4, lineBreak: false, ellipsis: true });
+            x += widths[index];
+        });
+        doc.x = startX;
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    const fits = () => doc.y + ROW_HEIGHT <= doc.page.height - doc.page.margins.bottom;
+
+    if (!fits()) {
+        doc.addPage();
+    }
+    writeRow(headers, true);
+    rows.forEach((row) => {
+        if (!fits()) {
+            doc.addPage();
+            writeRow(headers, true);
+        }
+        writeRow(row, false);
+    });
+    doc.font('Helvetica').moveDown();
+}
+
+function writeSection(doc, title) {
+    doc.font('Helvetica-Bold').fontSize(12).text(title, doc.page.margins.left);
+    doc.fontSize(9).moveDown(0.3);
+}
+
+/**
+ * Printable PDF with one monthly report page per audit: scorecard, financial
+ * summary, client funnel and service table
+ * @param {Array} audits - Audit rows
+ * @param {Object} options
+ * @param {string} options.clinicName - Shown in each page header
+ * @param {Function} options.goalsForMonth - (month) => goals settings used for scoring
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(audits, { clinicName, goalsForMonth }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        if (audits.length === 0) {
+            doc.fontSize(14).text(`${clinicName} - Monthly Report`);
+            doc.fontSize(10).moveDown().text('No audits in the selected range.');
+        }
+
+        audits.forEach((audit, index) => {
+            if (index > 0) {
+                doc.addPage();
+            }
+
+            const goals = goalsForMonth(audit.month);
+            const { metrics, scores } = buildScorecard(audit, goals);
+            const economics = analyzeServices(audit.services, {
+                marginFloor: goals.service_margin_floor,
+                utilizationFloor: goals.service_utilization_floor
+            });
+
+            doc.font('Helvetica-Bold').fontSize(16).text(`${clinicName} - Monthly Report`);
+            doc.font('Helvetica').fontSize(11).text(audit.month);
+            doc.moveDown();
+
+            writeSection(doc, `Scorecard: ${scores.total.toFixed(1)} / 100`);
+            writeTable(doc, ['Bucket', 'Score', 'Max'], [
+                ['Financial', scores.financial.score.toFixed(1), scores.financial.max],
+                ['Capacity', scores.capacity.score.toFixed(1), scores.capacity.max],
+                ['New Client Flow', scores.newClientFlow.score.toFixed(1), scores.newClientFlow.max],
+                ['Marketing', scores.marketing.score.toFixed(1), scores.marketing.max]
+            ], [200, 100, 100]);
+
+            writeSection(doc, 'Financial Summary');
+            writeTable(doc, ['Metric', 'Value'], [
+                ['Revenue', currency(metrics.revenue)],
+                ['Operating expenses (incl. additional)', currency(metrics.totalOperatingExpenses)],
+                ['Payroll', currency(metrics.totalPayroll)],
+                ['COGS', currency(metrics.cogs)],
+                ['Profit', currency(metrics.profit)],
+                ['Profit margin', `${metrics.profitMargin.toFixed(1)}%`],
+                ['Capacity', percent(metrics.capacity)],
+                ['Client value', currency(metrics.clientValue)]
+            ], [250, 150]);
+
+            writeSection(doc, 'Client Funnel');
+            writeTable(doc, ['Stage', 'Value'], [
+                ['Website visits', metrics.websiteVisits],
+                ['Website conversion rate', percent(metrics.websiteConversionRate)],
+                ['New client visits', metrics.newClientVisits],
+                ['Converting to treatment', metrics.clientsConvertingToTreatment],
+                ['Treatment plan conversion', percent(metrics.treatmentPlanConversionRate)]
+            ], [250, 150]);
+
+            writeSection(doc, 'Services');
+            if (economics.services.length === 0) {
+                doc.text('No services recorded.');
+            } else {
+                writeTable(doc, ['#', 'Service', 'Booked / Provider hrs', 'Utilization', 'Revenue', 'Margin'],
+                    economics.services.map((service) => [
+                        service.rank,
+                        service.name,
+                        `${service.bookedHours} / ${service.providerHours}`,
+                        percent(service.utilization),
+                        currency(service.revenue),
+                        currency(service.contributionMargin)
+                    ]),
+                    [25, 150, 110, 70, 80, 80]
+                );
+            }
+        });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    TABLE_NAMES,
+    toCsv,
+    toXlsx,
+    toPdf
+};
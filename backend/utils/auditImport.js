@@ -0,0 +1,310 @@
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { MONTH_PATTERN } = require('./months');
+
+/**
+ * Audit import
+ *
+ * Reads audits from an XLSX workbook (sheets: Audits, Payroll, Expenses,
+ * Services) or one CSV per sheet, maps columns to audit fields, validates
+ * every row and groups items under their month. Nothing is written here;
+ * the route saves the result with saveAudit.
+ */
+
+// Field definitions per sheet. Headers match the field name or any alias,
+// ignoring case, spaces and punctuation.
+const SHEETS = {
+    audits: {
+        auditMonth: { type: 'month', required: true, aliases: ['month', 'audit_month'] },
+        clinicName: { type: 'text', aliases: ['clinic'] },
+        revenue: { type: 'number' },
+        operatingExpenses: { type: 'number', aliases: ['opex'] },
+        cogs: { type: 'number', aliases: ['cost_of_goods_sold'] },
+        websiteVisits: { type: 'integer' },
+        websiteConversionRate: { type: 'percent', aliases: ['website_conversion'] },
+        newClientVisits: { type: 'integer', aliases: ['new_clients'] },
+        clientsConvertingToTreatment: { type: 'integer', aliases: ['clients_converting', 'treatment_conversions'] },
+        totalClients: { type: 'integer' },
+        totalAppointments: { type: 'integer', aliases: ['appointments'] },
+        marketingSpend: { type: 'number', aliases: ['marketing'] }
+    },
+    payroll: {
+        auditMonth: { type: 'month', required: true, aliases: ['month', 'audit_month'] },
+        name: { type: 'text', required: true, aliases: ['employee', 'staff'] },
+        amount: { type: 'number' }
+    },
+    expenses: {
+        auditMonth: { type: 'month', required: true, aliases: ['month', 'audit_month'] },
+        name: { type: 'text', required: true, aliases: ['expense'] },
+        amount: { type: 'number' },
+        notes: { type: 'text' }
+    },
+    services: {
+        auditMonth: { type: 'month', required: true, aliases: ['month', 'audit_month'] },
+        name: { type: 'text', required: true, aliases: ['service'] },
+        providerHours: { type: 'number' },
+        bookedHours: { type: 'number' },
+        revenue: { type: 'number' },
+        commission: { type: 'number' },
+        allocatedExpenses: { type: 'number' },
+        allocationOverride: { type: 'number' }
+    }
+};
+
+// Worksheet names accepted for each sheet
+const SHEET_NAMES = {
+    audits: ['audits', 'audit', 'header', 'summary'],
+    payroll: ['payroll', 'payrollitems'],
+    expenses: ['expenses', 'additionalexpenses'],
+    services: ['services']
+};
+
+const SHEET_KEYS = Object.keys(SHEETS);
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Plain value for an ExcelJS cell (formulas, rich text, hyperlinks and dates)
+ */
+function cellValue(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return cellValue(value.result);
+        if (value.richText) return value.richText.map((part) => part.text).join('');
+        if (value.text !== undefined) return value.text;
+        return undefined;
+    }
+    return value;
+}
+
+/**
+ * Read an XLSX workbook into { sheetKey: rows } with rows keyed by header
+ * @param {Buffer} buffer - XLSX file contents
+ */
+async function readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = {};
+    workbook.eachSheet((worksheet) => {
+        const key = SHEET_KEYS.find((sheetKey) => SHEET_NAMES[sheetKey].includes(normalizeHeader(worksheet.name)));
+        if (!key) {
+            return;
+        }
+
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, column) => {
+            headers[column] = String(cellValue(cell.value) || '').trim();
+        });
+
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) {
+                return;
+            }
+            const record = {};
+            row.eachCell((cell, column) => {
+                if (headers[column]) {
+                    record[headers[column]] = cellValue(cell.value);
+                }
+            });
+            rows.push({ rowNumber, record });
+        });
+
+        sheets[key] = rows;
+    });
+
+    return sheets;
+}
+
+/**
+ * Read a CSV file into rows keyed by header
+ * @param {Buffer} buffer - CSV file contents
+ */
+function readCsv(buffer) {
+    const records = parse(buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    // Header is line 1, so data starts on line 2
+    return records.map((record, index) => ({ rowNumber: index + 2, record }));
+}
+
+/**
+ * Resolve which field each header maps to
+ * @param {string} sheetKey - Key of SHEETS
+ * @param {string[]} headers - Headers as they appear in the file
+ * @param {Object} [mapping] - Explicit { header: field } overrides
+ * @returns {Object} { columns: { header: field }, unmapped: header[] }
+ */
+function mapColumns(sheetKey, headers, mapping = {}) {
+    const fields = SHEETS[sheetKey];
+    const lookup = {};
+    for (const [field, definition] of Object.entries(fields)) {
+        lookup[normalizeHeader(field)] = field;
+        for (const alias of definition.aliases || []) {
+            lookup[normalizeHeader(alias)] = field;
+        }
+    }
+
+    const columns = {};
+    const unmapped = [];
+    for (const header of headers) {
+        const field = Object.hasOwn(mapping, header) && Object.hasOwn(fields, mapping[header])
+            ? mapping[header]
+            : lookup[normalizeHeader(header)];
+        if (field) {
+            columns[header] = field;
+        } else {
+            unmapped.push(header);
+        }
+    }
+
+    return { columns, unmapped };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a parsed `mapping` has the shape buildAudits expects:
+ * { sheetKey: { header: field } } with string fields
+ */
+function isValidMapping(mapping) {
+    return isPlainObject(mapping) && Object.values(mapping).every((columns) => (
+        isPlainObject(columns) && Object.values(columns).every((field) => typeof field === 'string')
+    ));
+}
+
+/**
+ * Convert a raw cell to a field value
+ * @returns {Object} { value } or { error }
+ */
+function convertValue(raw, definition) {
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+    if (text === '') {
+        return definition.required ? { error: 'is required' } : { value: undefined };
+    }
+
+    switch (definition.type) {
+        case 'text':
+            return { value: text };
+        case 'month': {
+            const month = text.slice(0, 7);
+            return MONTH_PATTERN.test(month) ? { value: month } : { error: 'must be a month in YYYY-MM format' };
+        }
+        case 'integer':
+        case 'number':
+        case 'percent': {
+            const number = typeof raw === 'number' ? raw : parseFloat(text.replace(/[$,%\s]/g, ''));
+            if (!Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            if (number < 0) {
+                return { error: 'must not be negative' };
+            }
+            if (definition.type === 'integer' && !Number.isInteger(number)) {
+                return { error: 'must be a whole number' };
+            }
+            if (definition.type === 'percent' && number > 100) {
+                return { error: 'must be a percentage between 0 and 100' };
+            }
+            return { value: number };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+/**
+ * Map, validate and group imported rows into audit bodies
+ * @param {Object} sheets - { sheetKey: [{ rowNumber, record }] }
+ * @param {Object} [mapping] - Column overrides per sheet: { sheetKey: { header: field } }
+ * @returns {Object} { audits, errors, unmappedColumns }
+ */
+function buildAudits(sheets, mapping = {}) {
+    const errors = [];
+    const unmappedColumns = {};
+    const parsed = {};
+
+    if (!sheets.audits || sheets.audits.length === 0) {
+        errors.push({ sheet: 'audits', row: null, field: null, message: 'Audits sheet is missing or empty' });
+    }
+
+    for (const sheetKey of SHEET_KEYS) {
+        const rows = sheets[sheetKey] || [];
+        const headers = [...new Set(rows.flatMap(({ record }) => Object.keys(record)))];
+        const { columns, unmapped } = mapColumns(sheetKey, headers, Object.hasOwn(mapping, sheetKey) ? mapping[sheetKey] : {});
+
+        if (unmapped.length > 0) {
+            unmappedColumns[sheetKey] = unmapped;
+        }
+
+        parsed[sheetKey] = [];
+        for (const { rowNumber, record } of rows) {
+            const item = {};
+            let valid = true;
+
+            for (const [field, definition] of Object.entries(SHEETS[sheetKey])) {
+                const header = Object.keys(columns).find((column) => columns[column] === field);
+                const result = convertValue(header ? record[header] : undefined, definition);
+                if (result.error) {
+                    valid = false;
+                    errors.push({ sheet: sheetKey, row: rowNumber, field, message: `${field} ${result.error}` });
+                } else if (result.value !== undefined) {
+                    item[field] = result.value;
+                }
+            }
+
+            if (valid) {
+                parsed[sheetKey].push({ rowNumber, item });
+            }
+        }
+    }
+
+    const auditsByMonth = new Map();
+    for (const { rowNumber, item } of parsed.audits) {
+        if (auditsByMonth.has(item.auditMonth)) {
+            errors.push({ sheet: 'audits', row: rowNumber, field: 'auditMonth', message: `Duplicate month ${item.auditMonth}` });
+            continue;
+        }
+        auditsByMonth.set(item.auditMonth, { ...item, payroll: [], expenses: [], services: [] });
+    }
+
+    for (const sheetKey of ['payroll', 'expenses', 'services']) {
+        for (const { rowNumber, item } of parsed[sheetKey]) {
+            const { auditMonth, ...fields } = item;
+            const audit = auditsByMonth.get(auditMonth);
+            if (!audit) {
+                errors.push({
+                    sheet: sheetKey,
+                    row: rowNumber,
+                    field: 'auditMonth',
+                    message: `No audit row for month ${auditMonth}`
+                });
+                continue;
+            }
+            audit[sheetKey].push(fields);
+        }
+    }
+
+    return {
+        audits: [...auditsByMonth.values()].sort((a, b) => a.auditMonth.localeCompare(b.auditMonth)),
+        errors,
+        unmappedColumns
+    };
+}
+
+module.exports = {
+    SHEET_KEYS,
+    readWorkbook,
+    readCsv,
+    isValidMapping,
+    buildAudits
+};
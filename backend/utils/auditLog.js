@@ -0,0 +1,123 @@
+const { loadAuditData } = require('./auditStore');
+
+/**
+ * Activity log
+ *
+ * Every mutating action writes one audit_logs row: who did it (user, clinic,
+ * IP), what it touched (action, entity) and a before/after diff in details.
+ * Pass the action's transaction client when it has one so rolled-back changes
+ * leave no entry.
+ */
+
+function normalizeValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    return value === undefined ? null : value;
+}
+
+// Flatten nested values into { path: value }; list items with an id are keyed by it
+function flatten(value, prefix, out) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            const key = item && typeof item === 'object' && item.id ? item.id : index;
+            flatten(item, `${prefix}[${key}]`, out);
+        });
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        for (const [key, child] of Object.entries(value)) {
+            if (key !== 'id' || !prefix) {
+                flatten(child, prefix ? `${prefix}.${key}` : key, out);
+            }
+        }
+    } else {
+        out[prefix] = normalizeValue(value);
+    }
+    return out;
+}
+
+/**
+ * Field-level changes between two versions of a record
+ * @param {Object|null} before - Previous state (null when created)
+ * @param {Object|null} after - New state (null when deleted)
+ * @returns {Object} { path: { before, after } } for every changed path,
+ *     e.g. `revenue` or `services[<id>].bookedHours`
+ */
+function diffChanges(before, after) {
+    const flatBefore = flatten(before || {}, '', {});
+    const flatAfter = flatten(after || {}, '', {});
+    const changes = {};
+
+    for (const path of new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])) {
+        const from = path in flatBefore ? flatBefore[path] : null;
+        const to = path in flatAfter ? flatAfter[path] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[path] = { before: from, after: to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Write an audit_logs entry
+ * @param {Object} db - Pool or transaction client
+ * @param {Object|null} req - Request the action came from (user or API key, and IP)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'audit.update', 'auth.login'
+ * @param {string} [entry.entityType] - e.g. 'monthly_audit', 'user'
+ * @param {string} [entry.entityId] - UUID of the entity
+ * @param {Object} [entry.details] - JSON details (changes, month, reason, ...)
+ * @param {string} [entry.clinicId] - Defaults to req.user.clinic_id
+ * @param {string} [entry.userId] - Defaults to req.user.id
+ */
+async function logAction(db, req, { action, entityType = null, entityId = null, details = null, clinicId, userId }) {
+    const user = req && req.user;
+
+    await db.query(
+        `INSERT INTO audit_logs (clinic_id, user_id, api_key_id, action, entity_type, entity_id, details, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+            clinicId !== undefined ? clinicId : (user ? user.clinic_id : null),
+            userId !== undefined ? userId : (user ? user.id : null),
+            req && req.apiKey ? req.apiKey.id : null,
+            action,
+            entityType,
+            entityId,
+            details ? JSON.stringify(details) : null,
+            req ? req.ip : null
+        ]
+    );
+}
+
+/**
+ * Log a create/update of a monthly audit with its field-level changes
+ * @param {Object} client - Transaction client the change was made in
+ * @param {Object} req - Request the change came from
+ * @param {Object} options
+ * @param {string} options.auditId - monthly_audits id
+ * @param {string} options.month - YYYY-MM
+ * @param {Object|null} options.before - loadAuditData output before the change (null when created)
+ * @param {Object} [options.after] - State after the change; loaded when omitted
+ * @param {Object} [options.details] - Extra details (e.g. { source: 'import' })
+ */
+async function logAuditChange(client, req, { auditId, month, before, after, details = {} }) {
+    if (!after) {
+        after = await loadAuditData(client, auditId);
+    }
+
+    await logAction(client, req, {
+        action: before ? 'audit.update' : 'audit.create',
+        entityType: 'monthly_audit',
+        entityId: auditId,
+        details: { month, ...details, changes: diffChanges(before, after) }
+    });
+}
+
+module.exports = {
+    diffChanges,
+    logAction,
+    logAuditChange
+};
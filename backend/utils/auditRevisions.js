@@ -0,0 +1,105 @@
+const { loadAuditData } = require('./auditStore');
+
+/**
+ * Audit revisions
+ *
+ * Every content change to a monthly audit appends an immutable snapshot
+ * (loadAuditData shape: header fields plus payroll, expenses and services
+ * with their ids) numbered 1, 2, 3... per clinic and month. Deleting a month
+ * appends a 'delete' revision of its last state and keeps the history, so the
+ * month can be restored from it.
+ */
+
+async function insertRevision(client, { auditId, userId, version, source, restoredFrom = null, snapshot }) {
+    const result = await client.query(
+        `INSERT INTO audit_revisions
+            (monthly_audit_id, clinic_id, audit_month, revision_number, audit_version, source, restored_from, snapshot, created_by)
+         SELECT ma.id, ma.clinic_id, ma.audit_month,
+                COALESCE((SELECT MAX(r.revision_number) FROM audit_revisions r
+                          WHERE r.clinic_id = ma.clinic_id AND r.audit_month = ma.audit_month), 0) + 1,
+                $2, $3, $4, $5, $6
+         FROM monthly_audits ma WHERE ma.id = $1
+         RETURNING id, revision_number, audit_version, source, restored_from, created_at`,
+        [auditId, version, source, restoredFrom, JSON.stringify(snapshot), userId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Snapshot an audit after a change
+ *
+ * Audits saved before revisions existed get a 'baseline' revision of their
+ * previous state first, so it can still be compared and restored.
+ * @param {Object} client - Transaction client holding the audit row lock
+ * @param {Object} options
+ * @param {string} options.auditId - monthly_audits id
+ * @param {string} options.clinicId - Clinic id
+ * @param {string} options.userId - User who made the change
+ * @param {string} options.source - save, import, edit or restore
+ * @param {Object|null} [options.before] - loadAuditData output before the change (null when created)
+ * @param {number} [options.restoredFrom] - Revision number a restore copied
+ * @returns {Promise<Object>} { revision, snapshot }
+ */
+async function recordRevision(client, { auditId, clinicId, userId, source, before = null, restoredFrom = null }) {
+    const auditResult = await client.query('SELECT version FROM monthly_audits WHERE id = $1', [auditId]);
+    const { version } = auditResult.rows[0];
+
+    if (before) {
+        const countResult = await client.query(
+            'SELECT COUNT(*)::int as count FROM audit_revisions WHERE monthly_audit_id = $1',
+            [auditId]
+        );
+        if (countResult.rows[0].count === 0) {
+            await insertRevision(client, {
+                auditId,
+                userId: null,
+                version: version - 1,
+                source: 'baseline',
+                snapshot: before
+            });
+        }
+    }
+
+    const snapshot = await loadAuditData(client, auditId);
+    const revision = await insertRevision(client, { auditId, userId, version, source, restoredFrom, snapshot });
+
+    return { revision, snapshot };
+}
+
+/**
+ * Snapshot an audit that is about to be deleted
+ * @param {Object} client - Transaction client holding the audit row lock
+ * @param {Object} options
+ * @param {Object} options.audit - Output of lockAudit
+ * @param {string} options.userId - User deleting it
+ * @param {Object} options.snapshot - loadAuditData output
+ * @returns {Promise<Object>} The 'delete' revision
+ */
+async function recordDeletion(client, { audit, userId, snapshot }) {
+    return insertRevision(client, { auditId: audit.id, userId, version: audit.version, source: 'delete', snapshot });
+}
+
+/**
+ * Load one revision of a month's audit
+ * @param {Object} db - Pool or transaction client
+ * @param {string} clinicId - Clinic id
+ * @param {string} month - YYYY-MM
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} Revision row with snapshot
+ */
+async function getRevision(db, clinicId, month, revisionNumber) {
+    const result = await db.query(
+        `SELECT r.id, r.monthly_audit_id, r.revision_number, r.audit_version, r.source, r.restored_from,
+                r.snapshot, r.created_by, r.created_at
+         FROM audit_revisions r
+         WHERE r.clinic_id = $1 AND r.audit_month = $2 AND r.revision_number = $3`,
+        [clinicId, `${month}-01`, revisionNumber]
+    );
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    recordRevision,
+    recordDeletion,
+    getRevision
+};
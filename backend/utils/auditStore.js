@@ -0,0 +1,412 @@
+const { calculateOverheadPool, allocateOverhead } = require('./allocation');
+
+/**
+ * Audit persistence
+ *
+ * Shared save path for POST /api/audits, item-level edits and imports.
+ * Callers own the transaction: pass a client that has already run BEGIN.
+ * Line items are matched by id so their identity and created_at survive
+ * edits.
+ */
+
+// Audit header with payroll, expenses and services aggregated as JSON arrays
+const AUDIT_WITH_ITEMS_SELECT = `SELECT
+            ma.*,
+            to_char(ma.audit_month, 'YYYY-MM') as month,
+            json_agg(DISTINCT jsonb_build_object('id', p.id, 'name', p.name, 'amount', p.amount))
+                FILTER (WHERE p.id IS NOT NULL) as payroll,
+            json_agg(DISTINCT jsonb_build_object('id', ae.id, 'name', ae.name, 'amount', ae.amount, 'notes', ae.notes))
+                FILTER (WHERE ae.id IS NOT NULL) as expenses,
+            json_agg(DISTINCT jsonb_build_object('id', s.id, 'name', s.name, 'provider_hours', s.provider_hours,
+                'booked_hours', s.booked_hours, 'revenue', s.revenue, 'commission', s.commission,
+                'allocated_expenses', s.allocated_expenses, 'computed_allocated_expenses', s.computed_allocated_expenses,
+                'allocation_override', s.allocation_override))
+                FILTER (WHERE s.id IS NOT NULL) as services
+         FROM monthly_audits ma
+         LEFT JOIN payroll_items p ON ma.id = p.monthly_audit_id
+         LEFT JOIN additional_expenses ae ON ma.id = ae.monthly_audit_id
+         LEFT JOIN services s ON ma.id = s.monthly_audit_id`;
+
+/**
+ * Get a month's audit with its items, as returned by GET /api/audits/:month
+ * @param {Object} db - Pool or transaction client
+ * @param {string} clinicId - Clinic id
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object|null>}
+ */
+async function getAuditWithItems(db, clinicId, month) {
+    const result = await db.query(
+        `${AUDIT_WITH_ITEMS_SELECT}
+         WHERE ma.clinic_id = $1 AND ma.audit_month = $2
+         GROUP BY ma.id`,
+        [clinicId, `${month}-01`]
+    );
+    return result.rows[0] || null;
+}
+
+// Editable header fields: request field -> monthly_audits column
+const HEADER_FIELDS = {
+    clinicName: 'clinic_name',
+    revenue: 'revenue',
+    operatingExpenses: 'operating_expenses',
+    cogs: 'cogs',
+    websiteVisits: 'website_visits',
+    websiteConversionRate: 'website_conversion_rate',
+    newClientVisits: 'new_client_visits',
+    clientsConvertingToTreatment: 'clients_converting_to_treatment',
+    totalClients: 'total_clients',
+    totalAppointments: 'total_appointments',
+    marketingSpend: 'marketing_spend'
+};
+
+// Line item types: table and request field -> column
+const ITEM_TYPES = {
+    payroll: {
+        table: 'payroll_items',
+        fields: { name: 'name', amount: 'amount' }
+    },
+    expenses: {
+        table: 'additional_expenses',
+        fields: { name: 'name', amount: 'amount', notes: 'notes' }
+    },
+    services: {
+        table: 'services',
+        fields: {
+            name: 'name',
+            providerHours: 'provider_hours',
+            bookedHours: 'booked_hours',
+            revenue: 'revenue',
+            commission: 'commission',
+            allocatedExpenses: 'allocated_expenses',
+            allocationOverride: 'allocation_override'
+        }
+    }
+};
+
+// Fields stored as text; everything else is numeric
+const TEXT_FIELDS = ['clinicName', 'name', 'notes'];
+
+// Fields that may be cleared with null instead of defaulting to 0
+const NULLABLE_FIELDS = ['clinicName', 'notes', 'allocationOverride'];
+
+function columnValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return NULLABLE_FIELDS.includes(field) ? null : (TEXT_FIELDS.includes(field) ? value : 0);
+    }
+    return value;
+}
+
+/**
+ * Validate the fields present in a partial update
+ * @param {Object} data - Request body
+ * @param {Object} fields - Request field -> column map
+ * @returns {string[]} Error messages
+ */
+function validateFields(data, fields) {
+    const errors = [];
+    for (const field of Object.keys(fields)) {
+        const value = data[field];
+        if (value === undefined || (value === null && NULLABLE_FIELDS.includes(field))) {
+            continue;
+        }
+        if (TEXT_FIELDS.includes(field)) {
+            if (field === 'name' && (typeof value !== 'string' || value.trim() === '')) {
+                errors.push('name must be a non-empty string');
+            }
+            continue;
+        }
+        const number = Number(value);
+        if (value === null || value === '' || !Number.isFinite(number) || number < 0) {
+            errors.push(`${field} must be a non-negative number`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Lock a month's audit row for the rest of the transaction
+ * @returns {Promise<Object|null>} { id, version, status }
+ */
+async function lockAudit(client, clinicId, month) {
+    const result = await client.query(
+        `SELECT id, version, status FROM monthly_audits
+         WHERE clinic_id = $1 AND audit_month = $2
+         FOR UPDATE`,
+        [clinicId, `${month}-01`]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a change to an audit: bump its version and updated_at
+ * @returns {Promise<number>} New version
+ */
+async function bumpVersion(client, auditId) {
+    const result = await client.query(
+        'UPDATE monthly_audits SET version = version + 1, updated_at = NOW() WHERE id = $1 RETURNING version',
+        [auditId]
+    );
+    return result.rows[0].version;
+}
+
+/**
+ * Load an audit and its items in the camelCase request shape
+ * @param {Object} client - Pool or transaction client
+ * @param {string} auditId - monthly_audits id
+ */
+async function loadAuditData(client, auditId) {
+    const auditResult = await client.query('SELECT * FROM monthly_audits WHERE id = $1', [auditId]);
+    const audit = auditResult.rows[0];
+
+    const data = {};
+    for (const [field, column] of Object.entries(HEADER_FIELDS)) {
+        data[field] = audit[column];
+    }
+
+    for (const [type, { table, fields }] of Object.entries(ITEM_TYPES)) {
+        const result = await client.query(
+            `SELECT * FROM ${table} WHERE monthly_audit_id = $1 ORDER BY created_at, id`,
+            [auditId]
+        );
+        data[type] = result.rows.map((row) => {
+            const item = { id: row.id };
+            for (const [field, column] of Object.entries(fields)) {
+                item[field] = row[column];
+            }
+            return item;
+        });
+    }
+
+    return data;
+}
+
+/**
+ * Recompute service overhead allocations from the stored audit
+ *
+ * Run after anything that changes costs or services. With the 'manual'
+ * method the stored allocated_expenses are left as entered.
+ * @param {Object} client - Transaction client
+ * @param {string} auditId - monthly_audits id
+ * @param {string} clinicId - Clinic the audit belongs to
+ * @returns {Promise<Object>} Allocation summary
+ */
+async function reallocateOverhead(client, auditId, clinicId) {
+    const clinicResult = await client.query(
+        'SELECT overhead_allocation_method FROM clinics WHERE id = $1',
+        [clinicId]
+    );
+    const data = await loadAuditData(client, auditId);
+    const allocation = allocateOverhead(
+        data.services,
+        calculateOverheadPool(data),
+        clinicResult.rows[0].overhead_allocation_method
+    );
+
+    for (const service of allocation.services) {
+        await client.query(
+            `UPDATE services
+             SET allocated_expenses = $1, computed_allocated_expenses = $2
+             WHERE id = $3 AND (allocated_expenses IS DISTINCT FROM $1 OR computed_allocated_expenses IS DISTINCT FROM $2)`,
+            [service.allocatedExpenses, service.computedAllocatedExpenses, service.id]
+        );
+    }
+
+    return allocation.summary;
+}
+
+/**
+ * Insert a line item
+ * @returns {Promise<Object>} Inserted row
+ */
+async function createItem(client, auditId, type, data) {
+    const { table, fields } = ITEM_TYPES[type];
+    const entries = Object.entries(fields);
+    const result = await client.query(
+        `INSERT INTO ${table} (monthly_audit_id, ${entries.map(([, column]) => column).join(', ')})
+         VALUES ($1, ${entries.map((_, i) => `$${i + 2}`).join(', ')})
+         RETURNING *`,
+        [auditId, ...entries.map(([field]) => columnValue(field, data[field]))]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Update the fields present in `data` on a line item
+ * @returns {Promise<Object|null>} Updated row, or null if it is not part of the audit
+ */
+async function updateItem(client, auditId, type, itemId, data) {
+    const { table, fields } = ITEM_TYPES[type];
+    const entries = Object.entries(fields).filter(([field]) => data[field] !== undefined);
+
+    if (entries.length === 0) {
+        const result = await client.query(
+            `SELECT * FROM ${table} WHERE id = $1 AND monthly_audit_id = $2`,
+            [itemId, auditId]
+        );
+        return result.rows[0] || null;
+    }
+
+    const result = await client.query(
+        `UPDATE ${table}
+         SET ${entries.map(([, column], i) => `${column} = $${i + 3}`).join(', ')}
+         WHERE id = $1 AND monthly_audit_id = $2
+         RETURNING *`,
+        [itemId, auditId, ...entries.map(([field]) => columnValue(field, data[field]))]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete a line item
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+async function deleteItem(client, auditId, type, itemId) {
+    const { table } = ITEM_TYPES[type];
+    const result = await client.query(
+        `DELETE FROM ${table} WHERE id = $1 AND monthly_audit_id = $2`,
+        [itemId, auditId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Update the header fields present in `data`
+ * @returns {Promise<Object>} Updated monthly_audits row
+ */
+async function updateAuditHeader(client, auditId, data) {
+    const entries = Object.entries(HEADER_FIELDS).filter(([field]) => data[field] !== undefined);
+    const result = await client.query(
+        `UPDATE monthly_audits
+         SET ${[...entries.map(([, column], i) => `${column} = $${i + 2}`), 'updated_at = NOW()'].join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [auditId, ...entries.map(([field]) => columnValue(field, data[field]))]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Replace an item list: update items whose id belongs to the audit, insert
+ * the rest and delete stored items missing from the list
+ */
+async function syncItems(client, auditId, type, items) {
+    const { table } = ITEM_TYPES[type];
+    const existingResult = await client.query(`SELECT id FROM ${table} WHERE monthly_audit_id = $1`, [auditId]);
+    const existingIds = new Set(existingResult.rows.map((row) => row.id));
+    const keptIds = [];
+
+    for (const item of items || []) {
+        if (item.id && existingIds.has(item.id)) {
+            await updateItem(client, auditId, type, item.id, item);
+            keptIds.push(item.id);
+        } else {
+            const { id, ...data } = item;
+            const created = await createItem(client, auditId, type, data);
+            keptIds.push(created.id);
+        }
+    }
+
+    await client.query(
+        `DELETE FROM ${table} WHERE monthly_audit_id = $1 AND NOT (id = ANY($2::uuid[]))`,
+        [auditId, keptIds]
+    );
+}
+
+/**
+ * Create or replace a monthly audit with its payroll, expenses and services
+ * @param {Object} client - Transaction client
+ * @param {Object} options
+ * @param {string} options.clinicId - Clinic the audit belongs to
+ * @param {string} options.userId - User saving the audit
+ * @param {Object} options.data - Audit body (camelCase, auditMonth as YYYY-MM)
+ * @returns {Promise<Object>} { auditId, version, allocation } where allocation is the overhead summary
+ */
+async function saveAudit(client, { clinicId, userId, data }) {
+    const {
+        auditMonth,
+        clinicName,
+        revenue,
+        operatingExpenses,
+        cogs,
+        websiteVisits,
+        websiteConversionRate,
+        newClientVisits,
+        clientsConvertingToTreatment,
+        totalClients,
+        totalAppointments,
+        marketingSpend,
+        payroll,
+        expenses,
+        services
+    } = data;
+
+    // Upsert monthly audit
+    const auditResult = await client.query(
+        `INSERT INTO monthly_audits (
+            clinic_id, audit_month, clinic_name, revenue, operating_expenses, cogs,
+            website_visits, website_conversion_rate, new_client_visits,
+            clients_converting_to_treatment, total_clients, total_appointments,
+            marketing_spend, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (clinic_id, audit_month)
+        DO UPDATE SET
+            version = monthly_audits.version + 1,
+            clinic_name = EXCLUDED.clinic_name,
+            revenue = EXCLUDED.revenue,
+            operating_expenses = EXCLUDED.operating_expenses,
+            cogs = EXCLUDED.cogs,
+            website_visits = EXCLUDED.website_visits,
+            website_conversion_rate = EXCLUDED.website_conversion_rate,
+            new_client_visits = EXCLUDED.new_client_visits,
+            clients_converting_to_treatment = EXCLUDED.clients_converting_to_treatment,
+            total_clients = EXCLUDED.total_clients,
+            total_appointments = EXCLUDED.total_appointments,
+            marketing_spend = EXCLUDED.marketing_spend,
+            updated_at = NOW()
+        RETURNING id, version`,
+        [
+            clinicId,
+            `${auditMonth}-01`,
+            clinicName,
+            revenue || 0,
+            operatingExpenses || 0,
+            cogs || 0,
+            websiteVisits || 0,
+            websiteConversionRate || 0,
+            newClientVisits || 0,
+            clientsConvertingToTreatment || 0,
+            totalClients || 0,
+            totalAppointments || 0,
+            marketingSpend || 0,
+            userId
+        ]
+    );
+
+    const { id: auditId, version } = auditResult.rows[0];
+
+    await syncItems(client, auditId, 'payroll', payroll);
+    await syncItems(client, auditId, 'expenses', expenses);
+    await syncItems(client, auditId, 'services', services);
+
+    // Spread overhead across services using the clinic's allocation method
+    const allocation = await reallocateOverhead(client, auditId, clinicId);
+
+    return { auditId, version, allocation };
+}
+
+module.exports = {
+    AUDIT_WITH_ITEMS_SELECT,
+    HEADER_FIELDS,
+    ITEM_TYPES,
+    validateFields,
+    getAuditWithItems,
+    lockAudit,
+    bumpVersion,
+    loadAuditData,
+    reallocateOverhead,
+    createItem,
+    updateItem,
+    deleteItem,
+    updateAuditHeader,
+    saveAudit
+};
@@ -0,0 +1,64 @@
+/**
+ * Monthly audit lifecycle
+ *
+ * draft -> submitted (audits:submit), submitted -> approved or back to draft
+ * (audits:approve), approved -> draft via reopen (audits:approve). Approved months are locked:
+ * saves, item edits, imports and deletes are refused until reopened.
+ */
+
+const AUDIT_STATUSES = ['draft', 'submitted', 'approved'];
+
+// Transition name -> allowed source statuses, target status and requirements
+const TRANSITIONS = {
+    submit: { from: ['draft'], to: 'submitted', permission: 'audits:submit', reasonRequired: false, message: 'Audit submitted for approval' },
+    approve: { from: ['submitted'], to: 'approved', permission: 'audits:approve', reasonRequired: false, message: 'Audit approved' },
+    return: { from: ['submitted'], to: 'draft', permission: 'audits:approve', reasonRequired: true, message: 'Audit returned to draft' },
+    reopen: { from: ['approved'], to: 'draft', permission: 'audits:approve', reasonRequired: true, message: 'Audit reopened' }
+};
+
+function isLocked(status) {
+    return status === 'approved';
+}
+
+/**
+ * Response for a write against a locked month
+ * @param {string} month - YYYY-MM
+ * @returns {Object} { status, body }
+ */
+function lockedResponse(month) {
+    return {
+        status: 423,
+        body: { error: `Audit ${month} is approved and locked; it must be reopened first`, status: 'approved' }
+    };
+}
+
+/**
+ * Move an audit to a new status and record the transition
+ * @param {Object} client - Transaction client holding the row lock
+ * @param {Object} options
+ * @param {Object} options.audit - Output of lockAudit ({ id, status })
+ * @param {string} options.clinicId - Clinic id
+ * @param {string} options.userId - Acting user
+ * @param {string} options.toStatus - New status
+ * @param {string} [options.reason] - Why (required for return and reopen)
+ * @returns {Promise<Object>} The transition row
+ */
+async function recordTransition(client, { audit, clinicId, userId, toStatus, reason = null }) {
+    await client.query('UPDATE monthly_audits SET status = $1 WHERE id = $2', [toStatus, audit.id]);
+
+    const result = await client.query(
+        `INSERT INTO audit_status_transitions (monthly_audit_id, clinic_id, from_status, to_status, reason, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [audit.id, clinicId, audit.status, toStatus, reason, userId]
+    );
+    return result.rows[0];
+}
+
+module.exports = {
+    AUDIT_STATUSES,
+    TRANSITIONS,
+    isLocked,
+    lockedResponse,
+    recordTransition
+};
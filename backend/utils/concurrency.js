@@ -0,0 +1,172 @@
+const { HEADER_FIELDS, ITEM_TYPES, getAuditWithItems, loadAuditData } = require('./auditStore');
+const { hasPermission, redactAudit } = require('./permissions');
+
+/**
+ * Optimistic concurrency for monthly audits
+ *
+ * Every write bumps monthly_audits.version. Reads expose it as an ETag and
+ * writes to an existing audit must send it back in If-Match.
+ */
+
+function formatEtag(version) {
+    return `"${version}"`;
+}
+
+/**
+ * Version from an If-Match header
+ * @param {string} [header] - Raw header (`"3"`, `W/"3"`, `3` or `*`)
+ * @returns {number|string|null} Version, '*' or null when absent/unparseable
+ */
+function parseIfMatch(header) {
+    if (!header) {
+        return null;
+    }
+    const value = header.trim();
+    if (value === '*') {
+        return '*';
+    }
+    const match = value.match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function sameValue(a, b) {
+    const emptyA = a === undefined || a === null || a === '';
+    const emptyB = b === undefined || b === null || b === '';
+    if (emptyA || emptyB) {
+        return emptyA === emptyB;
+    }
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (Number.isFinite(numberA) && Number.isFinite(numberB)) {
+        return numberA === numberB;
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * Field-level differences between a submitted edit and the stored audit
+ *
+ * Only fields and lists present in `submitted` are compared.
+ * @param {Object} submitted - Request data (camelCase; item lists keyed by type)
+ * @param {Object} current - Output of loadAuditData
+ * @param {Object} [options]
+ * @param {boolean} [options.partialLists] - Submitted lists hold only some items, so
+ *     stored items missing from them are not reported
+ * @returns {Array} [{ field, yours, theirs }]
+ */
+function diffAudit(submitted, current, { partialLists = false } = {}) {
+    const diff = [];
+
+    for (const field of Object.keys(HEADER_FIELDS)) {
+        if (submitted[field] !== undefined && !sameValue(submitted[field], current[field])) {
+            diff.push({ field, yours: submitted[field], theirs: current[field] });
+        }
+    }
+
+    for (const [type, { fields }] of Object.entries(ITEM_TYPES)) {
+        if (!Array.isArray(submitted[type])) {
+            continue;
+        }
+
+        const currentById = new Map(current[type].map((item) => [item.id, item]));
+        const submittedIds = new Set();
+
+        for (const item of submitted[type]) {
+            if (!item.id) {
+                diff.push({ field: `${type}[new]`, yours: item, theirs: null });
+                continue;
+            }
+
+            submittedIds.add(item.id);
+            const stored = currentById.get(item.id);
+            if (!stored) {
+                diff.push({ field: `${type}[${item.id}]`, yours: item, theirs: null });
+                continue;
+            }
+
+            for (const field of Object.keys(fields)) {
+                if (item[field] !== undefined && !sameValue(item[field], stored[field])) {
+                    diff.push({ field: `${type}[${item.id}].${field}`, yours: item[field], theirs: stored[field] });
+                }
+            }
+        }
+
+        if (!partialLists) {
+            for (const stored of current[type]) {
+                if (!submittedIds.has(stored.id)) {
+                    diff.push({ field: `${type}[${stored.id}]`, yours: null, theirs: stored });
+                }
+            }
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Check a write's If-Match header against the locked audit
+ * @param {Object} client - Transaction client holding the row lock
+ * @param {Object} options
+ * @param {Object|null} options.audit - Output of lockAudit
+ * @param {string} [options.ifMatch] - Raw If-Match header
+ * @param {string} options.clinicId - Clinic id
+ * @param {string} options.month - YYYY-MM
+ * @param {Object} options.user - req.user; the conflict body only shows what they may read
+ * @param {Object} [options.submitted] - Request data for the conflict diff
+ * @param {boolean} [options.partialLists] - See diffAudit
+ * @returns {Promise<Object|null>} null when the write may proceed, else { status, body } to respond with
+ */
+async function checkAuditVersion(client, { audit, ifMatch, clinicId, month, user, submitted = {}, partialLists = false }) {
+    const expected = parseIfMatch(ifMatch);
+
+    if (!audit) {
+        return expected === null
+            ? null
+            : { status: 409, body: { error: 'Audit no longer exists', currentVersion: null, current: null, diff: [] } };
+    }
+
+    if (expected === null) {
+        return {
+            status: 428,
+            body: { error: 'If-Match header with the audit version is required', currentVersion: audit.version }
+        };
+    }
+
+    if (expected === '*' || expected === audit.version) {
+        return null;
+    }
+
+    return conflictResponse(client, { audit, clinicId, month, user, submitted, partialLists });
+}
+
+/**
+ * 409 response with the server's current audit and a field-level diff
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} options - See checkAuditVersion
+ * @returns {Promise<Object>} { status, body }
+ */
+async function conflictResponse(db, { audit, clinicId, month, user, submitted = {}, partialLists = false }) {
+    const current = redactAudit(user, await getAuditWithItems(db, clinicId, month));
+    let diff = diffAudit(submitted, await loadAuditData(db, audit.id), { partialLists });
+    if (!hasPermission(user, 'payroll:read')) {
+        diff = diff.filter(({ field }) => !field.startsWith('payroll'));
+    }
+
+    return {
+        status: 409,
+        body: {
+            error: 'Audit was changed by someone else',
+            currentVersion: current.version,
+            current,
+            diff
+        }
+    };
+}
+
+module.exports = {
+    formatEtag,
+    parseIfMatch,
+    diffAudit,
+    checkAuditVersion,
+    conflictResponse
+};
@@ -0,0 +1,237 @@
+const { getAuditWithItems } = require('./auditStore');
+const { getGoalVersions, selectGoalsForMonth } = require('./goals');
+const { buildScorecard, resolveSettings } = require('./scoring');
+const { analyzeServices } = require('./serviceEconomics');
+const { addMonths } = require('./months');
+const { escapeHtml } = require('./emailTemplates');
+
+/**
+ * Monthly scorecard digest
+ *
+ * Summarizes one month: bucket scores against their maximum and the prior
+ * month, key metrics against goals and the prior month, and the services
+ * with the highest and lowest contribution margin.
+ */
+
+const BUCKETS = {
+    financial: 'Financial',
+    capacity: 'Capacity',
+    newClientFlow: 'New Client Flow',
+    marketing: 'Marketing'
+};
+
+// Metric -> label, formatter and goal (from resolved settings, in the metric's unit)
+const DIGEST_METRICS = {
+    revenue: { label: 'Revenue', format: 'currency', goal: (goals) => goals.revenue_goal },
+    profit: { label: 'Profit', format: 'currency', goal: null },
+    profitMargin: { label: 'Profit margin', format: 'percent', goal: (goals) => goals.profit_margin_goal },
+    capacity: { label: 'Capacity', format: 'ratio', goal: (goals) => goals.capacity_goal / 100 },
+    newClientVisits: { label: 'New client visits', format: 'number', goal: (goals) => goals.new_client_visits_target },
+    websiteVisits: { label: 'Website visits', format: 'number', goal: (goals) => goals.website_visits_target }
+};
+
+const SERVICES_SHOWN = 3;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * 'March 2026' for '2026-03'
+ */
+function monthLabel(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return `${MONTH_NAMES[monthIndex - 1]} ${year}`;
+}
+
+function formatValue(value, format) {
+    if (value === null || value === undefined) {
+        return '–';
+    }
+    if (format === 'currency') {
+        return `$${Math.round(value).toLocaleString('en-US')}`;
+    }
+    if (format === 'percent') {
+        return `${value.toFixed(1)}%`;
+    }
+    if (format === 'ratio') {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+    if (format === 'score') {
+        return value.toFixed(1);
+    }
+    return Math.round(value).toLocaleString('en-US');
+}
+
+function formatChange(change, format) {
+    if (change === null || change === undefined) {
+        return '–';
+    }
+    const sign = change > 0 ? '+' : (change < 0 ? '-' : '');
+    const magnitude = Math.abs(change);
+    if (format === 'percent' || format === 'ratio') {
+        // Percentage points
+        return `${sign}${(format === 'ratio' ? magnitude * 100 : magnitude).toFixed(1)} pts`;
+    }
+    return `${sign}${formatValue(magnitude, format)}`;
+}
+
+function difference(current, previous) {
+    return previous === null || previous === undefined ? null : current - previous;
+}
+
+/**
+ * Build a digest from scorecards
+ * @param {Object} options
+ * @param {string} options.month - YYYY-MM
+ * @param {Object} options.audit - Month's audit with items (getAuditWithItems)
+ * @param {Object} options.goals - Resolved settings for the month
+ * @param {Object|null} [options.previousAudit] - Prior month's audit with items
+ * @param {Object|null} [options.previousGoals] - Resolved settings for the prior month
+ * @returns {Object} { month, monthLabel, status, totalScore, buckets, metrics, topServices, bottomServices }
+ */
+function buildDigest({ month, audit, goals, previousAudit = null, previousGoals = null }) {
+    const { metrics, scores } = buildScorecard(audit, goals);
+    const previous = previousAudit ? buildScorecard(previousAudit, previousGoals || goals) : null;
+
+    const buckets = Object.entries(BUCKETS).map(([key, label]) => ({
+        key,
+        label,
+        score: scores[key].score,
+        max: scores[key].max,
+        previous: previous ? previous.scores[key].score : null,
+        change: difference(scores[key].score, previous ? previous.scores[key].score : null)
+    }));
+
+    const digestMetrics = Object.entries(DIGEST_METRICS).map(([key, definition]) => {
+        const goal = definition.goal ? definition.goal(goals) : null;
+        return {
+            key,
+            label: definition.label,
+            format: definition.format,
+            value: metrics[key],
+            previous: previous ? previous.metrics[key] : null,
+            change: difference(metrics[key], previous ? previous.metrics[key] : null),
+            goal,
+            vsGoal: difference(metrics[key], goal)
+        };
+    });
+
+    const { services } = analyzeServices(audit.services, {
+        marginFloor: goals.service_margin_floor,
+        utilizationFloor: goals.service_utilization_floor
+    });
+    const summarize = (service) => ({
+        name: service.name,
+        revenue: service.revenue,
+        contributionMargin: service.contributionMargin,
+        contributionMarginPct: service.contributionMarginPct,
+        utilization: service.utilization
+    });
+    const topServices = services.slice(0, SERVICES_SHOWN);
+    // Bottom services, lowest first, without repeating the top ones
+    const bottomServices = services.slice(Math.max(SERVICES_SHOWN, services.length - SERVICES_SHOWN)).reverse();
+
+    return {
+        month,
+        monthLabel: monthLabel(month),
+        status: audit.status,
+        totalScore: scores.total,
+        previousTotalScore: previous ? previous.scores.total : null,
+        buckets,
+        metrics: digestMetrics,
+        topServices: topServices.map(summarize),
+        bottomServices: bottomServices.map(summarize)
+    };
+}
+
+/**
+ * Load and build a clinic's digest for a month
+ * @param {Object} db - Pool or client
+ * @returns {Promise<Object|null>} null when the month has no audit
+ */
+async function loadDigest(db, clinicId, month) {
+    const audit = await getAuditWithItems(db, clinicId, month);
+    if (!audit) {
+        return null;
+    }
+
+    const previousMonth = addMonths(month, -1);
+    const previousAudit = await getAuditWithItems(db, clinicId, previousMonth);
+    const goalVersions = await getGoalVersions(clinicId, db);
+
+    return buildDigest({
+        month,
+        audit,
+        goals: resolveSettings(selectGoalsForMonth(goalVersions, month)),
+        previousAudit,
+        previousGoals: resolveSettings(selectGoalsForMonth(goalVersions, previousMonth))
+    });
+}
+
+const CELL = 'style="padding: 4px 8px; border-bottom: 1px solid #e5e7eb;"';
+
+function htmlTable(headers, rows) {
+    return `<table style="border-collapse: collapse; width: 100%; margin: 8px 0 16px;">
+                <tr>${headers.map((header) => `<th align="left" ${CELL}>${escapeHtml(header)}</th>`).join('')}</tr>
+                ${rows.map((row) => `<tr>${row.map((cell) => `<td ${CELL}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n                ')}
+            </table>`;
+}
+
+function textTable(rows) {
+    return rows.map((row) => `- ${row[0]}: ${row.slice(1).join(' | ')}`).join('\n');
+}
+
+/**
+ * Render a digest as HTML and text fragments for the monthlyDigest template
+ * @param {Object} digest - Output of buildDigest
+ * @returns {Object} { html, text }
+ */
+function renderDigest(digest) {
+    const scoreRows = [
+        ...digest.buckets.map((bucket) => [
+            bucket.label,
+            `${formatValue(bucket.score, 'score')} / ${bucket.max}`,
+            formatChange(bucket.change, 'score')
+        ]),
+        ['Total', `${formatValue(digest.totalScore, 'score')} / 100`, formatChange(difference(digest.totalScore, digest.previousTotalScore), 'score')]
+    ];
+    const metricRows = digest.metrics.map((metric) => [
+        metric.label,
+        formatValue(metric.value, metric.format),
+        formatChange(metric.change, metric.format),
+        metric.goal === null ? '–' : `${formatValue(metric.goal, metric.format)} (${formatChange(metric.vsGoal, metric.format)})`
+    ]);
+    const serviceRows = (services) => services.map((service) => [
+        service.name,
+        formatValue(service.contributionMargin, 'currency'),
+        formatValue(service.contributionMarginPct, 'percent'),
+        formatValue(service.utilization, 'ratio')
+    ]);
+
+    const serviceHeaders = ['Service', 'Contribution', 'Margin', 'Utilization'];
+    const sections = [
+        { title: 'Scores', headers: ['Bucket', 'Score', 'vs last month'], rows: scoreRows },
+        { title: 'Key numbers', headers: ['Metric', 'Value', 'vs last month', 'Goal (gap)'], rows: metricRows }
+    ];
+    if (digest.topServices.length > 0) {
+        sections.push({ title: 'Top services', headers: serviceHeaders, rows: serviceRows(digest.topServices) });
+    }
+    if (digest.bottomServices.length > 0) {
+        sections.push({ title: 'Bottom services', headers: serviceHeaders, rows: serviceRows(digest.bottomServices) });
+    }
+
+    return {
+        html: sections
+            .map((section) => `<h3>${escapeHtml(section.title)}</h3>\n            ${htmlTable(section.headers, section.rows)}`)
+            .join('\n            '),
+        text: sections
+            .map((section) => `${section.title}\n${textTable(section.rows)}`)
+            .join('\n\n')
+    };
+}
+
+module.exports = {
+    monthLabel,
+    buildDigest,
+    loadDigest,
+    renderDigest
+};
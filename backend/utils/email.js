@@ -1,16 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const nodemailer = require('nodemailer');
 require('dotenv').config();
 
-// Create transporter
-const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_PORT == 465,
-    auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
+/**
+ * Email delivery
+ *
+ * EMAIL_TRANSPORT picks where mail goes:
+ * - smtp: the SMTP_* server (default in production)
+ * - file: each message is written as an .eml file to EMAIL_FILE_DIR (default in development)
+ * - memory: messages are kept in getSentMessages() (default when NODE_ENV=test)
+ *
+ * Routes don't send directly; they queue templated mail (utils/emailQueue.js)
+ * and the queue worker calls sendEmail.
+ */
+
+const DEFAULT_TRANSPORTS = { production: 'smtp', test: 'memory' };
+const TRANSPORT = process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORTS[process.env.NODE_ENV] || 'file';
+const FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'clinic-audit-emails');
+
+const sentMessages = [];
+
+function createTransporter() {
+    if (TRANSPORT === 'memory') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+    if (TRANSPORT === 'file') {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
     }
-});
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_PORT == 465,
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    });
+}
+
+const transporter = createTransporter();
 
 /**
  * Send email
@@ -18,16 +48,29 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML content
+ * @param {string} [options.text] - Plain-text content
+ * @returns {Promise<Object>} nodemailer info (messageId, ...)
  */
-async function sendEmail({ to, subject, html }) {
+async function sendEmail({ to, subject, html, text }) {
     try {
         const info = await transporter.sendMail({
             from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
             to,
             subject,
-            html
+            html,
+            text
         });
 
+        if (TRANSPORT === 'memory') {
+            sentMessages.push(JSON.parse(info.message));
+        } else if (TRANSPORT === 'file') {
+            await fs.promises.mkdir(FILE_DIR, { recursive: true });
+            const file = path.join(FILE_DIR, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            console.log('Email written:', file);
+            return info;
+        }
+
         console.log('Email sent:', info.messageId);
         return info;
     } catch (error) {
@@ -36,4 +79,20 @@ async function sendEmail({ to, subject, html }) {
     }
 }
 
-module.exports = { sendEmail };
+/**
+ * Messages sent with the memory transport, oldest first
+ */
+function getSentMessages() {
+    return sentMessages;
+}
+
+function clearSentMessages() {
+    sentMessages.length = 0;
+}
+
+module.exports = {
+    TRANSPORT,
+    sendEmail,
+    getSentMessages,
+    clearSentMessages
+};
@@ -0,0 +1,180 @@
+const { sendEmail } = require('./email');
+const { renderTemplate } = require('./emailTemplates');
+
+/**
+ * Outbound email queue
+ *
+ * queueEmail renders a template and stores the message in email_outbox;
+ * the worker sends due messages in the background. A failed send is retried
+ * with exponential backoff until EMAIL_MAX_ATTEMPTS, then the message is
+ * marked 'dead' and left for an admin to retry. Requests therefore never
+ * fail because the mail server does.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || 5, 10);
+const POLL_SECONDS = parseInt(process.env.EMAIL_QUEUE_POLL_SECONDS || 30, 10);
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const BATCH_SIZE = 20;
+// A message left 'sending' this long (the process died mid-send) is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+let workerDb = null;
+let processing = false;
+
+/**
+ * Seconds to wait before retrying after a failed attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ */
+function backoffSeconds(attempts) {
+    return Math.min(BASE_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Branding for a clinic's emails
+ * @returns {Promise<Object>} { clinicName, brandColor, logoUrl }
+ */
+async function getBranding(db, clinicId) {
+    if (!clinicId) {
+        return {};
+    }
+    const result = await db.query('SELECT name, brand_color, logo_url FROM clinics WHERE id = $1', [clinicId]);
+    if (result.rows.length === 0) {
+        return {};
+    }
+    const clinic = result.rows[0];
+    return { clinicName: clinic.name, brandColor: clinic.brand_color, logoUrl: clinic.logo_url };
+}
+
+/**
+ * Queue a templated email
+ * @param {Object} db - Pool or transaction client (queued with the caller's transaction)
+ * @param {Object} message
+ * @param {string} message.template - Key of TEMPLATES in utils/emailTemplates
+ * @param {string} message.to - Recipient
+ * @param {string} [message.clinicId] - Clinic whose branding is used and whose admins see the delivery
+ * @param {Object} [message.variables] - Template variables
+ * @returns {Promise<string>} email_outbox id
+ */
+async function queueEmail(db, { template, to, clinicId = null, variables = {} }) {
+    const { subject, html, text } = renderTemplate(template, variables, await getBranding(db, clinicId));
+
+    const result = await db.query(
+        `INSERT INTO email_outbox (clinic_id, template, to_email, subject, html, text, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [clinicId, template, to, subject, html, text, MAX_ATTEMPTS]
+    );
+
+    // Try right away; if the caller's transaction hasn't committed yet the next poll sends it
+    if (workerDb) {
+        setImmediate(() => processQueue(workerDb));
+    }
+
+    return result.rows[0].id;
+}
+
+async function deliver(db, message) {
+    try {
+        const info = await sendEmail({ to: message.to_email, subject: message.subject, html: message.html, text: message.text });
+        await db.query(
+            `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), message_id = $1, last_error = NULL
+             WHERE id = $2`,
+            [info.messageId, message.id]
+        );
+        return 'sent';
+    } catch (error) {
+        const dead = message.attempts >= message.max_attempts;
+        await db.query(
+            `UPDATE email_outbox
+             SET status = $1, last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3)
+             WHERE id = $4`,
+            [dead ? 'dead' : 'pending', error.message, backoffSeconds(message.attempts), message.id]
+        );
+        return dead ? 'dead' : 'retry';
+    }
+}
+
+/**
+ * Send every due message
+ * @param {Object} db - Pool
+ * @returns {Promise<Object>} Counts { sent, retry, dead }
+ */
+async function processQueue(db) {
+    const counts = { sent: 0, retry: 0, dead: 0 };
+    if (processing) {
+        return counts;
+    }
+    processing = true;
+
+    try {
+        for (;;) {
+            // Claim a batch so several instances never send the same message
+            const claimed = await db.query(
+                `UPDATE email_outbox SET status = 'sending', attempts = attempts + 1
+                 WHERE id IN (
+                     SELECT id FROM email_outbox
+                     WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                        OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $2))
+                     ORDER BY next_attempt_at
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                 )
+                 RETURNING id, to_email, subject, html, text, attempts, max_attempts`,
+                [BATCH_SIZE, STALE_SENDING_MINUTES]
+            );
+
+            for (const message of claimed.rows) {
+                counts[await deliver(db, message)] += 1;
+            }
+
+            if (claimed.rows.length < BATCH_SIZE) {
+                return counts;
+            }
+        }
+    } catch (error) {
+        console.error('Email queue error:', error);
+        return counts;
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Process the queue every EMAIL_QUEUE_POLL_SECONDS, and right after messages are queued
+ * @param {Object} db - Pool
+ * @returns {Object} The interval timer (unref'd)
+ */
+function startEmailWorker(db) {
+    workerDb = db;
+    processQueue(db);
+    const timer = setInterval(() => processQueue(db), POLL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Put a dead (or pending) message back in line for immediate delivery
+ * Attempts start over.
+ * @returns {Promise<boolean>} false when there is no such retryable message
+ */
+async function retryEmail(db, id, clinicId) {
+    const result = await db.query(
+        `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE id = $1 AND clinic_id = $2 AND status IN ('pending', 'dead')`,
+        [id, clinicId]
+    );
+    if (result.rowCount > 0 && workerDb) {
+        setImmediate(() => processQueue(workerDb));
+    }
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    backoffSeconds,
+    queueEmail,
+    processQueue,
+    startEmailWorker,
+    retryEmail
+};
@@ -0,0 +1,197 @@
+/**
+ * Email templates
+ *
+ * Each template has a subject, an HTML body and a plain-text body with
+ * {{variable}} placeholders. Values are HTML-escaped in the HTML body;
+ * {{{variable}}} inserts a value as is, for fragments the caller built (and
+ * escaped) itself. The HTML body is wrapped in a layout carrying the clinic's
+ * branding (name, brand color, logo) and the text body gets a matching footer.
+ */
+
+const DEFAULT_BRAND_COLOR = '#2563eb';
+
+const TEMPLATES = {
+    invitation: {
+        subject: 'Join {{clinicName}} on Clinic Audit',
+        html: `
+            <h2>You've been invited!</h2>
+            <p>{{inviterName}} has invited you to join <strong>{{clinicName}}</strong> on Clinic Audit.</p>
+            <p>Click the link below to accept the invitation. If you already have an account, sign in with it to add this clinic:</p>
+            <p><a href="{{inviteLink}}">{{inviteLink}}</a></p>
+            <p>This invitation expires in {{expiryHours}} hours.</p>
+            <p>You'll be joining as <strong>{{roleName}}</strong>.</p>`,
+        text: `You've been invited!
+
+{{inviterName}} has invited you to join {{clinicName}} on Clinic Audit.
+Open this link to accept the invitation. If you already have an account, sign in with it to add this clinic:
+
+{{inviteLink}}
+
+This invitation expires in {{expiryHours}} hours.
+You'll be joining as {{roleName}}.`
+    },
+    passwordReset: {
+        subject: 'Reset Your Password',
+        html: `
+            <h2>Password Reset Request</h2>
+            <p>Hi {{firstName}},</p>
+            <p>You requested to reset your password. Click the link below to create a new password:</p>
+            <p><a href="{{resetLink}}">{{resetLink}}</a></p>
+            <p>This link expires in {{expiryHours}} hour(s).</p>
+            <p>If you didn't request this, please ignore this email.</p>`,
+        text: `Hi {{firstName}},
+
+You requested to reset your password. Open this link to create a new password:
+
+{{resetLink}}
+
+This link expires in {{expiryHours}} hour(s).
+If you didn't request this, please ignore this email.`
+    },
+    emailChangeConfirm: {
+        subject: 'Confirm Your New Email Address',
+        html: `
+            <h2>Confirm Your Email</h2>
+            <p>Hi {{firstName}},</p>
+            <p>Click the link below to use this address for your Clinic Audit account:</p>
+            <p><a href="{{confirmLink}}">{{confirmLink}}</a></p>
+            <p>This link expires in {{expiryHours}} hours. Until then you keep signing in with {{currentEmail}}.</p>
+            <p>If you didn't request this, please ignore this email.</p>`,
+        text: `Hi {{firstName}},
+
+Open this link to use this address for your Clinic Audit account:
+
+{{confirmLink}}
+
+This link expires in {{expiryHours}} hours. Until then you keep signing in with {{currentEmail}}.
+If you didn't request this, please ignore this email.`
+    },
+    emailChanged: {
+        subject: 'Your Email Address Was Changed',
+        html: `
+            <h2>Email Address Changed</h2>
+            <p>Hi {{firstName}},</p>
+            <p>The email address for your Clinic Audit account was changed to {{newEmail}}.</p>
+            <p>If you didn't make this change, contact your clinic administrator right away.</p>`,
+        text: `Hi {{firstName}},
+
+The email address for your Clinic Audit account was changed to {{newEmail}}.
+If you didn't make this change, contact your clinic administrator right away.`
+    },
+    monthlyDigest: {
+        subject: '{{clinicName}} {{monthLabel}} scorecard: {{totalScore}}/100',
+        html: `
+            <h2>{{monthLabel}} Scorecard</h2>
+            <p>Hi {{firstName}}, here is how {{clinicName}} did in {{monthLabel}}.</p>
+            {{{digestHtml}}}
+            <p><a href="{{dashboardLink}}">Open the dashboard</a></p>
+            <p style="color: #6b7280; font-size: 12px;">Change which emails you get under Profile &gt; Notifications.</p>`,
+        text: `Hi {{firstName}}, here is how {{clinicName}} did in {{monthLabel}}.
+
+{{{digestText}}}
+
+Open the dashboard: {{dashboardLink}}
+Change which emails you get under Profile > Notifications.`
+    },
+    auditReminder: {
+        subject: 'Reminder: {{monthLabel}} numbers for {{clinicName}} are not entered yet',
+        html: `
+            <h2>{{monthLabel}} Is Missing</h2>
+            <p>Hi {{firstName}},</p>
+            <p>{{clinicName}} doesn't have an audit for {{monthLabel}} yet. Enter the month's numbers so its scorecard and digest can go out:</p>
+            <p><a href="{{dataEntryLink}}">{{dataEntryLink}}</a></p>
+            <p style="color: #6b7280; font-size: 12px;">Change which emails you get under Profile &gt; Notifications.</p>`,
+        text: `Hi {{firstName}},
+
+{{clinicName}} doesn't have an audit for {{monthLabel}} yet. Enter the month's numbers so its scorecard and digest can go out:
+
+{{dataEntryLink}}
+
+Change which emails you get under Profile > Notifications.`
+    },
+    metricAlert: {
+        subject: 'Alert for {{clinicName}}: {{ruleName}} ({{monthLabel}})',
+        html: `
+            <h2>{{ruleName}}</h2>
+            <p>Hi {{firstName}},</p>
+            <p>{{clinicName}}'s {{monthLabel}} numbers triggered an alert: {{description}}.</p>
+            <p><a href="{{alertsLink}}">Review and acknowledge it</a></p>
+            <p style="color: #6b7280; font-size: 12px;">Change which emails you get under Profile &gt; Notifications.</p>`,
+        text: `Hi {{firstName}},
+
+{{clinicName}}'s {{monthLabel}} numbers triggered an alert ({{ruleName}}): {{description}}.
+
+Review and acknowledge it: {{alertsLink}}
+
+Change which emails you get under Profile > Notifications.`
+    }
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Replace {{name}} and {{{name}}} placeholders; a missing variable is a bug in the caller
+function fill(template, variables, escape) {
+    return template.replace(/{{({)?\s*(\w+)\s*}}(})?/g, (match, rawOpen, name, rawClose) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Missing email template variable: ${name}`);
+        }
+        return rawOpen && rawClose ? String(variables[name]) : escape(variables[name]);
+    });
+}
+
+function layout(content, branding) {
+    const color = escapeHtml(branding.brandColor || DEFAULT_BRAND_COLOR);
+    const name = escapeHtml(branding.clinicName || 'Clinic Audit');
+    const header = branding.logoUrl
+        ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${name}" style="max-height: 48px;">`
+        : `<strong style="font-size: 18px; color: ${color};">${name}</strong>`;
+
+    return `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">
+    <div style="border-bottom: 4px solid ${color}; padding: 16px 0;">${header}</div>
+    <div style="padding: 8px 0;">${content}
+    </div>
+    <p style="border-top: 1px solid #e5e7eb; padding-top: 12px; color: #6b7280; font-size: 12px;">
+        Sent by Clinic Audit${branding.clinicName ? ` on behalf of ${name}` : ''}.
+    </p>
+</div>`;
+}
+
+/**
+ * Render a template
+ * @param {string} name - Key of TEMPLATES
+ * @param {Object} variables - Placeholder values
+ * @param {Object} [branding] - { clinicName, brandColor, logoUrl }; clinicName also fills {{clinicName}}
+ * @returns {Object} { subject, html, text }
+ */
+function renderTemplate(name, variables, branding = {}) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const values = { clinicName: branding.clinicName, ...variables };
+    const footer = branding.clinicName
+        ? `\n\n--\nSent by Clinic Audit on behalf of ${branding.clinicName}.`
+        : '\n\n--\nSent by Clinic Audit.';
+
+    return {
+        subject: fill(template.subject, values, String),
+        html: layout(fill(template.html, values, escapeHtml), branding),
+        text: fill(template.text, values, String) + footer
+    };
+}
+
+module.exports = {
+    TEMPLATES,
+    DEFAULT_BRAND_COLOR,
+    escapeHtml,
+    renderTemplate
+};
@@ -0,0 +1,71 @@
+const pool = require('../config/database');
+
+/**
+ * Goal versions
+ *
+ * global_goals keeps one row per change. Each row applies from its
+ * effective_month until a later version takes over.
+ */
+
+/**
+ * Get every goal version for a clinic, oldest first
+ * @param {string} clinicId - Clinic id
+ * @param {Object} [db] - Pool or transaction client
+ */
+async function getGoalVersions(clinicId, db = pool) {
+    const result = await db.query(
+        `SELECT g.*, to_char(g.effective_month, 'YYYY-MM') as effective_from
+         FROM global_goals g
+         WHERE g.clinic_id = $1
+         ORDER BY g.effective_month ASC, g.created_at ASC`,
+        [clinicId]
+    );
+    return result.rows;
+}
+
+/**
+ * Pick the version that applies to a month
+ *
+ * The latest version effective on or before the month wins (ties go to the
+ * most recently created). Months before the first version use the earliest.
+ * @param {Array} versions - Output of getGoalVersions
+ * @param {string} month - YYYY-MM
+ * @returns {Object|null} global_goals row
+ */
+function selectGoalsForMonth(versions, month) {
+    if (versions.length === 0) {
+        return null;
+    }
+
+    let selected = null;
+    for (const version of versions) {
+        if (version.effective_from <= month) {
+            selected = version;
+        }
+    }
+
+    if (selected) {
+        return selected;
+    }
+
+    // Latest created version of the earliest effective month
+    const earliest = versions.filter((version) => version.effective_from === versions[0].effective_from);
+    return earliest[earliest.length - 1];
+}
+
+/**
+ * Get the goals that applied to a month
+ * @param {string} clinicId - Clinic id
+ * @param {string} month - YYYY-MM
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>} global_goals row
+ */
+async function getGoalsForMonth(clinicId, month, db = pool) {
+    return selectGoalsForMonth(await getGoalVersions(clinicId, db), month);
+}
+
+module.exports = {
+    getGoalVersions,
+    selectGoalsForMonth,
+    getGoalsForMonth
+};
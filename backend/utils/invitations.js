@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { queueEmail } = require('./emailQueue');
+const { logAction } = require('./auditLog');
+
+/**
+ * Invitation lifecycle
+ *
+ * An invitation is 'pending' until accepted or until it expires. Expired
+ * rows are marked 'expired' by a periodic sweep (and for one address
+ * whenever it is invited again), and can be resent with a fresh token.
+ */
+
+const INVITATION_EXPIRY_HOURS = parseInt(process.env.INVITATION_EXPIRY_HOURS || 72, 10);
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.INVITATION_SWEEP_MINUTES || 60, 10);
+
+/**
+ * New invitation token and its expiry
+ * @returns {Object} { token, expiresAt }
+ */
+function newInvitationToken() {
+    return {
+        token: crypto.randomBytes(32).toString('hex'),
+        expiresAt: new Date(Date.now() + INVITATION_EXPIRY_HOURS * 60 * 60 * 1000)
+    };
+}
+
+/**
+ * Queue the email with an invitation link
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} options
+ * @param {string} options.email - Invitee
+ * @param {string} options.token - Invitation token
+ * @param {string} options.clinicId - Clinic being joined
+ * @param {string} options.inviterName - Who sent it
+ * @param {string} options.roleName - Display name of the role
+ */
+async function sendInvitationEmail(db, { email, token, clinicId, inviterName, roleName }) {
+    await queueEmail(db, {
+        template: 'invitation',
+        to: email,
+        clinicId,
+        variables: {
+            inviterName,
+            roleName,
+            inviteLink: `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`,
+            expiryHours: INVITATION_EXPIRY_HOURS
+        }
+    });
+}
+
+/**
+ * Mark pending invitations past their expiry as 'expired'
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} [scope] - Limit to one address of one clinic
+ * @param {string} [scope.email]
+ * @param {string} [scope.clinicId]
+ * @returns {Promise<Object[]>} Expired rows { id, clinic_id, email, role }
+ */
+async function expireInvitations(db, { email = null, clinicId = null } = {}) {
+    const result = await db.query(
+        `UPDATE invitations SET status = 'expired'
+         WHERE status = 'pending' AND expires_at <= NOW()
+           AND ($1::varchar IS NULL OR email = $1)
+           AND ($2::uuid IS NULL OR clinic_id = $2)
+         RETURNING id, clinic_id, email, role`,
+        [email, clinicId]
+    );
+
+    for (const invitation of result.rows) {
+        await logAction(db, null, {
+            action: 'invitation.expire',
+            entityType: 'invitation',
+            entityId: invitation.id,
+            clinicId: invitation.clinic_id,
+            details: { email: invitation.email, role: invitation.role }
+        });
+    }
+
+    return result.rows;
+}
+
+/**
+ * Run expireInvitations now and every INVITATION_SWEEP_MINUTES
+ * @param {Object} db - Pool
+ * @returns {Object} The interval timer (unref'd so it never keeps the process alive)
+ */
+function startExpirySweep(db) {
+    const sweep = async () => {
+        try {
+            const expired = await expireInvitations(db);
+            if (expired.length > 0) {
+                console.log(`Expired ${expired.length} invitation(s)`);
+            }
+        } catch (error) {
+            console.error('Invitation expiry sweep error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    newInvitationToken,
+    sendInvitationEmail,
+    expireInvitations,
+    startExpirySweep
+};
@@ -0,0 +1,65 @@
+/**
+ * Month helpers
+ *
+ * Months travel through the API as 'YYYY-MM' strings and are stored as
+ * DATE columns pinned to the first of the month.
+ */
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Longest from/to range a month-by-month report will build
+const MAX_RANGE_MONTHS = 60;
+
+/**
+ * Current month in YYYY-MM format (UTC)
+ */
+function currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Shift a month by a number of months
+ * @param {string} month - YYYY-MM
+ * @param {number} offset - Months to add (negative to go back)
+ * @returns {string} YYYY-MM
+ */
+function addMonths(month, offset) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Number of months from `from` to `to`, inclusive
+ * @param {string} from - YYYY-MM
+ * @param {string} to - YYYY-MM
+ * @returns {number}
+ */
+function monthSpan(from, to) {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+}
+
+/**
+ * Every month from `from` to `to`, inclusive
+ * @param {string} from - YYYY-MM
+ * @param {string} to - YYYY-MM
+ * @returns {string[]} YYYY-MM strings in ascending order
+ */
+function monthRange(from, to) {
+    const months = [];
+    for (let month = from; month <= to; month = addMonths(month, 1)) {
+        months.push(month);
+    }
+    return months;
+}
+
+module.exports = {
+    MONTH_PATTERN,
+    MAX_RANGE_MONTHS,
+    currentMonth,
+    addMonths,
+    monthSpan,
+    monthRange
+};
@@ -0,0 +1,260 @@
+const { queueEmail } = require('./emailQueue');
+const { loadDigest, renderDigest, monthLabel } = require('./digest');
+const { addMonths } = require('./months');
+const { resolvePermissions } = require('./permissions');
+
+/**
+ * Scheduled notifications
+ *
+ * Once a month has ended, each clinic gets:
+ * - monthly_digest: the month's scorecard, once the audit is approved or,
+ *   failing that, from the clinic's digest_day on
+ * - audit_reminder: a nudge from audit_reminder_day on if the month still
+ *   has no audit
+ * Each is sent at most once per clinic and month (scheduled_notifications);
+ * claiming it and queueing the emails share a transaction, so a failed run
+ * is retried on the next one.
+ *
+ * metric_alert emails go out as alert rules trigger (utils/alerts.js).
+ *
+ * Members choose per clinic which they get (notification_preferences);
+ * without a choice, people with clinic:manage get them all and others none.
+ */
+
+const NOTIFICATIONS = {
+    monthly_digest: {
+        label: 'Monthly scorecard digest',
+        defaultPermission: 'clinic:manage',
+        requiredPermission: 'audits:read'
+    },
+    audit_reminder: {
+        label: 'Reminder when last month\'s audit is missing',
+        defaultPermission: 'clinic:manage',
+        requiredPermission: null
+    },
+    metric_alert: {
+        label: 'Metric alerts',
+        defaultPermission: 'clinic:manage',
+        requiredPermission: 'audits:read'
+    }
+};
+
+const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_SCHEDULER_MINUTES || 60, 10);
+
+/**
+ * Whether a member gets a notification
+ * @param {string} notification - Key of NOTIFICATIONS
+ * @param {string[]} permissions - The member's permissions in the clinic
+ * @param {boolean|null} preference - Their saved choice (null when none)
+ */
+function isEnabled(notification, permissions, preference) {
+    const { defaultPermission, requiredPermission } = NOTIFICATIONS[notification];
+    if (requiredPermission && !permissions.includes(requiredPermission)) {
+        return false;
+    }
+    return preference === null || preference === undefined ? permissions.includes(defaultPermission) : preference;
+}
+
+/**
+ * A member's notification settings for a clinic
+ * @param {Object} db - Pool or client
+ * @param {Object} user - req.user (id, clinic_id, permissions)
+ * @returns {Promise<Object[]>} [{ notification, label, enabled, customized, available }]
+ */
+async function getPreferences(db, user) {
+    const result = await db.query(
+        'SELECT notification, enabled FROM notification_preferences WHERE user_id = $1 AND clinic_id = $2',
+        [user.id, user.clinic_id]
+    );
+    const saved = Object.fromEntries(result.rows.map((row) => [row.notification, row.enabled]));
+
+    return Object.entries(NOTIFICATIONS).map(([notification, { label, requiredPermission }]) => ({
+        notification,
+        label,
+        enabled: isEnabled(notification, user.permissions, saved[notification]),
+        customized: saved[notification] !== undefined,
+        available: !requiredPermission || user.permissions.includes(requiredPermission)
+    }));
+}
+
+/**
+ * Active members of a clinic who get a notification
+ * @returns {Promise<Object[]>} [{ id, email, first_name }]
+ */
+async function getRecipients(db, clinicId, notification) {
+    const result = await db.query(
+        `SELECT u.id, u.email, u.first_name, m.role, cr.permissions as custom_permissions, p.enabled
+         FROM clinic_memberships m
+         JOIN users u ON m.user_id = u.id
+         LEFT JOIN clinic_roles cr ON cr.id = m.custom_role_id
+         LEFT JOIN notification_preferences p
+             ON p.user_id = m.user_id AND p.clinic_id = m.clinic_id AND p.notification = $2
+         WHERE m.clinic_id = $1 AND u.is_active = true`,
+        [clinicId, notification]
+    );
+
+    return result.rows
+        .filter((row) => isEnabled(notification, resolvePermissions(row.role, row.custom_permissions), row.enabled))
+        .map((row) => ({ id: row.id, email: row.email, first_name: row.first_name }));
+}
+
+/**
+ * Record that a notification is going out; false when it already went
+ * (another instance or an earlier run), which makes sending at most once
+ */
+async function claimNotification(db, clinicId, notification, month) {
+    const result = await db.query(
+        `INSERT INTO scheduled_notifications (clinic_id, notification, month)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (clinic_id, notification, month) DO NOTHING
+         RETURNING id`,
+        [clinicId, notification, `${month}-01`]
+    );
+    return result.rows.length > 0;
+}
+
+async function recordRecipients(db, clinicId, notification, month, count) {
+    await db.query(
+        `UPDATE scheduled_notifications SET recipient_count = $1
+         WHERE clinic_id = $2 AND notification = $3 AND month = $4`,
+        [count, clinicId, notification, `${month}-01`]
+    );
+}
+
+/**
+ * Queue a clinic's digest for a month to everyone who gets it
+ * @returns {Promise<number>} Emails queued
+ */
+async function sendDigest(db, clinicId, month) {
+    const digest = await loadDigest(db, clinicId, month);
+    if (!digest) {
+        return 0;
+    }
+    const { html, text } = renderDigest(digest);
+    const recipients = await getRecipients(db, clinicId, 'monthly_digest');
+
+    for (const recipient of recipients) {
+        await queueEmail(db, {
+            template: 'monthlyDigest',
+            to: recipient.email,
+            clinicId,
+            variables: {
+                firstName: recipient.first_name,
+                monthLabel: digest.monthLabel,
+                totalScore: digest.totalScore.toFixed(0),
+                digestHtml: html,
+                digestText: text,
+                dashboardLink: `${process.env.FRONTEND_URL}/dashboard?month=${month}`
+            }
+        });
+    }
+    return recipients.length;
+}
+
+async function sendAuditReminder(db, clinicId, month) {
+    const recipients = await getRecipients(db, clinicId, 'audit_reminder');
+
+    for (const recipient of recipients) {
+        await queueEmail(db, {
+            template: 'auditReminder',
+            to: recipient.email,
+            clinicId,
+            variables: {
+                firstName: recipient.first_name,
+                monthLabel: monthLabel(month),
+                dataEntryLink: `${process.env.FRONTEND_URL}/data-entry?month=${month}`
+            }
+        });
+    }
+    return recipients.length;
+}
+
+/**
+ * Send whatever is due for the month that ended last
+ * @param {Object} db - Pool
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { month, digests, reminders } clinics notified
+ */
+async function runScheduledNotifications(db, now = new Date()) {
+    const month = addMonths(now.toISOString().slice(0, 7), -1);
+    const day = now.getUTCDate();
+    const sent = { month, digests: 0, reminders: 0 };
+
+    const clinics = await db.query(
+        `SELECT c.id, c.digest_day, c.audit_reminder_day, ma.status as audit_status
+         FROM clinics c
+         LEFT JOIN monthly_audits ma ON ma.clinic_id = c.id AND ma.audit_month = $1
+         WHERE NOT EXISTS (
+             SELECT 1 FROM scheduled_notifications n
+             WHERE n.clinic_id = c.id AND n.month = $1
+               AND n.notification = CASE WHEN ma.id IS NULL THEN 'audit_reminder' ELSE 'monthly_digest' END
+         )`,
+        [`${month}-01`]
+    );
+
+    for (const clinic of clinics.rows) {
+        let notification = null;
+        if (clinic.audit_status) {
+            if (clinic.audit_status === 'approved' || (clinic.digest_day !== null && day >= clinic.digest_day)) {
+                notification = 'monthly_digest';
+            }
+        } else if (clinic.audit_reminder_day !== null && day >= clinic.audit_reminder_day) {
+            notification = 'audit_reminder';
+        }
+        if (!notification) {
+            continue;
+        }
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            if (await claimNotification(client, clinic.id, notification, month)) {
+                const count = notification === 'monthly_digest'
+                    ? await sendDigest(client, clinic.id, month)
+                    : await sendAuditReminder(client, clinic.id, month);
+                await recordRecipients(client, clinic.id, notification, month, count);
+                sent[notification === 'monthly_digest' ? 'digests' : 'reminders'] += 1;
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Scheduled notification error for clinic ${clinic.id}:`, error);
+        } finally {
+            client.release();
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Run runScheduledNotifications now and every NOTIFICATION_SCHEDULER_MINUTES
+ * @param {Object} db - Pool
+ * @returns {Object} The interval timer (unref'd)
+ */
+function startNotificationScheduler(db) {
+    const run = async () => {
+        try {
+            const { month, digests, reminders } = await runScheduledNotifications(db);
+            if (digests > 0 || reminders > 0) {
+                console.log(`Scheduled notifications for ${month}: ${digests} digest(s), ${reminders} reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Notification scheduler error:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    NOTIFICATIONS,
+    getPreferences,
+    getRecipients,
+    sendDigest,
+    runScheduledNotifications,
+    startNotificationScheduler
+};
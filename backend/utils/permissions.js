@@ -0,0 +1,190 @@
+const { diffChanges } = require('./auditLog');
+
+/**
+ * Roles and permissions
+ *
+ * A user has one role: a built-in one below, or 'custom' with custom_role_id
+ * pointing at a clinic_roles row that lists its permissions. Routes check
+ * permissions, never role names (middleware/auth.js requirePermission).
+ */
+
+const PERMISSIONS = {
+    'audits:read': 'View months, dashboards, trends and exports',
+    'audits:write': 'Enter financials, expenses and services; import',
+    'marketing:write': 'Enter marketing numbers (website, new clients, conversions, spend)',
+    'payroll:read': 'See payroll line items',
+    'payroll:write': 'Edit payroll line items',
+    'audits:delete': 'Delete months',
+    'audits:submit': 'Submit months for approval',
+    'audits:approve': 'Approve, return and reopen months',
+    'goals:write': 'Edit goals',
+    'users:manage': 'Invite and deactivate users, change roles, manage sessions, 2FA resets and lockouts',
+    'clinic:manage': 'Clinic settings',
+    'organization:manage': 'Add locations and grant access across the organization\'s clinics',
+    'logs:read': 'View the activity log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ROLES = {
+    owner: { name: 'Owner', permissions: ALL_PERMISSIONS },
+    admin: { name: 'Admin', permissions: ALL_PERMISSIONS.filter((permission) => permission !== 'organization:manage') },
+    bookkeeper: {
+        name: 'Bookkeeper',
+        permissions: ['audits:read', 'audits:write', 'payroll:read', 'payroll:write', 'audits:submit']
+    },
+    marketing: { name: 'Marketing', permissions: ['audits:read', 'marketing:write', 'audits:submit'] },
+    viewer: { name: 'Viewer', permissions: ['audits:read'] },
+    // The original non-admin role; existing members keep what they could do before
+    member: {
+        name: 'Member',
+        permissions: [
+            'audits:read', 'audits:write', 'marketing:write', 'payroll:read', 'payroll:write',
+            'audits:delete', 'audits:submit'
+        ]
+    }
+};
+
+// Roles that can be given through invitations and role changes ('owner' only by an owner)
+const ASSIGNABLE_ROLES = [...Object.keys(ROLES), 'custom'];
+
+// Audit header fields covered by marketing:write instead of audits:write
+const MARKETING_FIELDS = [
+    'websiteVisits',
+    'websiteConversionRate',
+    'newClientVisits',
+    'clientsConvertingToTreatment',
+    'marketingSpend'
+];
+
+const EDIT_PERMISSIONS = ['audits:write', 'marketing:write', 'payroll:write'];
+
+/**
+ * Permissions of a user
+ * @param {string} role - users.role
+ * @param {string[]|null} [customPermissions] - clinic_roles.permissions when role is 'custom'
+ * @returns {string[]}
+ */
+function resolvePermissions(role, customPermissions = null) {
+    if (role === 'custom') {
+        return (customPermissions || []).filter((permission) => PERMISSIONS[permission]);
+    }
+    return ROLES[role] ? ROLES[role].permissions : [];
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+}
+
+/**
+ * Permissions of a list the user doesn't have
+ * Nobody can create or hand out a role with more than they hold.
+ * @param {Object} user - req.user
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+function missingPermissions(user, permissions) {
+    return permissions.filter((permission) => !hasPermission(user, permission));
+}
+
+function roleName(role, customRoleName = null) {
+    if (role === 'custom') {
+        return customRoleName || 'Custom';
+    }
+    return ROLES[role] ? ROLES[role].name : role;
+}
+
+// Permission needed to change one diffChanges path
+function permissionForPath(path) {
+    if (path.startsWith('payroll[')) {
+        return 'payroll:write';
+    }
+    if (MARKETING_FIELDS.includes(path)) {
+        return 'marketing:write';
+    }
+    return 'audits:write';
+}
+
+/**
+ * Check that a user may make an audit change
+ *
+ * Compares the audit before and after (loadAuditData shapes) and requires
+ * the permission for every changed field. Computed allocations and the zero
+ * defaults of a newly created month don't count as changes.
+ * @param {Object} user - req.user
+ * @param {Object|null} before - Audit before the change (null when created)
+ * @param {Object} after - Audit after the change
+ * @returns {Object|null} { status, body } to send, or null when allowed
+ */
+function checkAuditEdit(user, before, after) {
+    if (!EDIT_PERMISSIONS.some((permission) => hasPermission(user, permission))) {
+        return {
+            status: 403,
+            body: { error: 'You do not have permission to edit audits', required: EDIT_PERMISSIONS }
+        };
+    }
+
+    const denied = {};
+    for (const [path, change] of Object.entries(diffChanges(before, after))) {
+        if (path.endsWith('.allocatedExpenses')) {
+            continue;
+        }
+        if (!before && [null, 0, ''].includes(change.after)) {
+            continue;
+        }
+
+        const permission = permissionForPath(path);
+        if (!hasPermission(user, permission)) {
+            denied[permission] = [...(denied[permission] || []), path];
+        }
+    }
+
+    if (Object.keys(denied).length === 0) {
+        return null;
+    }
+
+    return {
+        status: 403,
+        body: {
+            error: 'You do not have permission to change some of these fields',
+            required: Object.keys(denied),
+            fields: Object.values(denied).flat()
+        }
+    };
+}
+
+/**
+ * Drop what a user may not see from an audit (payroll without payroll:read)
+ * Works on both the API row shape and loadAuditData snapshots.
+ * @returns {Object} The audit, or a copy without payroll
+ */
+function redactAudit(user, audit) {
+    if (!audit || hasPermission(user, 'payroll:read')) {
+        return audit;
+    }
+    const { payroll, ...rest } = audit;
+    return rest;
+}
+
+/**
+ * Drop diffChanges paths a user may not see
+ */
+function redactChanges(user, changes) {
+    if (hasPermission(user, 'payroll:read')) {
+        return changes;
+    }
+    return Object.fromEntries(Object.entries(changes).filter(([path]) => !path.startsWith('payroll')));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ASSIGNABLE_ROLES,
+    resolvePermissions,
+    hasPermission,
+    missingPermissions,
+    roleName,
+    checkAuditEdit,
+    redactAudit,
+    redactChanges
+};
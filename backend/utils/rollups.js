@@ -0,0 +1,125 @@
+/**
+ * Organization rollups
+ *
+ * Consolidates the scorecards of several clinics over a range of months:
+ * per-location totals, organization totals per month and overall, and
+ * location rankings. Money and hours are summed before ratios are taken,
+ * so consolidated margin and capacity weigh each location by its size.
+ * Scores are averaged over the months a location reported.
+ */
+
+const SCORE_FIELDS = {
+    totalScore: (scores) => scores.total,
+    financialScore: (scores) => scores.financial.score,
+    capacityScore: (scores) => scores.capacity.score,
+    newClientFlowScore: (scores) => scores.newClientFlow.score,
+    marketingScore: (scores) => scores.marketing.score
+};
+
+const SUM_FIELDS = ['revenue', 'profit', 'totalPayroll', 'totalOperatingExpenses', 'cogs', 'totalProviderHours', 'totalBookedHours'];
+
+// Metrics locations are ranked by (highest first)
+const RANKING_METRICS = ['revenue', 'profit', 'profitMargin', 'capacity', 'totalScore'];
+
+function emptyTotals() {
+    const totals = { monthsReported: 0 };
+    for (const field of [...SUM_FIELDS, ...Object.keys(SCORE_FIELDS)]) {
+        totals[field] = 0;
+    }
+    return totals;
+}
+
+function addScorecard(totals, { metrics, scores }) {
+    totals.monthsReported += 1;
+    for (const field of SUM_FIELDS) {
+        totals[field] += metrics[field];
+    }
+    for (const [field, score] of Object.entries(SCORE_FIELDS)) {
+        totals[field] += score(scores);
+    }
+    return totals;
+}
+
+// Turn accumulated sums into reported figures (ratios and score averages)
+function finishTotals(totals) {
+    const result = { monthsReported: totals.monthsReported };
+    for (const field of SUM_FIELDS) {
+        result[field] = totals[field];
+    }
+    result.profitMargin = totals.revenue > 0 ? (totals.profit / totals.revenue) * 100 : 0;
+    result.capacity = totals.totalProviderHours > 0 ? totals.totalBookedHours / totals.totalProviderHours : 0;
+    for (const field of Object.keys(SCORE_FIELDS)) {
+        result[field] = totals.monthsReported > 0 ? totals[field] / totals.monthsReported : null;
+    }
+    return result;
+}
+
+/**
+ * Rank locations by each ranking metric
+ * Locations without any audited month in the range are left out.
+ * @param {Object[]} locations - buildRollup locations
+ * @returns {Object} { metric: [{ rank, clinicId, clinicName, value }] }
+ */
+function rankLocations(locations) {
+    const reporting = locations.filter((location) => location.totals.monthsReported > 0);
+    const rankings = {};
+    for (const metric of RANKING_METRICS) {
+        rankings[metric] = reporting
+            .map((location) => ({ clinicId: location.clinicId, clinicName: location.clinicName, value: location.totals[metric] }))
+            .sort((a, b) => b.value - a.value)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+    return rankings;
+}
+
+/**
+ * Build an organization rollup
+ * @param {Object[]} clinics - [{ id, name, location, scorecards: { 'YYYY-MM': buildScorecard output } }]
+ * @param {string[]} months - Months in the range (monthRange)
+ * @returns {Object} { locations, byMonth, totals, rankings }
+ */
+function buildRollup(clinics, months) {
+    const organizationTotals = emptyTotals();
+    const monthTotals = Object.fromEntries(months.map((month) => [month, emptyTotals()]));
+
+    const locations = clinics.map((clinic) => {
+        const totals = emptyTotals();
+        const byMonth = [];
+
+        for (const month of months) {
+            const scorecard = clinic.scorecards[month];
+            if (!scorecard) {
+                continue;
+            }
+            addScorecard(totals, scorecard);
+            addScorecard(monthTotals[month], scorecard);
+            addScorecard(organizationTotals, scorecard);
+            const { monthsReported, ...monthFigures } = finishTotals(addScorecard(emptyTotals(), scorecard));
+            byMonth.push({ month, ...monthFigures });
+        }
+
+        return {
+            clinicId: clinic.id,
+            clinicName: clinic.name,
+            location: clinic.location,
+            missingMonths: months.filter((month) => !clinic.scorecards[month]),
+            totals: finishTotals(totals),
+            byMonth
+        };
+    });
+
+    return {
+        locations,
+        byMonth: months.map((month) => {
+            const { monthsReported, ...totals } = finishTotals(monthTotals[month]);
+            return { month, locationsReported: monthsReported, ...totals };
+        }),
+        totals: finishTotals(organizationTotals),
+        rankings: rankLocations(locations)
+    };
+}
+
+module.exports = {
+    RANKING_METRICS,
+    buildRollup
+};
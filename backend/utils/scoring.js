@@ -0,0 +1,168 @@
+/**
+ * Scoring engine
+ *
+ * Server-side port of the dashboard calculations. Works on the audit rows
+ * returned by the audits routes (snake_case columns with aggregated
+ * payroll/expenses/services arrays) and a global_goals row.
+ */
+
+const DEFAULT_GOALS = {
+    revenue_goal: 100000,
+    profit_margin_goal: 30,
+    capacity_goal: 80,
+    new_client_visits_target: 30,
+    treatment_conversion_goal: 50,
+    website_visits_target: 1200,
+    website_conversion_goal: 2,
+    marketing_new_clients_target: 24,
+    financial_weight: 25,
+    capacity_weight: 25,
+    new_client_flow_weight: 25,
+    marketing_weight: 25,
+    service_margin_floor: 20,
+    service_utilization_floor: 60
+};
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+function sum(items, field) {
+    return (items || []).reduce((total, item) => total + toNumber(item[field]), 0);
+}
+
+function capped(ratio, max) {
+    return Math.max(0, Math.min(max, ratio * max));
+}
+
+function ratio(value, target) {
+    return target > 0 ? value / target : 0;
+}
+
+/**
+ * Derive the monthly metrics for an audit
+ * @param {Object} audit - monthly_audits row with payroll, expenses and services arrays
+ * @returns {Object} Derived metrics (rates are fractions, profitMargin is a percentage)
+ */
+function calculateMonth(audit) {
+    const revenue = toNumber(audit.revenue);
+    const cogs = toNumber(audit.cogs);
+    const totalPayroll = sum(audit.payroll, 'amount');
+    const totalAdditionalExpenses = sum(audit.expenses, 'amount');
+    const totalOperatingExpenses = toNumber(audit.operating_expenses) + totalAdditionalExpenses;
+    const totalProviderHours = sum(audit.services, 'provider_hours');
+    const totalBookedHours = sum(audit.services, 'booked_hours');
+
+    const totalClients = parseInt(audit.total_clients || 0, 10);
+    const newClientVisits = parseInt(audit.new_client_visits || 0, 10);
+    const clientsConvertingToTreatment = parseInt(audit.clients_converting_to_treatment || 0, 10);
+
+    const profit = revenue - totalOperatingExpenses - totalPayroll - cogs;
+
+    return {
+        revenue,
+        totalOperatingExpenses,
+        totalPayroll,
+        totalAdditionalExpenses,
+        cogs,
+        profit,
+        profitMargin: revenue > 0 ? (profit / revenue) * 100 : 0,
+        capacity: totalProviderHours > 0 ? totalBookedHours / totalProviderHours : 0,
+        totalProviderHours,
+        totalBookedHours,
+        clientValue: totalClients > 0 ? revenue / totalClients : 0,
+        totalClients,
+        websiteVisits: parseInt(audit.website_visits || 0, 10),
+        newClientVisits,
+        clientsConvertingToTreatment,
+        websiteConversionRate: toNumber(audit.website_conversion_rate) / 100,
+        treatmentPlanConversionRate: newClientVisits > 0 ? clientsConvertingToTreatment / newClientVisits : 0,
+        marketingSpend: toNumber(audit.marketing_spend)
+    };
+}
+
+/**
+ * Resolve scoring settings from a global_goals row, filling gaps with defaults
+ * @param {Object|null} [goals] - global_goals row
+ * @returns {Object} Numeric settings keyed by global_goals column
+ */
+function resolveSettings(goals) {
+    const settings = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_GOALS)) {
+        const value = goals ? goals[key] : undefined;
+        settings[key] = value === null || value === undefined ? fallback : toNumber(value);
+    }
+    return settings;
+}
+
+/**
+ * Score derived metrics against clinic goals (0-100 across four weighted buckets)
+ *
+ * Each bucket keeps the original split between its sub-scores (financial
+ * 50/50, new client flow 60/40, marketing 40/40/20) scaled to its weight.
+ * @param {Object} metrics - Output of calculateMonth
+ * @param {Object} [goals] - global_goals row; missing values fall back to defaults
+ * @returns {Object} Bucket scores with their sub-scores
+ */
+function calculateScores(metrics, goals) {
+    const settings = resolveSettings(goals);
+
+    // 1. Financial (revenue goal + margin goal)
+    const financialWeight = settings.financial_weight;
+    const revenueScore = capped(ratio(metrics.revenue, settings.revenue_goal), financialWeight * 0.5);
+    const marginScore = capped(ratio(metrics.profitMargin, settings.profit_margin_goal), financialWeight * 0.5);
+
+    // 2. Capacity (vs capacity goal)
+    const capacityWeight = settings.capacity_weight;
+    const capacityScore = capped(ratio(metrics.capacity, settings.capacity_goal / 100), capacityWeight);
+
+    // 3. New client flow (volume + conversion quality)
+    const newClientFlowWeight = settings.new_client_flow_weight;
+    const volumeScore = capped(ratio(metrics.newClientVisits, settings.new_client_visits_target), newClientFlowWeight * 0.6);
+    const continuationScore = capped(
+        ratio(metrics.treatmentPlanConversionRate, settings.treatment_conversion_goal / 100),
+        newClientFlowWeight * 0.4
+    );
+
+    // 4. Marketing (traffic + web conversion + results)
+    const marketingWeight = settings.marketing_weight;
+    const trafficScore = capped(ratio(metrics.websiteVisits, settings.website_visits_target), marketingWeight * 0.4);
+    const conversionScore = capped(
+        ratio(metrics.websiteConversionRate, settings.website_conversion_goal / 100),
+        marketingWeight * 0.4
+    );
+    const resultsScore = capped(ratio(metrics.newClientVisits, settings.marketing_new_clients_target), marketingWeight * 0.2);
+
+    const financial = { score: revenueScore + marginScore, max: financialWeight, revenueScore, marginScore };
+    const capacity = { score: capacityScore, max: capacityWeight, capacityScore };
+    const newClientFlow = { score: volumeScore + continuationScore, max: newClientFlowWeight, volumeScore, continuationScore };
+    const marketing = { score: trafficScore + conversionScore + resultsScore, max: marketingWeight, trafficScore, conversionScore, resultsScore };
+
+    return {
+        financial,
+        capacity,
+        newClientFlow,
+        marketing,
+        total: financial.score + capacity.score + newClientFlow.score + marketing.score
+    };
+}
+
+/**
+ * Build the full scorecard for an audit
+ * @param {Object} audit - monthly_audits row with payroll, expenses and services arrays
+ * @param {Object} [goals] - global_goals row
+ */
+function buildScorecard(audit, goals) {
+    const metrics = calculateMonth(audit);
+    return { metrics, scores: calculateScores(metrics, goals) };
+}
+
+module.exports = {
+    DEFAULT_GOALS,
+    toNumber,
+    resolveSettings,
+    calculateMonth,
+    calculateScores,
+    buildScorecard
+};
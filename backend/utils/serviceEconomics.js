@@ -0,0 +1,76 @@
+const { toNumber } = require('./scoring');
+
+/**
+ * Service economics
+ *
+ * Per-service utilization, revenue per hour and contribution margin after
+ * commission and allocated expenses, ranked and flagged against floors.
+ */
+
+function perHour(amount, hours) {
+    return hours > 0 ? amount / hours : 0;
+}
+
+/**
+ * Analyze a list of services
+ * @param {Array} services - services rows (snake_case columns)
+ * @param {Object} floors - Flag thresholds
+ * @param {number} floors.marginFloor - Minimum contribution margin (% of revenue)
+ * @param {number} floors.utilizationFloor - Minimum utilization (% of provider hours booked)
+ * @returns {Object} { services, totals } with services sorted by rank
+ */
+function analyzeServices(services, { marginFloor, utilizationFloor }) {
+    const analyzed = (services || []).map((service) => {
+        const providerHours = toNumber(service.provider_hours);
+        const bookedHours = toNumber(service.booked_hours);
+        const revenue = toNumber(service.revenue);
+        const commission = toNumber(service.commission);
+        const allocatedExpenses = toNumber(service.allocated_expenses);
+        const contributionMargin = revenue - commission - allocatedExpenses;
+        const contributionMarginPct = revenue > 0 ? (contributionMargin / revenue) * 100 : 0;
+        const utilization = providerHours > 0 ? bookedHours / providerHours : 0;
+
+        return {
+            id: service.id,
+            name: service.name,
+            providerHours,
+            bookedHours,
+            revenue,
+            commission,
+            allocatedExpenses,
+            utilization,
+            revenuePerProviderHour: perHour(revenue, providerHours),
+            revenuePerBookedHour: perHour(revenue, bookedHours),
+            contributionMargin,
+            contributionMarginPct,
+            flags: {
+                lowMargin: contributionMarginPct < marginFloor,
+                lowUtilization: utilization * 100 < utilizationFloor
+            }
+        };
+    });
+
+    analyzed.sort((a, b) => b.contributionMargin - a.contributionMargin);
+    analyzed.forEach((service, index) => {
+        service.rank = index + 1;
+    });
+
+    const totals = analyzed.reduce((acc, service) => ({
+        providerHours: acc.providerHours + service.providerHours,
+        bookedHours: acc.bookedHours + service.bookedHours,
+        revenue: acc.revenue + service.revenue,
+        commission: acc.commission + service.commission,
+        allocatedExpenses: acc.allocatedExpenses + service.allocatedExpenses,
+        contributionMargin: acc.contributionMargin + service.contributionMargin
+    }), { providerHours: 0, bookedHours: 0, revenue: 0, commission: 0, allocatedExpenses: 0, contributionMargin: 0 });
+
+    totals.utilization = totals.providerHours > 0 ? totals.bookedHours / totals.providerHours : 0;
+    totals.revenuePerProviderHour = perHour(totals.revenue, totals.providerHours);
+    totals.revenuePerBookedHour = perHour(totals.revenue, totals.bookedHours);
+    totals.contributionMarginPct = totals.revenue > 0 ? (totals.contributionMargin / totals.revenue) * 100 : 0;
+    totals.flaggedServices = analyzed.filter((service) => service.flags.lowMargin || service.flags.lowUtilization).length;
+
+    return { services: analyzed, totals };
+}
+
+module.exports = { analyzeServices };
@@ -0,0 +1,193 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+/**
+ * Sessions and tokens
+ *
+ * Login creates a user_sessions row (one per device). Requests carry a
+ * short-lived access JWT naming the session; a refresh token stored only as
+ * a hash trades in for a new pair and is rotated on every use. Presenting an
+ * already-rotated refresh token revokes the session (likely token theft).
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || 30, 10);
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, clinicId: user.clinic_id, role: user.role, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+async function issueRefreshToken(db, sessionId, expiresAt) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await db.query(
+        'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+        [sessionId, hashToken(refreshToken), expiresAt]
+    );
+    return refreshToken;
+}
+
+/**
+ * Start a session for a user that just authenticated
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} user - users row (id, clinic_id, role)
+ * @param {Object} req - Request (user agent and IP are stored for the device list)
+ * @returns {Promise<Object>} { sessionId, token, refreshToken }
+ */
+async function createSession(db, user, req) {
+    const expiresAt = refreshExpiry();
+    const sessionResult = await db.query(
+        `INSERT INTO user_sessions (user_id, clinic_id, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [user.id, user.clinic_id, req.get('User-Agent') || null, req.ip, expiresAt]
+    );
+    const sessionId = sessionResult.rows[0].id;
+
+    return {
+        sessionId,
+        token: signAccessToken(user, sessionId),
+        refreshToken: await issueRefreshToken(db, sessionId, expiresAt)
+    };
+}
+
+/**
+ * Trade a refresh token for a new access/refresh pair
+ * @param {Object} client - Transaction client
+ * @param {string} refreshToken - Token from the client
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { token, refreshToken, session, user }, or { error, session }
+ *     where error is 'invalid', 'expired', 'revoked' or 'reused'
+ */
+async function rotateRefreshToken(client, refreshToken, req) {
+    const result = await client.query(
+        `SELECT rt.id, rt.used_at, rt.expires_at,
+                s.id as session_id, s.revoked_at, s.user_id, s.clinic_id,
+                m.role, u.is_active
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.id
+         JOIN users u ON s.user_id = u.id
+         LEFT JOIN clinic_memberships m ON m.user_id = s.user_id AND m.clinic_id = s.clinic_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+        [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+        return { error: 'invalid' };
+    }
+
+    const row = result.rows[0];
+    const session = { id: row.session_id, user_id: row.user_id, clinic_id: row.clinic_id };
+
+    if (row.revoked_at || !row.is_active) {
+        return { error: 'revoked', session };
+    }
+    if (row.used_at) {
+        await revokeSession(client, row.session_id, 'refresh_token_reuse');
+        return { error: 'reused', session };
+    }
+    if (row.expires_at <= new Date()) {
+        return { error: 'expired', session };
+    }
+
+    const expiresAt = refreshExpiry();
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+    await client.query(
+        `UPDATE user_sessions SET last_used_at = NOW(), expires_at = $2, ip_address = $3
+         WHERE id = $1`,
+        [row.session_id, expiresAt, req.ip]
+    );
+
+    const user = { id: row.user_id, clinic_id: row.clinic_id, role: row.role };
+    return {
+        token: signAccessToken(user, row.session_id),
+        refreshToken: await issueRefreshToken(client, row.session_id, expiresAt),
+        session,
+        user
+    };
+}
+
+/**
+ * Make another clinic the session's active clinic
+ * The caller checks the user belongs to it.
+ * @param {Object} db - Pool or transaction client
+ * @param {string} sessionId - Session id
+ * @param {Object} user - { id } plus the clinic_id and role to switch to
+ * @returns {Promise<string>} New access token for the session
+ */
+async function switchSessionClinic(db, sessionId, user) {
+    await db.query('UPDATE user_sessions SET clinic_id = $1 WHERE id = $2', [user.clinic_id, sessionId]);
+    return signAccessToken(user, sessionId);
+}
+
+/**
+ * Revoke one session; its access tokens stop working immediately
+ * @param {Object} db - Pool or transaction client
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Stored on the session (logout, revoked, ...)
+ * @param {string} [userId] - Only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession(db, sessionId, reason, userId = null) {
+    const result = await db.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+         WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR user_id = $3)`,
+        [sessionId, reason, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Revoke every active session of a user (password reset, deactivation, ...)
+ * @param {Object} db - Pool or transaction client
+ * @param {string} userId - User id
+ * @param {string} reason - Stored on each session
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeUserSessions(db, userId, reason, exceptSessionId = null) {
+    const result = await db.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3)`,
+        [userId, reason, exceptSessionId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {Object} db - Pool or transaction client
+ * @param {string} userId - User id
+ */
+async function listActiveSessions(db, userId) {
+    const result = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    switchSessionClinic,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+};
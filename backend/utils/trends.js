@@ -0,0 +1,114 @@
+const { addMonths } = require('./months');
+
+/**
+ * Trend series
+ *
+ * Turns per-month scorecards into time series with month-over-month and
+ * year-over-year deltas and rolling averages.
+ */
+
+const SCORE_METRICS = {
+    totalScore: (scores) => scores.total,
+    financialScore: (scores) => scores.financial.score,
+    capacityScore: (scores) => scores.capacity.score,
+    newClientFlowScore: (scores) => scores.newClientFlow.score,
+    marketingScore: (scores) => scores.marketing.score
+};
+
+const TREND_METRICS = [
+    'revenue',
+    'profit',
+    'profitMargin',
+    'capacity',
+    'clientValue',
+    'totalClients',
+    'totalPayroll',
+    'totalOperatingExpenses',
+    'cogs',
+    'marketingSpend',
+    'websiteVisits',
+    'websiteConversionRate',
+    'newClientVisits',
+    'treatmentPlanConversionRate',
+    ...Object.keys(SCORE_METRICS)
+];
+
+/**
+ * Flatten a scorecard into { metric: value } for every trend metric
+ * @param {Object} scorecard - Output of buildScorecard
+ */
+function flattenScorecard({ metrics, scores }) {
+    const values = {};
+    for (const metric of TREND_METRICS) {
+        values[metric] = SCORE_METRICS[metric] ? SCORE_METRICS[metric](scores) : metrics[metric];
+    }
+    return values;
+}
+
+function delta(current, previous) {
+    if (current === undefined || previous === undefined) {
+        return null;
+    }
+    return {
+        change: current - previous,
+        percentChange: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null
+    };
+}
+
+function rollingAverage(valuesByMonth, month, size, metric) {
+    const window = [];
+    for (let offset = 0; offset < size; offset++) {
+        const values = valuesByMonth[addMonths(month, -offset)];
+        if (values) {
+            window.push(values[metric]);
+        }
+    }
+    if (window.length === 0) {
+        return null;
+    }
+    return window.reduce((total, value) => total + value, 0) / window.length;
+}
+
+/**
+ * Build the trend series for a set of months
+ *
+ * Missing months have null values. Rolling averages use whichever months in
+ * the window have data, so callers should load the 12 months before the
+ * range to get full 12-month averages and year-over-year deltas.
+ * @param {Object} valuesByMonth - { 'YYYY-MM': flattened scorecard }
+ * @param {string[]} months - Months to report, ascending
+ * @param {string[]} metrics - Metric names to include
+ */
+function buildTrendSeries(valuesByMonth, months, metrics) {
+    return months.map((month) => {
+        const current = valuesByMonth[month];
+        const previousMonth = valuesByMonth[addMonths(month, -1)];
+        const previousYear = valuesByMonth[addMonths(month, -12)];
+
+        const point = {
+            month,
+            missing: !current,
+            values: {},
+            monthOverMonth: {},
+            yearOverYear: {},
+            rolling3: {},
+            rolling12: {}
+        };
+
+        for (const metric of metrics) {
+            point.values[metric] = current ? current[metric] : null;
+            point.monthOverMonth[metric] = current && previousMonth ? delta(current[metric], previousMonth[metric]) : null;
+            point.yearOverYear[metric] = current && previousYear ? delta(current[metric], previousYear[metric]) : null;
+            point.rolling3[metric] = rollingAverage(valuesByMonth, month, 3, metric);
+            point.rolling12[metric] = rollingAverage(valuesByMonth, month, 12, metric);
+        }
+
+        return point;
+    });
+}
+
+module.exports = {
+    TREND_METRICS,
+    flattenScorecard,
+    buildTrendSeries
+};
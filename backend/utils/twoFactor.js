@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+
+/**
+ * TOTP two-factor authentication
+ *
+ * Secrets follow RFC 6238 (30s steps, 6 digits) so any authenticator app
+ * works. Each accepted code's time step is stored to block replays, and
+ * recovery codes are stored as SHA-256 hashes and work once.
+ */
+
+const TOTP_STEP_SECONDS = 30;
+
+// Accept the previous and next step to allow for clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+const ISSUER = process.env.TOTP_ISSUER || 'Clinic Audit';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * New secret plus what an authenticator app needs to add it
+ * @param {string} email - Account label shown in the app
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+async function createEnrollment(email) {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the app
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code; it and earlier steps are refused
+ * @returns {number|null} Time step of the accepted code, or null
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(token)) {
+        return null;
+    }
+
+    const delta = authenticator.checkDelta(token, secret);
+    if (delta === null) {
+        return null;
+    }
+
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+    return lastUsedStep !== null && step <= lastUsedStep ? null : step;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {Object} db - Pool or transaction client
+ * @param {string} userId - User id
+ * @returns {Promise<string[]>} Plain codes; shown to the user once
+ */
+async function generateRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await db.query(
+            'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, hashCode(normalizeRecoveryCode(code))]
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Use up a recovery code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+async function consumeRecoveryCode(db, userId, code) {
+    const result = await db.query(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+        [userId, hashCode(normalizeRecoveryCode(code))]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code when `recoveryCode` is given
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} user - users row with id, totp_secret and totp_last_used_step
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(db, user, { code, recoveryCode }) {
+    if (recoveryCode) {
+        return consumeRecoveryCode(db, user.id, recoveryCode);
+    }
+
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_used_step);
+    if (step === null) {
+        return false;
+    }
+
+    await db.query('UPDATE users SET totp_last_used_step = $1 WHERE id = $2', [step, user.id]);
+    return true;
+}
+
+/**
+ * Short-lived token proving the password step of a two-step login
+ */
+function createChallengeToken(userId) {
+    return jwt.sign({ userId, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+/**
+ * @returns {string|null} User id from a valid challenge token
+ */
+function verifyChallengeToken(token) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'two_factor' ? decoded.userId : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    createEnrollment,
+    verifyTotp,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    createChallengeToken,
+    verifyChallengeToken
+};
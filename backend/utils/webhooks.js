@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { backoffSeconds } = require('./emailQueue');
+
+/**
+ * Outbound webhooks
+ *
+ * emitEvent stores one delivery per subscription to the event in
+ * webhook_deliveries, with the caller's transaction; the worker POSTs due
+ * deliveries in the background. A failed delivery (network error, timeout or
+ * non-2xx response) is retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS, then marked 'dead' and left for an admin to retry.
+ * Deliveries of a disabled subscription wait until it is enabled again.
+ *
+ * Every request carries:
+ * - X-Webhook-Event, X-Webhook-Delivery (delivery id) and X-Webhook-Timestamp (Unix seconds)
+ * - X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ * Receivers should recompute the signature and reject old timestamps.
+ *
+ * Endpoints must resolve to public addresses: private, loopback, link-local
+ * (cloud metadata) and other reserved ranges are refused when a subscription
+ * is saved and again on every connection. Only the response status is kept.
+ */
+
+const WEBHOOK_EVENTS = {
+    'audit.saved': 'A month was saved, edited, imported or restored',
+    'audit.deleted': 'A month was deleted',
+    'goals.updated': 'A new goals version was recorded',
+    'user.invited': 'Someone was invited to the clinic',
+    'user.deactivated': 'A member was deactivated',
+    'alert.triggered': 'An alert rule opened an alert'
+};
+
+// Sent by sendTestEvent whatever the subscription's events
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 6, 10);
+const POLL_SECONDS = parseInt(process.env.WEBHOOK_QUEUE_POLL_SECONDS || 30, 10);
+const TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || 10, 10);
+const BATCH_SIZE = 20;
+// A delivery left 'sending' this long (the process died mid-send) is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+// Addresses a webhook may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let workerDb = null;
+let processing = false;
+
+/**
+ * New signing secret for a subscription
+ */
+function newWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature of a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails for blocked addresses, so the connection itself can't reach them
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Make sure a webhook URL points at a public https endpoint
+ * Used as an express-validator custom validator and before every delivery.
+ * @param {string} url
+ * @throws {Error} When the host is an IP or name of a non-public address, or doesn't resolve
+ */
+async function assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') {
+        throw new Error('Webhook URLs must use https');
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+        } catch (error) {
+            throw new Error(`${host} could not be resolved`);
+        }
+    }
+
+    if (addresses.some(isBlockedAddress)) {
+        throw new Error('Webhook URLs must point at a public address');
+    }
+    return true;
+}
+
+// POST a body; resolves with the response status
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const request = https.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            timeout: TIMEOUT_SECONDS * 1000
+        }, (response) => {
+            // Redirects aren't followed and bodies aren't kept
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${TIMEOUT_SECONDS}s`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function kickWorker() {
+    if (workerDb) {
+        setImmediate(() => processWebhooks(workerDb));
+    }
+}
+
+// Store one delivery of an event per subscription
+async function insertDeliveries(db, clinicId, subscriptionIds, event, data) {
+    // Receivers can use the event id to ignore repeats
+    const payload = { id: crypto.randomUUID(), event, clinicId, createdAt: new Date().toISOString(), data };
+
+    const ids = [];
+    for (const subscriptionId of subscriptionIds) {
+        const result = await db.query(
+            `INSERT INTO webhook_deliveries (subscription_id, clinic_id, event, payload, max_attempts)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id`,
+            [subscriptionId, clinicId, event, payload, MAX_ATTEMPTS]
+        );
+        ids.push(result.rows[0].id);
+    }
+    return ids;
+}
+
+/**
+ * Queue an event for a clinic's subscriptions to it
+ * @param {Object} db - Pool or transaction client (queued with the caller's transaction)
+ * @param {string} clinicId - Clinic the event happened in
+ * @param {string} event - Key of WEBHOOK_EVENTS
+ * @param {Object} data - Event details
+ * @returns {Promise<string[]>} webhook_deliveries ids
+ */
+async function emitEvent(db, clinicId, event, data) {
+    const subscriptions = await db.query(
+        'SELECT id FROM webhook_subscriptions WHERE clinic_id = $1 AND enabled = true AND $2 = ANY(events)',
+        [clinicId, event]
+    );
+    if (subscriptions.rows.length === 0) {
+        return [];
+    }
+
+    const ids = await insertDeliveries(db, clinicId, subscriptions.rows.map((row) => row.id), event, data);
+
+    // Try right away; if the caller's transaction hasn't committed yet the next poll sends it
+    kickWorker();
+
+    return ids;
+}
+
+async function deliver(db, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        await assertPublicUrl(delivery.url);
+        responseStatus = await post(delivery.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ClinicAudit-Webhooks/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+        }, body);
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `HTTP ${responseStatus}`;
+        }
+    } catch (err) {
+        error = err.message;
+    }
+    const durationMs = Date.now() - started;
+
+    if (!error) {
+        await db.query(
+            `UPDATE webhook_deliveries
+             SET status = 'delivered', delivered_at = NOW(), response_status = $1, duration_ms = $2, last_error = NULL
+             WHERE id = $3`,
+            [responseStatus, durationMs, delivery.id]
+        );
+        return 'delivered';
+    }
+
+    const dead = delivery.attempts >= delivery.max_attempts;
+    await db.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, response_status = $2, duration_ms = $3, last_error = $4,
+             next_attempt_at = NOW() + make_interval(secs => $5)
+         WHERE id = $6`,
+        [dead ? 'dead' : 'pending', responseStatus, durationMs, error, backoffSeconds(delivery.attempts), delivery.id]
+    );
+    return dead ? 'dead' : 'retry';
+}
+
+/**
+ * Send every due delivery
+ * @param {Object} db - Pool
+ * @returns {Promise<Object>} Counts { delivered, retry, dead }
+ */
+async function processWebhooks(db) {
+    const counts = { delivered: 0, retry: 0, dead: 0 };
+    if (processing) {
+        return counts;
+    }
+    processing = true;
+
+    try {
+        for (;;) {
+            // Claim a batch so several instances never send the same delivery
+            const claimed = await db.query(
+                `UPDATE webhook_deliveries d SET status = 'sending', attempts = d.attempts + 1
+                 FROM webhook_subscriptions s
+                 WHERE s.id = d.subscription_id
+                   AND d.id IN (
+                     SELECT wd.id FROM webhook_deliveries wd
+                     JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id AND ws.enabled = true
+                     WHERE (wd.status = 'pending' AND wd.next_attempt_at <= NOW())
+                        OR (wd.status = 'sending' AND wd.updated_at < NOW() - make_interval(mins => $2))
+                     ORDER BY wd.next_attempt_at
+                     LIMIT $1
+                     FOR UPDATE OF wd SKIP LOCKED
+                 )
+                 RETURNING d.id, d.event, d.payload, d.attempts, d.max_attempts, s.url, s.secret`,
+                [BATCH_SIZE, STALE_SENDING_MINUTES]
+            );
+
+            for (const delivery of claimed.rows) {
+                counts[await deliver(db, delivery)] += 1;
+            }
+
+            if (claimed.rows.length < BATCH_SIZE) {
+                return counts;
+            }
+        }
+    } catch (error) {
+        console.error('Webhook queue error:', error);
+        return counts;
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Send a webhook.test event to one subscription now, enabled or not
+ * A failed test is retried like any delivery while the subscription is enabled.
+ * @param {Object} db - Pool
+ * @param {string} clinicId
+ * @param {string} subscriptionId
+ * @param {Object} data - Event details
+ * @returns {Promise<string>} webhook_deliveries id
+ */
+async function sendTestEvent(db, clinicId, subscriptionId, data) {
+    const [id] = await insertDeliveries(db, clinicId, [subscriptionId], TEST_EVENT, data);
+
+    const claimed = await db.query(
+        `UPDATE webhook_deliveries d SET status = 'sending', attempts = d.attempts + 1
+         FROM webhook_subscriptions s
+         WHERE s.id = d.subscription_id AND d.id = $1 AND d.status = 'pending'
+         RETURNING d.id, d.event, d.payload, d.attempts, d.max_attempts, s.url, s.secret`,
+        [id]
+    );
+    if (claimed.rows.length > 0) {
+        await deliver(db, claimed.rows[0]);
+    }
+    return id;
+}
+
+/**
+ * Process deliveries every WEBHOOK_QUEUE_POLL_SECONDS, and right after events are emitted
+ * @param {Object} db - Pool
+ * @returns {Object} The interval timer (unref'd)
+ */
+function startWebhookWorker(db) {
+    workerDb = db;
+    processWebhooks(db);
+    const timer = setInterval(() => processWebhooks(db), POLL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Put a dead (or pending) delivery back in line for immediate delivery
+ * Attempts start over.
+ * @returns {Promise<boolean>} false when there is no such retryable delivery
+ */
+async function retryDelivery(db, id, subscriptionId, clinicId) {
+    const result = await db.query(
+        `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE id = $1 AND subscription_id = $2 AND clinic_id = $3 AND status IN ('pending', 'dead')`,
+        [id, subscriptionId, clinicId]
+    );
+    if (result.rowCount > 0) {
+        kickWorker();
+    }
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    newWebhookSecret,
+    signPayload,
+    assertPublicUrl,
+    emitEvent,
+    sendTestEvent,
+    processWebhooks,
+    startWebhookWorker,
+    retryDelivery
+};